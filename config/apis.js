@@ -1,7 +1,7 @@
-const axios = require("axios");
+const { createUpstreamClient } = require("../services/upstreamClient");
 
 // Jamendo API for free music
-const jamendoApi = axios.create({
+const jamendoApi = createUpstreamClient("jamendo", {
   baseURL: "https://api.jamendo.com/v3.0/",
   params: {
     client_id: process.env.JAMENDO_CLIENT_ID || "ef527c00",
@@ -10,12 +10,12 @@ const jamendoApi = axios.create({
 });
 
 // iTunes API for music metadata and previews
-const iTunesApi = axios.create({
+const iTunesApi = createUpstreamClient("itunes", {
   baseURL: "https://itunes.apple.com/"
 });
 
 // Free Music Archive API alternative
-const fmaApi = axios.create({
+const fmaApi = createUpstreamClient("fma", {
   baseURL: "https://freemusicarchive.org/api/get/"
 });
 
@@ -0,0 +1,52 @@
+const crypto = require("crypto");
+
+// Signing keys come from the environment:
+//   JWT_KEYS=2025-10:secretA,2025-01:secretB  (kid:secret pairs, for rotation)
+//   JWT_ACTIVE_KID=2025-10                    (signing key; defaults to the first)
+//   JWT_SECRET=secret                         (single key, kid "default")
+// Tokens carry the kid in their header, so older keys keep verifying until
+// they are removed from JWT_KEYS.
+const parseKeys = () => {
+  const keys = {};
+
+  (process.env.JWT_KEYS || "")
+    .split(",")
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .forEach(entry => {
+      const separator = entry.indexOf(":");
+      if (separator <= 0 || separator === entry.length - 1) {
+        throw new Error(`Invalid JWT_KEYS entry "${entry}". Expected kid:secret`);
+      }
+      keys[entry.slice(0, separator)] = entry.slice(separator + 1);
+    });
+
+  if (process.env.JWT_SECRET && !keys.default) {
+    keys.default = process.env.JWT_SECRET;
+  }
+
+  if (Object.keys(keys).length === 0) {
+    if (process.env.NODE_ENV === "production") {
+      throw new Error("JWT_SECRET or JWT_KEYS must be set in production");
+    }
+    console.warn("⚠️ No JWT_SECRET/JWT_KEYS configured - using a random development key (sessions reset on restart)");
+    keys.dev = crypto.randomBytes(32).toString("hex");
+  }
+
+  return keys;
+};
+
+const keys = parseKeys();
+const activeKid = process.env.JWT_ACTIVE_KID || Object.keys(keys)[0];
+
+if (!keys[activeKid]) {
+  throw new Error(`JWT_ACTIVE_KID "${activeKid}" is not one of the configured keys`);
+}
+
+module.exports = {
+  activeKid,
+  getSigningKey: () => ({ kid: activeKid, secret: keys[activeKid] }),
+  getVerificationKey: (kid) => keys[kid] || null,
+  ACCESS_TOKEN_TTL: process.env.ACCESS_TOKEN_TTL || "15m",
+  REFRESH_TOKEN_TTL_DAYS: parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30
+};
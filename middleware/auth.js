@@ -0,0 +1,62 @@
+const tokenService = require("../services/tokenService");
+const { getRepository } = require("../storage");
+
+// Verify token middleware
+const verifyToken = async (req, res, next) => {
+  const token = req.headers.authorization?.replace("Bearer ", "");
+
+  if (!token) {
+    return res.status(401).json({ error: "Access denied. No token provided." });
+  }
+
+  try {
+    req.user = await tokenService.verifyAccessToken(token);
+  } catch (error) {
+    if (error instanceof tokenService.TokenError) {
+      return res.status(401).json({ error: error.message, code: error.code });
+    }
+    console.error("Token verification error:", error);
+    return res.status(500).json({ error: "Server error" });
+  }
+  next();
+};
+
+// Reject requests that name a different user (in the path or the body) than
+// the one the token belongs to. Must run after verifyToken.
+const requireSelf = (req, res, next) => {
+  const requestedUserIds = [req.params.userId, req.body?.userId]
+    .filter(userId => userId !== undefined && userId !== null);
+
+  if (requestedUserIds.some(userId => String(userId) !== String(req.user.userId))) {
+    return res.status(403).json({ error: "You can only access your own data" });
+  }
+  next();
+};
+
+// Admins are users whose record has role "admin" (granted with
+// `npm run admin:grant -- <email>`). Read from storage on every check, so
+// revoking the role takes effect without waiting for tokens to expire.
+const isAdmin = async (userId) => {
+  const user = (await getRepository("users").read()).find(u => u.id === userId);
+  return user?.role === "admin";
+};
+
+// Must run after verifyToken
+const requireAdmin = async (req, res, next) => {
+  try {
+    if (!(await isAdmin(req.user.userId))) {
+      return res.status(403).json({ error: "Admin access required" });
+    }
+  } catch (error) {
+    console.error("Admin check error:", error);
+    return res.status(500).json({ error: "Server error" });
+  }
+  next();
+};
+
+module.exports = {
+  verifyToken,
+  requireSelf,
+  isAdmin,
+  requireAdmin
+};
@@ -0,0 +1,113 @@
+const express = require("express");
+const router = express.Router();
+const { verifyToken } = require("../middleware/auth");
+const listeningAnalyticsService = require("../services/listeningAnalyticsService");
+const timeZone = require("../services/timeZone");
+
+const MAX_RANGE_DAYS = 3660;
+
+// Listening analytics for the signed-in user. All endpoints take ?from and
+// ?to (YYYY-MM-DD, inclusive) as local dates in the user's time zone (set
+// with PUT /api/auth/profile { timezone }, overridable with ?timezone=).
+router.use(verifyToken);
+
+// Resolves the zone and date range of a request, or { error }. Without
+// dates the range ends today and covers 30 days, 12 weeks or 12 months.
+const resolveRange = async (req, granularity = "day") => {
+  const zone = req.query.timezone || await listeningAnalyticsService.getTimeZone(req.user.userId);
+  if (!timeZone.isValidTimeZone(zone)) {
+    return { error: "timezone must be an IANA time zone such as Europe/Berlin" };
+  }
+
+  const { from: requestedFrom, to: requestedTo } = req.query;
+  if ((requestedFrom && !timeZone.isValidDate(requestedFrom)) || (requestedTo && !timeZone.isValidDate(requestedTo))) {
+    return { error: "from and to must be dates in YYYY-MM-DD format" };
+  }
+
+  const to = requestedTo || timeZone.localParts(Date.now(), zone).date;
+  let from = requestedFrom;
+  if (!from) {
+    if (granularity === "month") {
+      const [year, month] = to.split("-").map(Number);
+      from = new Date(Date.UTC(year, month - 12, 1)).toISOString().slice(0, 10);
+    } else {
+      from = granularity === "week" ? timeZone.addDays(timeZone.weekStart(to), -77) : timeZone.addDays(to, -29);
+    }
+  }
+
+  if (from > to) {
+    return { error: "from must not be after to" };
+  }
+  if (timeZone.daysBetween(from, to) >= MAX_RANGE_DAYS) {
+    return { error: `Date range is limited to ${MAX_RANGE_DAYS} days` };
+  }
+  return { zone, from, to };
+};
+
+const resolveGranularity = (req, fallback) => {
+  const granularity = req.query.granularity || fallback;
+  return listeningAnalyticsService.GRANULARITIES.includes(granularity) ? granularity : null;
+};
+
+const granularityError = `granularity must be one of: ${listeningAnalyticsService.GRANULARITIES.join(", ")}`;
+
+// Listening minutes over time. ?granularity=day|week|month (default day)
+router.get("/listening", async (req, res) => {
+  try {
+    const granularity = resolveGranularity(req, "day");
+    if (!granularity) {
+      return res.status(400).json({ error: granularityError });
+    }
+
+    const range = await resolveRange(req, granularity);
+    if (range.error) {
+      return res.status(400).json({ error: range.error });
+    }
+
+    const result = await listeningAnalyticsService.listeningOverTime(req.user.userId, { ...range, granularity });
+    res.json({ timezone: range.zone, from: range.from, to: range.to, granularity, ...result });
+  } catch (error) {
+    console.error("Error loading listening analytics:", error);
+    res.status(500).json({ error: "Failed to load listening analytics" });
+  }
+});
+
+// Hour of day x day of week heatmap
+router.get("/heatmap", async (req, res) => {
+  try {
+    const range = await resolveRange(req);
+    if (range.error) {
+      return res.status(400).json({ error: range.error });
+    }
+
+    const result = await listeningAnalyticsService.heatmap(req.user.userId, range);
+    res.json({ timezone: range.zone, from: range.from, to: range.to, ...result });
+  } catch (error) {
+    console.error("Error loading listening heatmap:", error);
+    res.status(500).json({ error: "Failed to load listening heatmap" });
+  }
+});
+
+// Genre share over time. ?granularity (default month), ?limit genres (default 5, max 20)
+router.get("/genres", async (req, res) => {
+  try {
+    const granularity = resolveGranularity(req, "month");
+    if (!granularity) {
+      return res.status(400).json({ error: granularityError });
+    }
+
+    const range = await resolveRange(req, granularity);
+    if (range.error) {
+      return res.status(400).json({ error: range.error });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 5, 1), 20);
+    const result = await listeningAnalyticsService.genreShare(req.user.userId, { ...range, granularity, limit });
+    res.json({ timezone: range.zone, from: range.from, to: range.to, granularity, ...result });
+  } catch (error) {
+    console.error("Error loading genre analytics:", error);
+    res.status(500).json({ error: "Failed to load genre analytics" });
+  }
+});
+
+module.exports = router;
@@ -1,44 +1,58 @@
 const express = require("express");
 const router = express.Router();
 const bcrypt = require("bcryptjs");
-const jwt = require("jsonwebtoken");
-const fs = require("fs-extra");
-const path = require("path");
-
-const USERS_FILE = path.join(__dirname, "../data/users.json");
-const LIKED_SONGS_FILE = path.join(__dirname, "../data/likedSongs.json"); 
-const JWT_SECRET = "tunestream_secret_key_2025"; 
-
-fs.ensureDirSync(path.dirname(USERS_FILE));
+const multer = require("multer");
+const profilePictureService = require("../services/profilePictureService");
+const { verifyToken } = require("../middleware/auth");
+const tokenService = require("../services/tokenService");
+const passwordResetService = require("../services/passwordResetService");
+const mailService = require("../services/mailService");
+const timeZone = require("../services/timeZone");
+const { getRepository } = require("../storage");
+
+const usersRepository = getRepository("users");
+const likedSongsRepository = getRepository("likedSongs");
+
+// Profile pictures are kept in memory until their content has been checked
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: profilePictureService.maxFileSize, files: 1 }
+});
 
-const loadUsers = () => {
-  try {
-    if (fs.existsSync(USERS_FILE)) {
-      return fs.readJsonSync(USERS_FILE);
+const uploadProfilePicture = (req, res, next) => {
+  upload.single("profilePicture")(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      if (error.code === "LIMIT_FILE_SIZE") {
+        return res.status(413).json({
+          error: `Profile picture must be at most ${Math.round(profilePictureService.maxFileSize / 1024 / 1024)}MB`
+        });
+      }
+      return res.status(400).json({ error: error.message });
     }
-    return [];
-  } catch (error) {
-    return [];
-  }
+    if (error) {
+      return next(error);
+    }
+    next();
+  });
 };
 
-const saveUsers = (users) => {
-  fs.writeJsonSync(USERS_FILE, users, { spaces: 2 });
-};
+const FRONTEND_URL = (process.env.FRONTEND_URL || "http://localhost:3000").replace(/\/+$/, "");
 
-const loadLikedSongs = () => {
-  try {
-    if (fs.existsSync(LIKED_SONGS_FILE)) {
-      return fs.readJsonSync(LIKED_SONGS_FILE);
-    }
-    return {};
-  } catch (error) {
-    return {};
-  }
-};
+const sessionContext = (req) => ({
+  userAgent: req.headers["user-agent"] || null,
+  ip: req.ip
+});
+
+const findUser = async (userId) => (await usersRepository.read()).find(u => u.id === userId) || null;
 
-const saveLikedSongs = (likedSongs) => {
-  fs.writeJsonSync(LIKED_SONGS_FILE, likedSongs, { spaces: 2 });
+// Attach the current profile picture URL to a user object without password
+const withProfilePicture = async (user, req) => {
+  const { password: _, ...userWithoutPassword } = user;
+  const picture = await profilePictureService.getPicture(user.id, req);
+  return {
+    ...userWithoutPassword,
+    profilePicture: picture ? picture.url : null
+  };
 };
 
 router.post("/register", async (req, res) => {
@@ -54,46 +68,45 @@ router.post("/register", async (req, res) => {
       return res.status(400).json({ error: "Password must be at least 6 characters" });
     }
 
-    const users = loadUsers();
-
-    // Check if user already exists
-    const existingUser = users.find(user => user.email === email);
-    if (existingUser) {
-      return res.status(400).json({ error: "Email already registered" });
-    }
-
     // Hash password
     const saltRounds = 10;
     const hashedPassword = await bcrypt.hash(password, saltRounds);
 
-    // Create new user
-    const newUser = {
-      id: Date.now().toString(),
-      fullName,
-      email,
-      password: hashedPassword,
-      profilePicture: null,
-      createdAt: new Date().toISOString(),
-      lastLogin: new Date().toISOString()
-    };
+    const newUser = await usersRepository.update((users) => {
+      // Check if user already exists
+      if (users.some(user => user.email === email)) {
+        return null;
+      }
 
-    users.push(newUser);
-    saveUsers(users);
+      // Create new user
+      const user = {
+        id: Date.now().toString(),
+        fullName,
+        email,
+        password: hashedPassword,
+        profilePicture: null,
+        createdAt: new Date().toISOString(),
+        lastLogin: new Date().toISOString()
+      };
+
+      users.push(user);
+      return user;
+    });
 
-    // INITIALIZE EMPTY LIKED SONGS FOR NEW USER
-    const likedSongs = loadLikedSongs();
-    if (!likedSongs[newUser.id]) {
-      likedSongs[newUser.id] = [];
-      saveLikedSongs(likedSongs);
-      console.log(`Initialized empty liked songs for new user: ${newUser.id}`);
+    if (!newUser) {
+      return res.status(400).json({ error: "Email already registered" });
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: newUser.id, email: newUser.email },
-      JWT_SECRET,
-      { expiresIn: "7d" }
-    );
+    // INITIALIZE EMPTY LIKED SONGS FOR NEW USER
+    await likedSongsRepository.update((likedSongs) => {
+      if (!likedSongs[newUser.id]) {
+        likedSongs[newUser.id] = [];
+        console.log(`Initialized empty liked songs for new user: ${newUser.id}`);
+      }
+    });
+
+    // Start a session: short-lived access token plus rotating refresh token
+    const tokens = await tokenService.createSession(newUser, sessionContext(req));
 
     // Return user data (without password)
     const { password: _, ...userWithoutPassword } = newUser;
@@ -101,7 +114,7 @@ router.post("/register", async (req, res) => {
     res.json({
       message: "Registration successful",
       user: userWithoutPassword,
-      token
+      ...tokens
     });
   } catch (error) {
     console.error("Registration error:", error);
@@ -119,38 +132,39 @@ router.post("/login", async (req, res) => {
       return res.status(400).json({ error: "Email and password are required" });
     }
 
-    const users = loadUsers();
+    const users = await usersRepository.read();
 
     // Find user
-    const user = users.find(u => u.email === email);
-    if (!user) {
+    const existingUser = users.find(u => u.email === email);
+    if (!existingUser) {
       return res.status(400).json({ error: "Invalid email or password" });
     }
 
     // Check password
-    const isPasswordValid = await bcrypt.compare(password, user.password);
+    const isPasswordValid = await bcrypt.compare(password, existingUser.password);
     if (!isPasswordValid) {
       return res.status(400).json({ error: "Invalid email or password" });
     }
 
     // Update last login
-    user.lastLogin = new Date().toISOString();
-    saveUsers(users);
+    const user = await usersRepository.update((users) => {
+      const current = users.find(u => u.id === existingUser.id);
+      if (current) {
+        current.lastLogin = new Date().toISOString();
+      }
+      return current || existingUser;
+    });
 
     // ENSURE LIKED SONGS EXISTS FOR EXISTING USERS (backward compatibility)
-    const likedSongs = loadLikedSongs();
-    if (!likedSongs[user.id]) {
-      likedSongs[user.id] = [];
-      saveLikedSongs(likedSongs);
-      console.log(`Initialized liked songs for existing user: ${user.id}`);
-    }
+    await likedSongsRepository.update((likedSongs) => {
+      if (!likedSongs[user.id]) {
+        likedSongs[user.id] = [];
+        console.log(`Initialized liked songs for existing user: ${user.id}`);
+      }
+    });
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user.id, email: user.email },
-      JWT_SECRET,
-      { expiresIn: "7d" }
-    );
+    // Start a session: short-lived access token plus rotating refresh token
+    const tokens = await tokenService.createSession(user, sessionContext(req));
 
     // Return user data (without password)
     const { password: _, ...userWithoutPassword } = user;
@@ -158,7 +172,7 @@ router.post("/login", async (req, res) => {
     res.json({
       message: "Login successful",
       user: userWithoutPassword,
-      token
+      ...tokens
     });
   } catch (error) {
     console.error("Login error:", error);
@@ -166,35 +180,17 @@ router.post("/login", async (req, res) => {
   }
 });
 
-// Verify token middleware
-const verifyToken = (req, res, next) => {
-  const token = req.headers.authorization?.replace("Bearer ", "");
-
-  if (!token) {
-    return res.status(401).json({ error: "Access denied. No token provided." });
-  }
-
-  try {
-    const decoded = jwt.verify(token, JWT_SECRET);
-    req.user = decoded;
-    next();
-  } catch (error) {
-    res.status(400).json({ error: "Invalid token" });
-  }
-};
-
 // Get current user profile
-router.get("/profile", verifyToken, (req, res) => {
+router.get("/profile", verifyToken, async (req, res) => {
   try {
-    const users = loadUsers();
+    const users = await usersRepository.read();
     const user = users.find(u => u.id === req.user.userId);
 
     if (!user) {
       return res.status(404).json({ error: "User not found" });
     }
 
-    const { password: _, ...userWithoutPassword } = user;
-    res.json(userWithoutPassword);
+    res.json(await withProfilePicture(user, req));
   } catch (error) {
     console.error("Profile fetch error:", error);
     res.status(500).json({ error: "Server error" });
@@ -204,24 +200,24 @@ router.get("/profile", verifyToken, (req, res) => {
 // Update user profile
 router.put("/profile", verifyToken, async (req, res) => {
   try {
-    const { fullName, currentPassword, newPassword } = req.body;
-    const users = loadUsers();
-    const userIndex = users.findIndex(u => u.id === req.user.userId);
+    const { fullName, currentPassword, newPassword, timezone } = req.body;
 
-    if (userIndex === -1) {
-      return res.status(404).json({ error: "User not found" });
+    // IANA name used for listening analytics, e.g. "Europe/Berlin"
+    if (timezone !== undefined && !timeZone.isValidTimeZone(timezone)) {
+      return res.status(400).json({ error: "timezone must be an IANA time zone such as Europe/Berlin" });
     }
 
-    const user = users[userIndex];
+    const users = await usersRepository.read();
+    const existingUser = users.find(u => u.id === req.user.userId);
 
-    // Update full name
-    if (fullName) {
-      user.fullName = fullName;
+    if (!existingUser) {
+      return res.status(404).json({ error: "User not found" });
     }
 
     // Update password if provided
+    let hashedPassword = null;
     if (currentPassword && newPassword) {
-      const isCurrentPasswordValid = await bcrypt.compare(currentPassword, user.password);
+      const isCurrentPasswordValid = await bcrypt.compare(currentPassword, existingUser.password);
       if (!isCurrentPasswordValid) {
         return res.status(400).json({ error: "Current password is incorrect" });
       }
@@ -230,16 +226,47 @@ router.put("/profile", verifyToken, async (req, res) => {
         return res.status(400).json({ error: "New password must be at least 6 characters" });
       }
 
-      user.password = await bcrypt.hash(newPassword, 10);
+      hashedPassword = await bcrypt.hash(newPassword, 10);
     }
 
-    user.updatedAt = new Date().toISOString();
-    saveUsers(users);
+    const user = await usersRepository.update((users) => {
+      const current = users.find(u => u.id === req.user.userId);
+      if (!current) {
+        return null;
+      }
+
+      // Update full name
+      if (fullName) {
+        current.fullName = fullName;
+      }
+
+      if (hashedPassword) {
+        current.password = hashedPassword;
+      }
+
+      if (timezone) {
+        current.timezone = timezone;
+      }
+
+      current.updatedAt = new Date().toISOString();
+      return current;
+    });
+
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    // A new password signs out every other session
+    let revokedSessions = 0;
+    if (hashedPassword) {
+      revokedSessions = await tokenService.revokeAllForUser(user.id, "password-changed", req.user.sid);
+      console.log(`🔒 Password changed for user ${user.id}; revoked ${revokedSessions} other session(s)`);
+    }
 
-    const { password: _, ...userWithoutPassword } = user;
     res.json({
       message: "Profile updated successfully",
-      user: userWithoutPassword
+      revokedSessions,
+      user: await withProfilePicture(user, req)
     });
   } catch (error) {
     console.error("Profile update error:", error);
@@ -247,6 +274,190 @@ router.put("/profile", verifyToken, async (req, res) => {
   }
 });
 
+// Upload or replace profile picture (multipart field "profilePicture")
+router.post("/profile-picture", verifyToken, uploadProfilePicture, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: "No file uploaded. Use the 'profilePicture' field." });
+    }
+
+    const picture = await profilePictureService.savePicture(req.user.userId, req.file.buffer, req);
+
+    res.json({
+      message: "Profile picture updated",
+      profilePicture: picture.url,
+      uploadedAt: picture.uploadedAt,
+      updatedAt: picture.updatedAt
+    });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error("Profile picture upload error:", error);
+    res.status(500).json({ error: "Failed to upload profile picture" });
+  }
+});
+
+// Delete profile picture
+router.delete("/profile-picture", verifyToken, async (req, res) => {
+  try {
+    const deleted = await profilePictureService.deletePicture(req.user.userId);
+
+    if (!deleted) {
+      return res.status(404).json({ error: "No profile picture to delete" });
+    }
+
+    res.json({ message: "Profile picture deleted", profilePicture: null });
+  } catch (error) {
+    console.error("Profile picture delete error:", error);
+    res.status(500).json({ error: "Failed to delete profile picture" });
+  }
+});
+
+// Exchange a refresh token for a new access/refresh token pair
+router.post("/refresh", async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken || typeof refreshToken !== "string") {
+      return res.status(400).json({ error: "refreshToken is required" });
+    }
+
+    const tokens = await tokenService.rotate(refreshToken, findUser);
+    res.json(tokens);
+  } catch (error) {
+    if (error instanceof tokenService.TokenError) {
+      return res.status(401).json({ error: error.message, code: error.code });
+    }
+    console.error("Token refresh error:", error);
+    res.status(500).json({ error: "Server error during token refresh" });
+  }
+});
+
+// Logging out with a refresh token works even after the access token expired
+const verifyTokenUnlessRefreshToken = (req, res, next) => (
+  req.body?.refreshToken ? next() : verifyToken(req, res, next)
+);
+
+// Log out: revoke the session of the given refresh token, or of the access token
+router.post("/logout", verifyTokenUnlessRefreshToken, async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    const revoked = refreshToken
+      ? !!(await tokenService.revokeByRefreshToken(refreshToken, "logout"))
+      : await tokenService.revokeSession(req.user.sid, "logout");
+
+    res.json({ message: "Logged out", revoked });
+  } catch (error) {
+    console.error("Logout error:", error);
+    res.status(500).json({ error: "Server error during logout" });
+  }
+});
+
+// Log out everywhere
+router.post("/logout-all", verifyToken, async (req, res) => {
+  try {
+    const revokedSessions = await tokenService.revokeAllForUser(req.user.userId, "logout-all");
+    res.json({ message: "Logged out of all sessions", revokedSessions });
+  } catch (error) {
+    console.error("Logout-all error:", error);
+    res.status(500).json({ error: "Server error during logout" });
+  }
+});
+
+// Issue a reset token and mail the link, if the email belongs to an account
+const sendPasswordReset = async (email) => {
+  const user = (await usersRepository.read()).find(u => u.email === email);
+  if (!user) {
+    return;
+  }
+
+  const token = await passwordResetService.createToken(user.id);
+  const resetUrl = `${FRONTEND_URL}/reset-password?token=${encodeURIComponent(token)}`;
+
+  await mailService.send({
+    to: user.email,
+    subject: "Reset your TuneStream password",
+    text: [
+      `Hi ${user.fullName},`,
+      "",
+      "We received a request to reset your TuneStream password.",
+      `Use the link below within ${passwordResetService.ttlMinutes} minutes to choose a new one:`,
+      "",
+      resetUrl,
+      "",
+      "If you didn't ask for this, you can ignore this email."
+    ].join("\n")
+  });
+
+  console.log(`🔑 Password reset requested for user ${user.id}`);
+};
+
+// Request a password reset email. Answers before looking the email up, with
+// the same message either way, so neither the response nor its timing tells
+// which emails are registered.
+router.post("/forgot-password", (req, res) => {
+  const { email } = req.body;
+
+  if (!email || typeof email !== "string") {
+    return res.status(400).json({ error: "Email is required" });
+  }
+
+  res.json({ message: "If that email is registered, a reset link has been sent" });
+
+  sendPasswordReset(email.trim()).catch(error => {
+    console.error("Forgot password error:", error);
+  });
+});
+
+// Set a new password using a reset token; signs out every existing session
+router.post("/reset-password", async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+
+    if (!token || !newPassword) {
+      return res.status(400).json({ error: "Token and new password are required" });
+    }
+
+    if (typeof token !== "string" || typeof newPassword !== "string") {
+      return res.status(400).json({ error: "Token and new password must be strings" });
+    }
+
+    if (newPassword.length < 6) {
+      return res.status(400).json({ error: "New password must be at least 6 characters" });
+    }
+
+    const userId = await passwordResetService.consumeToken(token);
+    if (!userId) {
+      return res.status(400).json({ error: "Reset link is invalid or has expired" });
+    }
+
+    const hashedPassword = await bcrypt.hash(newPassword, 10);
+
+    const user = await usersRepository.update((users) => {
+      const current = users.find(u => u.id === userId);
+      if (current) {
+        current.password = hashedPassword;
+        current.updatedAt = new Date().toISOString();
+      }
+      return current;
+    });
+
+    if (!user) {
+      return res.status(400).json({ error: "Reset link is invalid or has expired" });
+    }
+
+    const revokedSessions = await tokenService.revokeAllForUser(user.id, "password-reset");
+    console.log(`🔒 Password reset for user ${user.id}; revoked ${revokedSessions} session(s)`);
+
+    res.json({ message: "Password has been reset. Please log in again.", revokedSessions });
+  } catch (error) {
+    console.error("Reset password error:", error);
+    res.status(500).json({ error: "Server error during password reset" });
+  }
+});
+
 // Verify token route
 router.get("/verify", verifyToken, (req, res) => {
   res.json({ 
@@ -0,0 +1,274 @@
+const express = require("express");
+const router = express.Router();
+const { verifyToken, requireAdmin } = require("../middleware/auth");
+const { getRepository } = require("../storage");
+
+const feedbackRepository = getRepository("feedback");
+const usersRepository = getRepository("users");
+
+const FEEDBACK_STATUSES = ["new", "triaged", "resolved"];
+const MAX_TEXT_LENGTH = 2000;
+
+// Entries submitted before the status workflow existed have no status/replies
+const normalizeEntry = (entry) => ({
+  ...entry,
+  status: entry.status || "new",
+  replies: entry.replies || []
+});
+
+// Monday (UTC) of the week the timestamp falls in, as YYYY-MM-DD
+const weekStartOf = (timestamp) => {
+  const date = new Date(timestamp);
+  const day = (date.getUTCDay() + 6) % 7;
+  date.setUTCDate(date.getUTCDate() - day);
+  return date.toISOString().slice(0, 10);
+};
+
+// Apply ?rating, ?minRating, ?maxRating, ?status, ?from and ?to filters
+const filterFeedback = (entries, query) => {
+  const { rating, minRating, maxRating, status, from, to } = query;
+  const fromTime = from ? new Date(from).getTime() : null;
+  const toTime = to ? new Date(to).getTime() : null;
+
+  return entries.filter(entry => {
+    const time = new Date(entry.timestamp).getTime();
+
+    if (rating && entry.rating !== parseInt(rating)) return false;
+    if (minRating && entry.rating < parseInt(minRating)) return false;
+    if (maxRating && entry.rating > parseInt(maxRating)) return false;
+    if (status && entry.status !== status) return false;
+    if (fromTime && time < fromTime) return false;
+    if (toTime && time > toTime) return false;
+    return true;
+  });
+};
+
+const validateDateFilters = (query) => {
+  for (const key of ["from", "to"]) {
+    if (query[key] && isNaN(new Date(query[key]).getTime())) {
+      return `Invalid '${key}' date`;
+    }
+  }
+  if (query.status && !FEEDBACK_STATUSES.includes(query.status)) {
+    return `Status must be one of: ${FEEDBACK_STATUSES.join(", ")}`;
+  }
+  return null;
+};
+
+// Submit feedback
+router.post("/", verifyToken, async (req, res) => {
+  try {
+    const { rating, experience = "", suggestions = "" } = req.body;
+    const numericRating = Number(rating);
+
+    if (!Number.isInteger(numericRating) || numericRating < 1 || numericRating > 5) {
+      return res.status(400).json({ error: "Rating must be a whole number between 1 and 5" });
+    }
+
+    if (typeof experience !== "string" || typeof suggestions !== "string") {
+      return res.status(400).json({ error: "Experience and suggestions must be text" });
+    }
+
+    if (experience.length > MAX_TEXT_LENGTH || suggestions.length > MAX_TEXT_LENGTH) {
+      return res.status(400).json({ error: `Feedback text must be at most ${MAX_TEXT_LENGTH} characters` });
+    }
+
+    const user = (await usersRepository.read()).find(u => u.id === req.user.userId);
+
+    const entry = {
+      id: Date.now().toString(),
+      userId: req.user.userId,
+      userName: user?.fullName || req.user.email,
+      rating: numericRating,
+      experience: experience.trim(),
+      suggestions: suggestions.trim(),
+      timestamp: new Date().toISOString(),
+      userAgent: req.headers["user-agent"] || null,
+      ip: req.ip,
+      status: "new",
+      replies: []
+    };
+
+    await feedbackRepository.update((feedback) => {
+      feedback.push(entry);
+    });
+
+    console.log(`💬 Feedback received from user ${entry.userId} (rating ${entry.rating})`);
+    res.status(201).json({ message: "Feedback submitted", feedback: entry });
+  } catch (error) {
+    console.error("Error submitting feedback:", error);
+    res.status(500).json({ error: "Failed to submit feedback" });
+  }
+});
+
+// List the current user's feedback, including admin replies
+router.get("/mine", verifyToken, async (req, res) => {
+  try {
+    const entries = (await feedbackRepository.read())
+      .filter(entry => entry.userId === req.user.userId)
+      .map(normalizeEntry)
+      .map(({ ip, userAgent, ...entry }) => entry)
+      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+
+    res.json(entries);
+  } catch (error) {
+    console.error("Error loading user feedback:", error);
+    res.status(500).json({ error: "Failed to load feedback" });
+  }
+});
+
+// Admin: list feedback with filtering and pagination
+router.get("/admin", verifyToken, requireAdmin, async (req, res) => {
+  try {
+    const validationError = validateDateFilters(req.query);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const entries = filterFeedback((await feedbackRepository.read()).map(normalizeEntry), req.query)
+      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+
+    res.json({
+      feedback: entries.slice((page - 1) * limit, page * limit),
+      pagination: {
+        page,
+        limit,
+        total: entries.length,
+        totalPages: Math.ceil(entries.length / limit)
+      }
+    });
+  } catch (error) {
+    console.error("Error listing feedback:", error);
+    res.status(500).json({ error: "Failed to list feedback" });
+  }
+});
+
+// Admin: aggregate stats over the (optionally filtered) feedback
+router.get("/admin/stats", verifyToken, requireAdmin, async (req, res) => {
+  try {
+    const validationError = validateDateFilters(req.query);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const entries = filterFeedback((await feedbackRepository.read()).map(normalizeEntry), req.query);
+
+    const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    const byStatus = Object.fromEntries(FEEDBACK_STATUSES.map(status => [status, 0]));
+    const perWeek = {};
+    let ratingTotal = 0;
+
+    entries.forEach(entry => {
+      distribution[entry.rating] = (distribution[entry.rating] || 0) + 1;
+      byStatus[entry.status] = (byStatus[entry.status] || 0) + 1;
+      ratingTotal += entry.rating;
+
+      const week = weekStartOf(entry.timestamp);
+      perWeek[week] = (perWeek[week] || 0) + 1;
+    });
+
+    res.json({
+      total: entries.length,
+      averageRating: entries.length ? Math.round((ratingTotal / entries.length) * 100) / 100 : null,
+      distribution,
+      byStatus,
+      submissionsPerWeek: Object.keys(perWeek)
+        .sort()
+        .map(weekStart => ({ weekStart, count: perWeek[weekStart] }))
+    });
+  } catch (error) {
+    console.error("Error computing feedback stats:", error);
+    res.status(500).json({ error: "Failed to compute feedback stats" });
+  }
+});
+
+// Admin: move feedback through the new → triaged → resolved workflow
+router.patch("/admin/:id/status", verifyToken, requireAdmin, async (req, res) => {
+  try {
+    const { status } = req.body;
+
+    if (!FEEDBACK_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Status must be one of: ${FEEDBACK_STATUSES.join(", ")}` });
+    }
+
+    const updated = await feedbackRepository.update((feedback) => {
+      const index = feedback.findIndex(entry => entry.id === req.params.id);
+      if (index === -1) {
+        return null;
+      }
+
+      feedback[index] = {
+        ...normalizeEntry(feedback[index]),
+        status,
+        statusUpdatedAt: new Date().toISOString(),
+        statusUpdatedBy: req.user.userId
+      };
+      return feedback[index];
+    });
+
+    if (!updated) {
+      return res.status(404).json({ error: "Feedback not found" });
+    }
+
+    res.json({ message: "Feedback status updated", feedback: updated });
+  } catch (error) {
+    console.error("Error updating feedback status:", error);
+    res.status(500).json({ error: "Failed to update feedback status" });
+  }
+});
+
+// Admin: reply to feedback (visible to the submitter via GET /mine)
+router.post("/admin/:id/reply", verifyToken, requireAdmin, async (req, res) => {
+  try {
+    const { message } = req.body;
+
+    if (!message || typeof message !== "string" || !message.trim()) {
+      return res.status(400).json({ error: "Reply message is required" });
+    }
+
+    if (message.length > MAX_TEXT_LENGTH) {
+      return res.status(400).json({ error: `Reply must be at most ${MAX_TEXT_LENGTH} characters` });
+    }
+
+    const reply = {
+      id: Date.now().toString(),
+      adminId: req.user.userId,
+      message: message.trim(),
+      timestamp: new Date().toISOString()
+    };
+
+    const entry = await feedbackRepository.update((feedback) => {
+      const index = feedback.findIndex(item => item.id === req.params.id);
+      if (index === -1) {
+        return null;
+      }
+
+      const updated = normalizeEntry(feedback[index]);
+      updated.replies = [...updated.replies, reply];
+
+      // Replying to untouched feedback implies it has been looked at
+      if (updated.status === "new") {
+        updated.status = "triaged";
+        updated.statusUpdatedAt = reply.timestamp;
+        updated.statusUpdatedBy = req.user.userId;
+      }
+
+      feedback[index] = updated;
+      return updated;
+    });
+
+    if (!entry) {
+      return res.status(404).json({ error: "Feedback not found" });
+    }
+
+    res.status(201).json({ message: "Reply added", reply, feedback: entry });
+  } catch (error) {
+    console.error("Error replying to feedback:", error);
+    res.status(500).json({ error: "Failed to reply to feedback" });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,260 @@
+const express = require("express");
+const router = express.Router();
+const { verifyToken } = require("../middleware/auth");
+const listeningHistoryService = require("../services/listeningHistoryService");
+const listeningAnalyticsService = require("../services/listeningAnalyticsService");
+const scrobbleFormats = require("../services/scrobbleFormats");
+const scrobbleService = require("../services/scrobbleService");
+
+const MAX_IMPORT_SCROBBLES = 50000;
+// Invalid rows listed in an import response; the summary counts them all
+const MAX_REPORTED_INVALID = 100;
+
+// Plays are recorded by playback sessions (/api/playback) and POST
+// /api/stats/track-play; these routes read and manage the signed-in user's history
+router.use(verifyToken);
+
+const isValidDate = (value) => !Number.isNaN(new Date(value).getTime());
+
+// Paginated history, newest first. ?page, ?limit (max 100), ?from, ?to
+router.get("/", async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    if ((from && !isValidDate(from)) || (to && !isValidDate(to))) {
+      return res.status(400).json({ error: "from and to must be valid dates" });
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 100);
+
+    const { entries, pagination } = await listeningHistoryService.list(req.user.userId, { page, limit, from, to });
+    const { paused } = await listeningHistoryService.getSettings(req.user.userId);
+
+    res.json({ history: entries, pagination, paused });
+  } catch (error) {
+    console.error("Error loading listening history:", error);
+    res.status(500).json({ error: "Failed to load listening history" });
+  }
+});
+
+// Recently played: each track once, at its latest play. ?limit (max 50)
+router.get("/recent", async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
+    const tracks = await listeningHistoryService.recent(req.user.userId, limit);
+    res.json({ tracks, count: tracks.length });
+  } catch (error) {
+    console.error("Error loading recently played:", error);
+    res.status(500).json({ error: "Failed to load recently played" });
+  }
+});
+
+router.get("/settings", async (req, res) => {
+  try {
+    res.json(await listeningHistoryService.getSettings(req.user.userId));
+  } catch (error) {
+    console.error("Error loading history settings:", error);
+    res.status(500).json({ error: "Failed to load history settings" });
+  }
+});
+
+// { paused: true } stops new plays from being added to the history
+router.patch("/settings", async (req, res) => {
+  try {
+    const { paused } = req.body;
+    if (typeof paused !== "boolean") {
+      return res.status(400).json({ error: "paused must be true or false" });
+    }
+
+    const settings = await listeningHistoryService.setPaused(req.user.userId, paused);
+    console.log(`⏸️ History ${paused ? "paused" : "resumed"} for user ${req.user.userId}`);
+    res.json({ success: true, ...settings });
+  } catch (error) {
+    console.error("Error updating history settings:", error);
+    res.status(500).json({ error: "Failed to update history settings" });
+  }
+});
+
+const unknownFormat = (res, format) => res.status(400).json({
+  error: `Unknown format "${format}"`,
+  validFormats: Object.keys(scrobbleFormats.FORMATS)
+});
+
+// Download the history as ListenBrainz listens (?format=listenbrainz, the
+// default) or Last.fm-style CSV (?format=lastfm). ?from and ?to limit the range.
+router.get("/export", async (req, res) => {
+  try {
+    const format = String(req.query.format || "listenbrainz").toLowerCase();
+    if (!scrobbleFormats.isFormat(format)) {
+      return unknownFormat(res, format);
+    }
+
+    const { from, to } = req.query;
+    if ((from && !isValidDate(from)) || (to && !isValidDate(to))) {
+      return res.status(400).json({ error: "from and to must be valid dates" });
+    }
+
+    const fromTime = from ? new Date(from).getTime() : -Infinity;
+    const toTime = to ? new Date(to).getTime() : Infinity;
+    const entries = (await listeningHistoryService.getEntries(req.user.userId)).filter(entry => {
+      const time = new Date(entry.playedAt).getTime();
+      return time >= fromTime && time <= toTime;
+    });
+
+    const { body, contentType, extension } = scrobbleFormats.serialize(entries, format);
+    res.set("Content-Type", contentType);
+    res.set("Content-Disposition", `attachment; filename="tunestream-listens.${extension}"`);
+    res.send(body);
+  } catch (error) {
+    console.error("Error exporting listening history:", error);
+    res.status(500).json({ error: "Failed to export listening history" });
+  }
+});
+
+// Import plays from another service: { content, format?, dryRun? } with the
+// file as a string; format ("listenbrainz" or "lastfm") is detected when
+// omitted. Plays already in the history (same second, same song) are skipped.
+router.post("/import", async (req, res) => {
+  try {
+    const { content, format, dryRun = false } = req.body;
+    const { userId } = req.user;
+
+    if (!content || typeof content !== "string") {
+      return res.status(400).json({ error: "File content is required as a string" });
+    }
+    if (format !== undefined && !scrobbleFormats.isFormat(format)) {
+      return unknownFormat(res, format);
+    }
+
+    let parsed;
+    try {
+      parsed = scrobbleFormats.parse(content, format);
+    } catch (error) {
+      if (error instanceof scrobbleFormats.ScrobbleFormatError) {
+        return res.status(400).json({ error: error.message });
+      }
+      throw error;
+    }
+
+    if (parsed.scrobbles.length === 0) {
+      return res.status(400).json({ error: "No plays found in the file", format: parsed.format });
+    }
+    if (parsed.scrobbles.length > MAX_IMPORT_SCROBBLES) {
+      return res.status(400).json({ error: `Files can have at most ${MAX_IMPORT_SCROBBLES} plays` });
+    }
+
+    if (dryRun) {
+      const valid = parsed.scrobbles.filter(scrobble => scrobble.listenedAt && scrobble.title && scrobble.artist);
+      return res.json({
+        message: "Dry run - nothing was saved",
+        format: parsed.format,
+        summary: { total: parsed.scrobbles.length, valid: valid.length, invalid: parsed.scrobbles.length - valid.length },
+        preview: valid.slice(0, 10)
+      });
+    }
+
+    console.log(`📥 Importing ${parsed.scrobbles.length} ${parsed.format} plays for user ${userId}`);
+    const { imported, duplicates, invalid, trimmed } = await listeningHistoryService.importScrobbles(userId, parsed.scrobbles);
+    await listeningAnalyticsService.addHistoryEntries(userId, imported);
+
+    const summary = { total: parsed.scrobbles.length, imported: imported.length, duplicates, invalid: invalid.length, trimmed };
+    console.log(`📥 History import done: ${summary.imported} imported, ${duplicates} duplicates, ${invalid.length} invalid`);
+    res.status(201).json({
+      message: "Listening history imported",
+      format: parsed.format,
+      summary,
+      invalid: invalid.slice(0, MAX_REPORTED_INVALID)
+    });
+  } catch (error) {
+    console.error("Error importing listening history:", error);
+    res.status(500).json({ error: "Failed to import listening history" });
+  }
+});
+
+// Outbound scrobbling (ListenBrainz-compatible, see scrobbleService)
+router.get("/scrobbling", async (req, res) => {
+  try {
+    res.json(await scrobbleService.getStatus(req.user.userId));
+  } catch (error) {
+    console.error("Error loading scrobbling status:", error);
+    res.status(500).json({ error: "Failed to load scrobbling status" });
+  }
+});
+
+// { token, enabled? } connects (or replaces the token); { enabled } alone
+// turns scrobbling on or off
+router.put("/scrobbling", async (req, res) => {
+  try {
+    const { token, enabled = true } = req.body;
+    const { userId } = req.user;
+
+    if (token !== undefined && (typeof token !== "string" || !token.trim() || token.length > 200)) {
+      return res.status(400).json({ error: "token must be a non-empty string" });
+    }
+    if (typeof enabled !== "boolean") {
+      return res.status(400).json({ error: "enabled must be true or false" });
+    }
+
+    const current = await scrobbleService.getStatus(userId);
+    if (!current.connected && !token) {
+      return res.status(400).json({ error: "token is required to connect scrobbling" });
+    }
+
+    const status = await scrobbleService.connect(userId, { token: token && token.trim(), enabled });
+    console.log(`📡 Scrobbling ${enabled ? "enabled" : "disabled"} for user ${userId}`);
+    res.json({ success: true, ...status });
+  } catch (error) {
+    console.error("Error updating scrobbling:", error);
+    res.status(500).json({ error: "Failed to update scrobbling" });
+  }
+});
+
+router.delete("/scrobbling", async (req, res) => {
+  try {
+    const dropped = await scrobbleService.disconnect(req.user.userId);
+    res.json({ success: true, message: "Scrobbling disconnected", dropped });
+  } catch (error) {
+    console.error("Error disconnecting scrobbling:", error);
+    res.status(500).json({ error: "Failed to disconnect scrobbling" });
+  }
+});
+
+// Submit queued plays now instead of waiting for the next scheduled flush
+router.post("/scrobbling/flush", async (req, res) => {
+  try {
+    const result = await scrobbleService.flush(req.user.userId);
+    res.json({ ...result, status: await scrobbleService.getStatus(req.user.userId) });
+  } catch (error) {
+    console.error("Error flushing scrobbles:", error);
+    res.status(500).json({ error: "Failed to submit scrobbles" });
+  }
+});
+
+// Clear the whole history
+router.delete("/", async (req, res) => {
+  try {
+    const removed = await listeningHistoryService.clear(req.user.userId);
+    await listeningAnalyticsService.clearUser(req.user.userId);
+    console.log(`🧹 Listening history cleared for user ${req.user.userId} (${removed} entries)`);
+    res.json({ success: true, removed });
+  } catch (error) {
+    console.error("Error clearing listening history:", error);
+    res.status(500).json({ error: "Failed to clear listening history" });
+  }
+});
+
+router.delete("/:entryId", async (req, res) => {
+  try {
+    const deleted = await listeningHistoryService.deleteEntry(req.user.userId, req.params.entryId);
+    if (!deleted) {
+      return res.status(404).json({ error: "History entry not found" });
+    }
+    await listeningAnalyticsService.removeHistoryEntries(req.user.userId, [deleted]);
+    res.json({ success: true, message: "History entry deleted" });
+  } catch (error) {
+    console.error("Error deleting history entry:", error);
+    res.status(500).json({ error: "Failed to delete history entry" });
+  }
+});
+
+module.exports = router;
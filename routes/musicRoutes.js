@@ -1,221 +1,236 @@
 const express = require('express');
 const router = express.Router();
+const trackModel = require('../services/trackModel');
+const providerRegistry = require('../services/providerRegistry');
+const federatedSearch = require('../services/federatedSearch');
+const { breakerStates } = require('../services/upstreamClient');
+const responseCache = require('../services/responseCache');
+const upstreamRecorder = require('../services/upstreamRecorder');
+const tokenService = require('../services/tokenService');
+const { verifyToken, requireAdmin, isAdmin } = require('../middleware/auth');
 
-// 🎛️ SMART SERVICE SWITCHING - Environment controlled
-const USE_DEMO_MODE = process.env.USE_DEMO_MODE === 'true';
-
-let musicService;
-let serviceInfo;
+// "chain": first available provider answers; "federated": all enabled providers, merged
+const SEARCH_MODES = ['chain', 'federated'];
 
+// 🎛️ PROVIDER REGISTRY - priority chain from MUSIC_PROVIDERS (or USE_DEMO_MODE)
 console.log('🎛️ Music Service Initialization...');
-console.log(`📋 Environment USE_DEMO_MODE: ${process.env.USE_DEMO_MODE}`);
-console.log(`🎯 Resolved Demo Mode: ${USE_DEMO_MODE}`);
-
-try {
-  if (USE_DEMO_MODE) {
-    console.log('🎭 Loading Demo Music Service...');
-    musicService = require('../services/demoMusicService');
-    serviceInfo = {
-      name: 'Demo Music Service',
-      type: 'demo',
-      description: 'Perfect for development and testing - no API keys required!',
-      icon: '🎭',
-      mode: 'Development'
-    };
-    console.log('✅ Demo Music Service loaded successfully');
-  } else {
-    console.log('🎵 Loading Spotify Web API Service...');
-    console.log(`🔑 Spotify Client ID: ${process.env.SPOTIFY_CLIENT_ID ? 'SET' : 'MISSING'}`);
-    console.log(`🔐 Spotify Client Secret: ${process.env.SPOTIFY_CLIENT_SECRET ? 'SET' : 'MISSING'}`);
-    
-    musicService = require('../services/spotifyService');
-    serviceInfo = {
-      name: 'Spotify Web API',
-      type: 'spotify',
-      description: 'Real-time music data from millions of songs',
-      icon: '🎵',
-      mode: 'Production'
-    };
-    console.log('✅ Spotify Web API service loaded');
+console.log(`📋 Registered providers: ${providerRegistry.names().join(', ')}`);
+console.log(`🎯 Active chain: ${providerRegistry.getPriority().join(' → ')}`);
+
+const environmentInfo = () => ({
+  musicProviders: process.env.MUSIC_PROVIDERS || null,
+  demoMode: process.env.USE_DEMO_MODE === 'true',
+  spotifyConfigured: !!(process.env.SPOTIFY_CLIENT_ID && process.env.SPOTIFY_CLIENT_SECRET),
+  upstreamMode: upstreamRecorder.MODE,
+  nodeEnv: process.env.NODE_ENV || 'development'
+});
+
+// Status for a failed provider call: the registry's own status, 503 while an
+// upstream is shedding load (open circuit, rate limit), 502 for any other
+// upstream failure and 500 for our own bugs
+const failureStatus = (error) => {
+  if (error instanceof providerRegistry.ProviderError) return error.status;
+  if (error.code === 'CIRCUIT_OPEN' || error.response?.status === 429) return 503;
+  if (error.isAxiosError || error.name === 'UpstreamError' || error.code === 'PROVIDER_TIMEOUT') return 502;
+  return 500;
+};
+
+// Whether an optional bearer token belongs to an admin, who may switch providers.
+// Missing or invalid tokens just mean "no" on the public routes.
+const callerIsAdmin = async (req) => {
+  const token = req.headers.authorization?.replace('Bearer ', '');
+  if (!token) return false;
+
+  try {
+    const { userId } = await tokenService.verifyAccessToken(token);
+    return await isAdmin(userId);
+  } catch (error) {
+    if (!(error instanceof tokenService.TokenError)) {
+      console.error('Admin check error:', error);
+    }
+    return false;
   }
-} catch (error) {
-  console.error('❌ Error loading primary music service:', error.message);
-  console.log('🔄 Emergency fallback to demo service...');
-  
-  // Emergency fallback to demo service
-  musicService = require('../services/demoMusicService');
-  serviceInfo = {
-    name: 'Demo Music Service (Emergency Fallback)',
-    type: 'demo-fallback',
-    description: 'Emergency fallback - Primary service unavailable',
-    icon: '🛡️',
-    mode: 'Resilient'
-  };
-  console.log('✅ Emergency fallback service loaded');
-}
-
-console.log(`🎯 Active Music Service: ${serviceInfo.name} (${serviceInfo.mode} Mode)`);
-
-// Health check with comprehensive service information
+};
+
+// Reply for a request no provider could serve
+const providerFailure = (res, error, fallbackMessage) => {
+  const status = failureStatus(error);
+  res.status(status).json({
+    error: fallbackMessage,
+    message: error.message,
+    providers: providerRegistry.getPriority(),
+    timestamp: new Date().toISOString()
+  });
+};
+
+// Health check covering every registered provider
 router.get('/health', async (req, res) => {
   try {
     console.log('🔍 Health check requested');
-    const health = await musicService.healthCheck();
-    
+    const providers = await providerRegistry.report();
+    const enabled = providers.filter(provider => provider.enabled).sort((a, b) => a.priority - b.priority);
+    const primary = enabled[0];
+    const isHealthy = provider => provider.health && provider.health.status === 'OK';
+    const healthy = enabled.filter(isHealthy);
+    const fallback = providers.find(provider => provider.fallback && !provider.enabled && isHealthy(provider));
+    if (fallback) {
+      healthy.push(fallback);
+    }
+
+    // OK: primary healthy; DEGRADED: serving from a fallback; ERROR: nothing works
+    const status = healthy.length === 0 ? 'ERROR' : healthy[0] === primary ? 'OK' : 'DEGRADED';
+
+    const capabilities = {};
+    providerRegistry.CAPABILITIES.forEach(capability => {
+      capabilities[capability] = healthy.some(provider => provider.capabilities[capability]);
+    });
+
     const response = {
-      status: health.status,
-      message: `TuneStream Music API - ${serviceInfo.mode} Mode`,
+      status,
+      message: `TuneStream Music API - ${primary.mode} Mode`,
       service: {
-        name: serviceInfo.name,
-        type: serviceInfo.type,
-        description: serviceInfo.description,
-        icon: serviceInfo.icon,
-        mode: serviceInfo.mode
-      },
-      environment: {
-        demoMode: USE_DEMO_MODE,
-        spotifyConfigured: !!(process.env.SPOTIFY_CLIENT_ID && process.env.SPOTIFY_CLIENT_SECRET),
-        nodeEnv: process.env.NODE_ENV || 'development'
-      },
-      features: USE_DEMO_MODE 
-        ? ['Demo data', 'No API limits', 'Instant response', 'Development ready', 'Offline capable']
-        : ['Real Spotify data', 'Millions of songs', '30-second previews', 'Production ready', 'Live updates'],
-      capabilities: {
-        search: true,
-        trending: true,
-        categories: true,
-        recommendations: true,
-        trackDetails: true,
-        realTimeData: !USE_DEMO_MODE,
-        previewPlayback: !USE_DEMO_MODE
+        name: primary.displayName,
+        type: primary.name,
+        description: primary.description,
+        icon: primary.icon,
+        mode: primary.mode
       },
+      providers,
+      circuitBreakers: breakerStates(),
+      environment: environmentInfo(),
+      capabilities,
       timestamp: new Date().toISOString(),
-      version: '2.0.0-smart',
+      version: '3.0.0-registry',
       uptime: process.uptime()
     };
-    
-    console.log('✅ Health check completed successfully');
-    res.json(response);
+
+    console.log(`✅ Health check completed: ${status}`);
+    res.status(status === 'ERROR' ? 503 : 200).json(response);
   } catch (error) {
     console.error('❌ Health check failed:', error);
-    res.status(500).json({ 
+    res.status(500).json({
       error: 'Health check failed',
-      service: serviceInfo.name,
-      type: serviceInfo.type,
       message: error.message,
       timestamp: new Date().toISOString()
     });
   }
 });
 
-// Mode switching endpoint
-router.post('/switch-mode', async (req, res) => {
+// Choose the primary provider ({ provider } or legacy { mode }), or set the
+// whole chain with { priority: ["jamendo", "demo"] }. Admins only.
+router.post('/switch-mode', verifyToken, requireAdmin, async (req, res) => {
   try {
-    const { mode } = req.body;
-    
-    if (!['demo', 'spotify'].includes(mode)) {
-      return res.status(400).json({ 
-        error: 'Invalid mode', 
-        validModes: ['demo', 'spotify'],
-        current: serviceInfo.type
+    const { mode, provider, priority } = req.body;
+    const previous = providerRegistry.getPriority();
+
+    if (Array.isArray(priority)) {
+      providerRegistry.setPriority(priority);
+    } else if (provider || mode) {
+      providerRegistry.select(provider || mode);
+    } else {
+      return res.status(400).json({
+        error: 'Provide a provider name or a priority list',
+        validProviders: providerRegistry.names(),
+        current: previous
       });
     }
-    
-    console.log(`🔄 Mode switch requested: ${serviceInfo.type} → ${mode}`);
-    
-    // Update environment variable
-    const oldMode = USE_DEMO_MODE;
-    process.env.USE_DEMO_MODE = mode === 'demo' ? 'true' : 'false';
-    
-    // Reload service
-    try {
-      if (mode === 'demo') {
-        musicService = require('../services/demoMusicService');
-        serviceInfo = {
-          name: 'Demo Music Service',
-          type: 'demo',
-          description: 'Switched to development mode',
-          icon: '🎭',
-          mode: 'Development'
-        };
-      } else {
-        musicService = require('../services/spotifyService');
-        serviceInfo = {
-          name: 'Spotify Web API',
-          type: 'spotify', 
-          description: 'Switched to production mode',
-          icon: '🎵',
-          mode: 'Production'
-        };
-      }
-      
-      console.log(`✅ Successfully switched to ${serviceInfo.name}`);
-      
-      res.json({
-        success: true,
-        message: `Successfully switched from ${oldMode ? 'demo' : 'spotify'} to ${mode} mode`,
-        service: serviceInfo,
-        timestamp: new Date().toISOString()
-      });
-    } catch (switchError) {
-      console.error('❌ Mode switch failed:', switchError.message);
-      res.status(500).json({
-        error: 'Mode switch failed',
-        message: switchError.message,
-        currentService: serviceInfo.name
+
+    const current = providerRegistry.getPriority();
+    console.log(`🔄 Provider chain switched: ${previous.join(' → ')} ⇒ ${current.join(' → ')}`);
+
+    res.json({
+      success: true,
+      message: `Primary provider is now ${current[0]}`,
+      previous,
+      priority: current,
+      service: providerRegistry.describe(providerRegistry.primary()),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    if (error instanceof providerRegistry.ProviderError) {
+      return res.status(error.status).json({
+        error: error.message,
+        validProviders: providerRegistry.names()
       });
     }
-  } catch (error) {
     console.error('❌ Mode switch error:', error);
-    res.status(500).json({ 
+    res.status(500).json({
       error: 'Mode switch failed',
       message: error.message
     });
   }
 });
 
-// Search tracks with enhanced logging
+// Search tracks with enhanced logging. ?mode=federated (or SEARCH_MODE)
+// searches every enabled provider at once and reports each one in meta.providers.
 router.get('/search', async (req, res) => {
   try {
-    const { q, limit = 20, offset = 0 } = req.query;
-    
+    const { q, limit = 20, mode = process.env.SEARCH_MODE || 'chain' } = req.query;
+
     if (!q || q.trim().length === 0) {
-      return res.status(400).json({ 
+      return res.status(400).json({
         error: 'Search query is required and cannot be empty',
         example: '/api/music/search?q=shape+of+you'
       });
     }
 
+    if (!SEARCH_MODES.includes(mode)) {
+      return res.status(400).json({
+        error: `Invalid search mode. Use one of: ${SEARCH_MODES.join(', ')}`
+      });
+    }
+
     const query = q.trim();
-    console.log(`🔍 ${serviceInfo.type.toUpperCase()} Search: "${query}" (limit: ${limit})`);
-    
+    console.log(`🔍 Search (${mode}): "${query}" (limit: ${limit})`);
+
     const startTime = Date.now();
-    const results = await musicService.searchTracks(query, parseInt(limit));
+
+    if (mode === 'federated') {
+      const { tracks, providers, merged } = await federatedSearch.search(query, { limit: parseInt(limit) });
+      const responseTime = Date.now() - startTime;
+      const failed = providers.filter(provider => provider.status !== 'ok');
+
+      console.log(`📊 Federated search: ${tracks.length} tracks from ${providers.length} providers (${failed.length} failed) in ${responseTime}ms`);
+
+      return res.json({
+        tracks,
+        meta: {
+          query,
+          count: tracks.length,
+          limit: parseInt(limit),
+          mode,
+          service: 'federated',
+          partial: failed.length > 0,
+          providers,
+          duplicatesMerged: merged,
+          responseTime: `${responseTime}ms`,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    const { result, provider } = await providerRegistry.invoke('search', service => service.searchTracks(query, parseInt(limit)));
     const responseTime = Date.now() - startTime;
-    
+
     // Handle different response formats
-    const tracks = results.tracks || results;
-    console.log(`📊 Search results: ${tracks.length} tracks found in ${responseTime}ms`);
-    
+    const tracks = result.tracks || result;
+    console.log(`📊 Search results: ${tracks.length} tracks from ${provider.name} in ${responseTime}ms`);
+
     res.json({
       tracks,
       meta: {
         query,
         count: tracks.length,
         limit: parseInt(limit),
-        service: serviceInfo.type,
+        mode,
+        service: provider.name,
         responseTime: `${responseTime}ms`,
         timestamp: new Date().toISOString()
       }
     });
   } catch (error) {
-    console.error('❌ Search endpoint error:', error);
-    res.status(500).json({ 
-      error: 'Search failed',
-      message: 'Unable to search tracks at this time',
-      service: serviceInfo.type,
-      timestamp: new Date().toISOString()
-    });
+    console.error('❌ Search endpoint error:', error.message);
+    providerFailure(res, error, 'Search failed');
   }
 });
 
@@ -223,33 +238,28 @@ router.get('/search', async (req, res) => {
 router.get('/trending', async (req, res) => {
   try {
     const { limit = 50 } = req.query;
-    
-    console.log(`📈 Fetching ${limit} trending tracks via ${serviceInfo.name}...`);
+
+    console.log(`📈 Fetching ${limit} trending tracks...`);
     const startTime = Date.now();
-    
-    const tracks = await musicService.getTrendingTracks(parseInt(limit));
+
+    const { result: tracks, provider } = await providerRegistry.invoke('trending', service => service.getTrendingTracks(parseInt(limit)));
     const responseTime = Date.now() - startTime;
-    
-    console.log(`🎵 Trending: ${tracks.length} tracks delivered in ${responseTime}ms via ${serviceInfo.type}`);
-    
+
+    console.log(`🎵 Trending: ${tracks.length} tracks delivered in ${responseTime}ms via ${provider.name}`);
+
     res.json({
       tracks,
       meta: {
         count: tracks.length,
         requested: parseInt(limit),
-        service: serviceInfo.type,
+        service: provider.name,
         responseTime: `${responseTime}ms`,
         timestamp: new Date().toISOString()
       }
     });
   } catch (error) {
-    console.error('❌ Trending endpoint error:', error);
-    res.status(500).json({ 
-      error: 'Failed to get trending music',
-      message: 'Unable to fetch trending tracks at this time',
-      service: serviceInfo.type,
-      timestamp: new Date().toISOString()
-    });
+    console.error('❌ Trending endpoint error:', error.message);
+    providerFailure(res, error, 'Failed to get trending music');
   }
 });
 
@@ -257,31 +267,27 @@ router.get('/trending', async (req, res) => {
 router.get('/categories', async (req, res) => {
   try {
     const { limit = 20 } = req.query;
-    
-    console.log(`📂 Fetching ${limit} categories via ${serviceInfo.type}...`);
+
+    console.log(`📂 Fetching ${limit} categories...`);
     const startTime = Date.now();
-    
-    const categories = await musicService.getCategories(parseInt(limit));
+
+    const { result: categories, provider } = await providerRegistry.invoke('categories', service => service.getCategories(parseInt(limit)));
     const responseTime = Date.now() - startTime;
-    
-    console.log(`📂 Categories: ${categories.length} found in ${responseTime}ms`);
-    
+
+    console.log(`📂 Categories: ${categories.length} found in ${responseTime}ms via ${provider.name}`);
+
     res.json({
       categories,
       meta: {
         count: categories.length,
-        service: serviceInfo.type,
+        service: provider.name,
         responseTime: `${responseTime}ms`,
         timestamp: new Date().toISOString()
       }
     });
   } catch (error) {
-    console.error('❌ Categories endpoint error:', error);
-    res.status(500).json({ 
-      error: 'Failed to get categories',
-      message: 'Unable to fetch music categories at this time',
-      service: serviceInfo.type
-    });
+    console.error('❌ Categories endpoint error:', error.message);
+    providerFailure(res, error, 'Failed to get categories');
   }
 });
 
@@ -289,124 +295,165 @@ router.get('/categories', async (req, res) => {
 router.get('/recommendations', async (req, res) => {
   try {
     const { genres, limit = 20 } = req.query;
-    
+
     const seedGenres = genres ? genres.split(',').map(g => g.trim()) : ['pop', 'rock'];
-    
-    console.log(`🎯 Getting ${limit} recommendations for [${seedGenres.join(', ')}] via ${serviceInfo.type}`);
+
+    console.log(`🎯 Getting ${limit} recommendations for [${seedGenres.join(', ')}]`);
     const startTime = Date.now();
-    
-    const recommendations = await musicService.getRecommendations(seedGenres, parseInt(limit));
+
+    const { result: recommendations, provider } = await providerRegistry.invoke(
+      'recommendations',
+      service => service.getRecommendations(seedGenres, parseInt(limit))
+    );
     const responseTime = Date.now() - startTime;
-    
-    console.log(`💡 Recommendations: ${recommendations.length} tracks in ${responseTime}ms`);
-    
+
+    console.log(`💡 Recommendations: ${recommendations.length} tracks in ${responseTime}ms via ${provider.name}`);
+
     res.json({
       tracks: recommendations,
       meta: {
         seedGenres,
         count: recommendations.length,
-        service: serviceInfo.type,
+        service: provider.name,
         responseTime: `${responseTime}ms`,
         timestamp: new Date().toISOString()
       }
     });
   } catch (error) {
-    console.error('❌ Recommendations endpoint error:', error);
-    res.status(500).json({ 
-      error: 'Failed to get recommendations',
-      message: 'Unable to fetch recommendations at this time',
-      service: serviceInfo.type
-    });
+    console.error('❌ Recommendations endpoint error:', error.message);
+    providerFailure(res, error, 'Failed to get recommendations');
   }
 });
 
-// Get track details with service-specific handling
+// Get track details. A namespaced id ("spotify:…") goes to that provider;
+// anything else goes down the trackDetails chain.
 router.get('/track/:id', async (req, res) => {
   try {
     const { id } = req.params;
-    
-    if (!id) {
-      return res.status(400).json({ 
-        error: 'Track ID is required',
-        example: '/api/music/track/4iV5W9uYEdYUVa79Axb7Rh'
-      });
-    }
-    
-    console.log(`🎵 Fetching track details: ${id} via ${serviceInfo.type}`);
-    
+    const { provider: owner } = trackModel.parseTrackId(id);
+
+    console.log(`🎵 Fetching track details: ${id}`);
+
     let track;
-    if (typeof musicService.getTrackDetails === 'function') {
-      track = await musicService.getTrackDetails(id);
+    let servedBy;
+
+    if (owner && providerRegistry.has(owner)) {
+      const provider = providerRegistry.get(owner);
+      servedBy = provider.name;
+
+      if (provider.capabilities.trackDetails) {
+        track = await provider.service.getTrackDetails(id);
+      } else {
+        return res.status(501).json({
+          error: `The ${owner} provider does not support track details`,
+          trackId: id
+        });
+      }
     } else {
-      // Fallback for services without getTrackDetails method
-      track = {
-        id: id,
-        title: `Demo Track ${id}`,
-        artist: 'Demo Artist',
-        album: 'Demo Album',
-        cover_url: `https://picsum.photos/300/300?random=${id}`,
-        audio_url: null,
-        duration: 180 + Math.floor(Math.random() * 120),
-        external_url: 'https://open.spotify.com',
-        popularity: Math.floor(Math.random() * 50) + 50,
-        explicit: false,
-        genre: 'Pop',
-        service: serviceInfo.type
-      };
+      const { result, provider } = await providerRegistry.invoke('trackDetails', service => service.getTrackDetails(id));
+      track = result;
+      servedBy = provider.name;
     }
-    
+
     if (!track) {
-      return res.status(404).json({ 
+      return res.status(404).json({
         error: 'Track not found',
         message: 'The requested track could not be found',
         trackId: id,
-        service: serviceInfo.type
+        service: servedBy
       });
     }
-    
+
     console.log(`✅ Track details retrieved: ${track.title} by ${track.artist}`);
     res.json(track);
   } catch (error) {
-    console.error('❌ Track details endpoint error:', error);
-    res.status(500).json({ 
-      error: 'Failed to get track details',
-      message: 'Unable to fetch track information at this time',
-      service: serviceInfo.type,
-      trackId: req.params.id
-    });
+    console.error('❌ Track details endpoint error:', error.message);
+    providerFailure(res, error, 'Failed to get track details');
   }
 });
 
+// Preview audio for demo catalog tracks (see demoCatalog)
+router.get('/demo/preview/:file', (req, res) => {
+  const match = req.params.file.match(/^(\d+)\.wav$/);
+  const audio = match && providerRegistry.get('demo').service.getPreview(match[1]);
+
+  if (!audio) {
+    return res.status(404).json({ error: 'Preview not found' });
+  }
+
+  res.set({
+    'Content-Type': 'audio/wav',
+    'Content-Length': audio.length,
+    'Cache-Control': 'public, max-age=86400'
+  });
+  res.send(audio);
+});
+
 // Service information endpoint
-router.get('/service-info', (req, res) => {
+router.get('/service-info', async (req, res) => {
+  const primary = providerRegistry.primary();
+
   res.json({
-    current: serviceInfo,
-    environment: {
-      demoMode: USE_DEMO_MODE,
-      spotifyConfigured: !!(process.env.SPOTIFY_CLIENT_ID && process.env.SPOTIFY_CLIENT_SECRET),
-      nodeEnv: process.env.NODE_ENV || 'development'
-    },
+    current: providerRegistry.describe(primary),
+    providers: providerRegistry.names().map(name => providerRegistry.describe(providerRegistry.get(name))),
+    environment: environmentInfo(),
     switching: {
-      available: ['demo', 'spotify'],
-      current: serviceInfo.type,
-      canSwitch: true
+      available: providerRegistry.names(),
+      priority: providerRegistry.getPriority(),
+      current: primary.name,
+      canSwitch: await callerIsAdmin(req)
     },
     performance: {
       uptime: process.uptime(),
       memoryUsage: process.memoryUsage(),
       timestamp: new Date().toISOString()
     },
-    version: '2.0.0-smart'
+    version: '3.0.0-registry'
+  });
+});
+
+// Admin: cache hit ratios per provider method
+router.get('/admin/cache', verifyToken, requireAdmin, (req, res) => {
+  res.json({
+    cache: responseCache.report(),
+    timestamp: new Date().toISOString()
   });
 });
 
+// Admin: drop cached responses. Filters (query or body): provider, method,
+// key; with none, the whole cache is cleared.
+router.delete('/admin/cache', verifyToken, requireAdmin, async (req, res) => {
+  try {
+    const { provider, method, key } = { ...req.query, ...req.body };
+
+    if (provider && !providerRegistry.has(provider)) {
+      return res.status(400).json({
+        error: `Unknown provider "${provider}"`,
+        validProviders: providerRegistry.names()
+      });
+    }
+
+    const removed = await responseCache.invalidate({ provider, method, key });
+    console.log(`🧹 Admin ${req.user.email} invalidated ${removed} cache entries`);
+
+    res.json({
+      success: true,
+      removed,
+      filter: { provider: provider || null, method: method || null, key: key || null }
+    });
+  } catch (error) {
+    console.error('❌ Cache invalidation error:', error);
+    res.status(500).json({ error: 'Cache invalidation failed' });
+  }
+});
+
 // Error handling middleware
 router.use((error, req, res, next) => {
   console.error('❌ Music routes error:', error);
   res.status(500).json({
     error: 'Internal server error',
     message: 'Something went wrong with the music service',
-    service: serviceInfo?.type || 'unknown',
+    service: providerRegistry.getPriority()[0] || 'unknown',
     endpoint: req.path,
     method: req.method,
     timestamp: new Date().toISOString()
@@ -0,0 +1,90 @@
+const express = require("express");
+const router = express.Router();
+const { verifyToken } = require("../middleware/auth");
+const playRecorder = require("../services/playRecorder");
+const playbackSessionService = require("../services/playbackSessionService");
+
+// Server-timed playback for the signed-in user. Start a session when a track
+// starts, then post its events; the play is counted (stats, history,
+// analytics, scrobbling) when the session ends and passes the play rules.
+router.use(verifyToken);
+
+const sendPlaybackError = (res, error, fallback) => {
+  if (error instanceof playbackSessionService.PlaybackError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`${fallback}:`, error);
+  return res.status(500).json({ error: fallback });
+};
+
+// The play rules in force
+router.get("/rules", (req, res) => {
+  res.json({ ...playRecorder.RULES, events: ["start", ...playbackSessionService.EVENT_TYPES] });
+});
+
+// Open (playing or paused) sessions
+router.get("/sessions", async (req, res) => {
+  try {
+    const sessions = await playbackSessionService.listOpen(req.user.userId);
+    res.json({ sessions, count: sessions.length });
+  } catch (error) {
+    sendPlaybackError(res, error, "Failed to load playback sessions");
+  }
+});
+
+// Start event: { songId | song, device?, position? }. Ends the open session
+// on the same device, which is reported in `ended` with its play outcome.
+router.post("/sessions", async (req, res) => {
+  try {
+    const { song, device, position = 0 } = req.body;
+    const songId = req.body.songId || (song && song.id);
+
+    if (!songId) {
+      return res.status(400).json({ error: "songId required" });
+    }
+    if (typeof position !== "number" || !Number.isFinite(position) || position < 0) {
+      return res.status(400).json({ error: "position must be a number of seconds, 0 or more" });
+    }
+
+    const { track, errors } = await playRecorder.resolveTrack(songId, song);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: "Invalid song", details: errors });
+    }
+
+    const { session, ended } = await playbackSessionService.start(req.user.userId, { track, trackId: songId, device, position });
+    console.log(`▶️ Playback started: User ${req.user.userId} session ${session.id} (${session.trackId})`);
+    res.status(201).json({ session, ended });
+  } catch (error) {
+    sendPlaybackError(res, error, "Failed to start playback session");
+  }
+});
+
+router.get("/sessions/:sessionId", async (req, res) => {
+  try {
+    const session = await playbackSessionService.getSession(req.user.userId, req.params.sessionId);
+    if (!session) {
+      return res.status(404).json({ error: "Playback session not found" });
+    }
+    res.json({ session });
+  } catch (error) {
+    sendPlaybackError(res, error, "Failed to load playback session");
+  }
+});
+
+// { type: "pause" | "resume" | "seek" | "skip" | "complete", position? }.
+// After skip or complete the response's session.play says whether it counted.
+router.post("/sessions/:sessionId/events", async (req, res) => {
+  try {
+    const { type, position = null } = req.body;
+    if (!type) {
+      return res.status(400).json({ error: "type required", validTypes: playbackSessionService.EVENT_TYPES });
+    }
+
+    const session = await playbackSessionService.applyEvent(req.user.userId, req.params.sessionId, type, position);
+    res.json({ session });
+  } catch (error) {
+    sendPlaybackError(res, error, "Failed to record playback event");
+  }
+});
+
+module.exports = router;
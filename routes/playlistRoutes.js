@@ -1,187 +1,650 @@
 const express = require("express");
+const crypto = require("crypto");
 const router = express.Router();
-const fs = require("fs-extra");
-const path = require("path");
+const { getRepository } = require("../storage");
+const { verifyToken, requireSelf } = require("../middleware/auth");
+const playlistShareService = require("../services/playlistShareService");
+const playlistImportService = require("../services/playlistImportService");
+const playlistFormats = require("../services/playlistFormats");
+const trackIdentity = require("../services/trackIdentity");
+const trackModel = require("../services/trackModel");
 
-const PLAYLISTS_FILE = path.join(__dirname, "../data/playlists.json");
-const LIKED_SONGS_FILE = path.join(__dirname, "../data/likedSongs.json");
+const playlistsRepository = getRepository("playlists");
+const likedSongsRepository = getRepository("likedSongs");
+const usersRepository = getRepository("users");
 
-// Ensure data directory exists
-fs.ensureDirSync(path.dirname(PLAYLISTS_FILE));
-fs.ensureDirSync(path.dirname(LIKED_SONGS_FILE));
+const FRONTEND_URL = (process.env.FRONTEND_URL || "http://localhost:3000").replace(/\/+$/, "");
 
-const loadPlaylists = () => {
-  try {
-    if (fs.existsSync(PLAYLISTS_FILE)) {
-      return fs.readJsonSync(PLAYLISTS_FILE);
+const MAX_NAME_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 300;
+const MAX_IMPORT_ENTRIES = 500;
+const DUPLICATE_MODES = ["warn", "reject"];
+
+// Roles a playlist member can hold; the owner is implicit (the userId key the
+// playlist is stored under)
+const MEMBER_ROLES = ["viewer", "editor"];
+const ROLE_RANK = { viewer: 1, editor: 2, owner: 3 };
+
+// Find a playlist by id across all owners; resolves to { ownerId, playlist } or null
+const locatePlaylist = (playlists, playlistId) => {
+  for (const [ownerId, userPlaylists] of Object.entries(playlists)) {
+    const playlist = userPlaylists.find(p => p.id === playlistId);
+    if (playlist) {
+      return { ownerId, playlist };
     }
-    return {};
-  } catch (error) {
-    return {};
   }
+  return null;
 };
 
-const savePlaylists = (playlists) => {
-  fs.writeJsonSync(PLAYLISTS_FILE, playlists, { spaces: 2 });
+// "owner", "editor", "viewer" or null when the user has no access
+const roleOf = (ownerId, playlist, userId) => {
+  if (ownerId === userId) {
+    return "owner";
+  }
+  const member = (playlist.members || []).find(m => m.userId === userId);
+  return member ? member.role : null;
 };
 
-const loadLikedSongs = () => {
+// Run `fn` against a playlist the user holds at least `requiredRole` on,
+// inside a storage update. Resolves to fn's result, or { error, status } when
+// the playlist is missing or the role is too low. Playlists the user cannot
+// see at all are reported as missing.
+const updatePlaylist = (userId, playlistId, requiredRole, fn) => playlistsRepository.update((playlists) => {
+  const located = locatePlaylist(playlists, playlistId);
+  const role = located && roleOf(located.ownerId, located.playlist, userId);
+
+  if (!role) {
+    return { error: "Playlist not found", status: 404 };
+  }
+
+  if (ROLE_RANK[role] < ROLE_RANK[requiredRole]) {
+    return { error: `You need ${requiredRole} access to do this`, status: 403 };
+  }
+
+  const result = fn(located.playlist, { playlists, ownerId: located.ownerId, role });
+  if (!result.error) {
+    located.playlist.updated_at = new Date().toISOString();
+  }
+  return result;
+});
+
+// Remove a playlist (owner only) and its share link; resolves to
+// { deletedPlaylist } or { error, status }
+const deletePlaylist = async (userId, playlistId) => {
+  const result = await updatePlaylist(userId, playlistId, "owner", (playlist, { playlists, ownerId }) => {
+    playlists[ownerId] = playlists[ownerId].filter(p => p !== playlist);
+    return { deletedPlaylist: playlist };
+  });
+
+  if (!result.error) {
+    await playlistShareService.revoke(playlistId);
+  }
+  return result;
+};
+
+// The playlist if `userId` owns it, otherwise null
+const findOwnedPlaylist = async (userId, playlistId) => {
+  const located = locatePlaylist(await playlistsRepository.read(), playlistId);
+  return located && located.ownerId === userId ? located.playlist : null;
+};
+
+// Resolve a share token to { share, ownerId, playlist }, or null when the link
+// is unknown, expired, or its playlist is gone
+const resolveShare = async (token) => {
+  const share = await playlistShareService.resolve(token);
+  if (!share) {
+    return null;
+  }
+
+  const located = locatePlaylist(await playlistsRepository.read(), share.playlistId);
+  return located && { share, ...located };
+};
+
+// Enough of a song to tell the client which existing entry it collides with
+const summarizeSong = (song, position) => ({
+  id: song.id,
+  title: song.title,
+  artist: song.artist,
+  position
+});
+
+// Songs without who added them, for people outside the playlist
+const anonymousSongs = (songs) => songs
+  .map(trackModel.toCanonicalOrOriginal)
+  .map(({ addedBy, addedByName, ...song }) => song);
+
+// Whole-number index check; `max` is inclusive
+const isValidIndex = (value, max) => Number.isInteger(value) && value >= 0 && value <= max;
+
+// Read-only view of a shared playlist. Public: the token is the credential.
+router.get("/shared/:token", async (req, res) => {
   try {
-    if (fs.existsSync(LIKED_SONGS_FILE)) {
-      return fs.readJsonSync(LIKED_SONGS_FILE);
+    const resolved = await resolveShare(req.params.token);
+
+    if (!resolved) {
+      return res.status(404).json({ error: "This share link is invalid or has expired" });
     }
-    return {};
+
+    const { share, ownerId, playlist } = resolved;
+    const users = await usersRepository.read();
+    const owner = users.find(user => user.id === ownerId);
+
+    // Collaborator ids stay private; recipients only see the tracks
+    const tracks = anonymousSongs(playlist.songs);
+
+    res.json({
+      name: playlist.name,
+      description: playlist.description || "",
+      ownerName: owner ? owner.fullName : null,
+      tracks,
+      trackCount: tracks.length,
+      totalDuration: tracks.reduce((total, track) => total + (Number(track.duration) || 0), 0),
+      expiresAt: share.expiresAt
+    });
   } catch (error) {
-    return {};
+    console.error("Error loading shared playlist:", error);
+    res.status(500).json({ error: "Failed to load shared playlist" });
   }
-};
+});
+
+// Every other playlist and likes route acts on the user in the token
+router.use(verifyToken);
+
+// Copy a shared playlist into the caller's library
+router.post("/shared/:token/copy", async (req, res) => {
+  try {
+    const { userId } = req.user;
+    const resolved = await resolveShare(req.params.token);
+
+    if (!resolved) {
+      return res.status(404).json({ error: "This share link is invalid or has expired" });
+    }
+
+    const { ownerId, playlist } = resolved;
+    const now = new Date().toISOString();
+    const copy = {
+      id: crypto.randomUUID(),
+      name: playlist.name,
+      description: playlist.description || "",
+      isPublic: false,
+      members: [],
+      songs: playlist.songs.map(song => ({ ...trackModel.toCanonicalOrOriginal(song), addedBy: userId, addedAt: now })),
+      copiedFrom: { playlistId: playlist.id, ownerId },
+      created_at: now
+    };
+
+    await playlistsRepository.update((playlists) => {
+      if (!playlists[userId]) {
+        playlists[userId] = [];
+      }
+      playlists[userId].push(copy);
+    });
 
-const saveLikedSongs = (likedSongs) => {
-  fs.writeJsonSync(LIKED_SONGS_FILE, likedSongs, { spaces: 2 });
+    res.status(201).json({ message: "Playlist saved to your library", playlist: copy });
+  } catch (error) {
+    console.error("Error copying shared playlist:", error);
+    res.status(500).json({ error: "Failed to save playlist" });
+  }
+});
+
+// Map of userId -> display name, for showing owners, members and who added songs
+const loadUserNames = async () => {
+  const users = await usersRepository.read();
+  return Object.fromEntries(users.map(user => [user.id, user.fullName]));
 };
 
-// Get user playlists (including liked songs) - UPDATED
-router.get("/:userId", (req, res) => {
-  const playlists = loadPlaylists();
-  const likedSongs = loadLikedSongs();
-  const userPlaylists = playlists[req.params.userId] || [];
-  const userLikedSongs = likedSongs[req.params.userId] || [];
-
-  // ALWAYS add Liked Songs as first playlist (even if empty)
-  const allPlaylists = [{
-    id: "liked-songs",
-    name: "Liked Songs",
-    songs: userLikedSongs,
-    isLikedSongs: true,
-    created_at: new Date().toISOString()
-  }, ...userPlaylists];
-
-  res.json(allPlaylists);
+// Playlist as seen by one caller: their role, the owner and member names, and
+// who added each song
+const withCollaboration = (playlist, ownerId, role, names) => ({
+  ...playlist,
+  ownerId,
+  ownerName: names[ownerId] || null,
+  role,
+  members: (playlist.members || []).map(member => ({ ...member, name: names[member.userId] || null })),
+  songs: playlist.songs
+    .map(trackModel.toCanonicalOrOriginal)
+    .map(song => song.addedBy ? { ...song, addedByName: names[song.addedBy] || null } : song)
+});
+
+// Get user playlists (including liked songs and playlists shared with the user)
+router.get("/:userId", async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const playlists = await playlistsRepository.read();
+    const userPlaylists = playlists[userId] || [];
+
+    // Other users only get to see playlists explicitly marked public, and
+    // not who collaborates on them
+    if (userId !== req.user.userId) {
+      return res.json(userPlaylists
+        .filter(playlist => playlist.isPublic === true)
+        .map(({ members, copiedFrom, ...playlist }) => ({ ...playlist, songs: anonymousSongs(playlist.songs) })));
+    }
+
+    const [likedSongs, names] = await Promise.all([likedSongsRepository.read(), loadUserNames()]);
+    const userLikedSongs = (likedSongs[userId] || []).map(trackModel.toCanonicalOrOriginal);
+
+    const sharedPlaylists = Object.entries(playlists)
+      .filter(([ownerId]) => ownerId !== userId)
+      .flatMap(([ownerId, ownerPlaylists]) => ownerPlaylists
+        .filter(playlist => roleOf(ownerId, playlist, userId))
+        .map(playlist => withCollaboration(playlist, ownerId, roleOf(ownerId, playlist, userId), names)));
+
+    // ALWAYS add Liked Songs as first playlist (even if empty)
+    const allPlaylists = [{
+      id: "liked-songs",
+      name: "Liked Songs",
+      songs: userLikedSongs,
+      isLikedSongs: true,
+      created_at: new Date().toISOString()
+    },
+    ...userPlaylists.map(playlist => withCollaboration(playlist, userId, "owner", names)),
+    ...sharedPlaylists];
+
+    res.json(allPlaylists);
+  } catch (error) {
+    console.error("Error loading playlists:", error);
+    res.status(500).json({ error: "Failed to load playlists" });
+  }
 });
 
 // Create playlist
-router.post("/create", (req, res) => {
-  const { userId, name } = req.body;
-  const playlists = loadPlaylists();
-  
-  if (!playlists[userId]) {
-    playlists[userId] = [];
-  }
-
-  const newPlaylist = {
-    id: Date.now().toString(),
-    name,
-    songs: [],
-    created_at: new Date().toISOString()
-  };
-
-  playlists[userId].push(newPlaylist);
-  savePlaylists(playlists);
-  
-  res.json({ message: "Playlist created", playlist: newPlaylist });
+router.post("/create", requireSelf, async (req, res) => {
+  try {
+    const { name, description = "" } = req.body;
+    const { userId } = req.user;
+
+    if (!name || typeof name !== "string" || !name.trim()) {
+      return res.status(400).json({ error: "Playlist name is required" });
+    }
+
+    if (name.trim().length > MAX_NAME_LENGTH || String(description).length > MAX_DESCRIPTION_LENGTH) {
+      return res.status(400).json({
+        error: `Name must be at most ${MAX_NAME_LENGTH} and description at most ${MAX_DESCRIPTION_LENGTH} characters`
+      });
+    }
+
+    const newPlaylist = {
+      id: crypto.randomUUID(),
+      name: name.trim(),
+      description: String(description).trim(),
+      isPublic: false,
+      members: [],
+      songs: [],
+      created_at: new Date().toISOString()
+    };
+
+    await playlistsRepository.update((playlists) => {
+      if (!playlists[userId]) {
+        playlists[userId] = [];
+      }
+      playlists[userId].push(newPlaylist);
+    });
+
+    res.json({ message: "Playlist created", playlist: newPlaylist });
+  } catch (error) {
+    console.error("Error creating playlist:", error);
+    res.status(500).json({ error: "Failed to create playlist" });
+  }
 });
 
-// Add song to playlist
-router.post("/add-song", (req, res) => {
-  const { userId, playlistId, song } = req.body;
-  const playlists = loadPlaylists();
-  
-  if (playlists[userId]) {
-    const playlist = playlists[userId].find(p => p.id === playlistId);
-    if (playlist) {
-      playlist.songs.push(song);
-      savePlaylists(playlists);
-      res.json({ message: "Song added to playlist" });
+// Import a playlist file. Entries are resolved against the active music
+// provider; matched tracks go into a new playlist (or `playlistId`, which may
+// be "liked-songs") and the response reports every entry's outcome.
+router.post("/import", requireSelf, async (req, res) => {
+  try {
+    const { content, format, name, playlistId, dryRun = false } = req.body;
+    const { userId } = req.user;
+
+    if (!content || typeof content !== "string") {
+      return res.status(400).json({ error: "File content is required as a string" });
+    }
+
+    if (format !== undefined && !playlistFormats.isFormat(format)) {
+      return res.status(400).json({
+        error: `Unknown format "${format}"`,
+        validFormats: Object.keys(playlistFormats.FORMATS)
+      });
+    }
+
+    let parsed;
+    try {
+      parsed = playlistFormats.parse(content, format, { maxEntries: MAX_IMPORT_ENTRIES });
+    } catch (error) {
+      if (error instanceof playlistFormats.PlaylistFormatError) {
+        return res.status(400).json({ error: error.message });
+      }
+      throw error;
+    }
+
+    if (parsed.entries.length === 0) {
+      return res.status(400).json({ error: "No tracks found in the file", format: parsed.format });
+    }
+
+    console.log(`📥 Importing ${parsed.entries.length} ${parsed.format} entries for user ${userId}`);
+    const { tracks, ...report } = await playlistImportService.resolveEntries(parsed.entries);
+    const summary = {
+      total: parsed.entries.length,
+      matched: report.matched.length,
+      ambiguous: report.ambiguous.length,
+      failed: report.failed.length
+    };
+
+    if (dryRun) {
+      return res.json({ message: "Dry run - nothing was saved", format: parsed.format, summary, ...report });
+    }
+
+    const now = new Date().toISOString();
+    let target;
+
+    if (playlistId === "liked-songs") {
+      await likedSongsRepository.update((likedSongs) => {
+        if (!likedSongs[userId]) {
+          likedSongs[userId] = [];
+        }
+        tracks.forEach(track => {
+          if (!likedSongs[userId].some(likedSong => likedSong.id === track.id)) {
+            likedSongs[userId].push({ ...track, likedAt: now });
+          }
+        });
+      });
+      target = { id: "liked-songs", name: "Liked Songs" };
+    } else if (playlistId) {
+      const result = await updatePlaylist(userId, playlistId, "editor", (playlist) => {
+        playlist.songs.push(...tracks.map(track => ({ ...track, addedBy: userId, addedAt: now })));
+        return { playlist };
+      });
+
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+      }
+      target = { id: result.playlist.id, name: result.playlist.name };
     } else {
-      res.status(404).json({ error: "Playlist not found" });
+      const newPlaylist = {
+        id: crypto.randomUUID(),
+        name: String(name || parsed.name || "").trim().slice(0, MAX_NAME_LENGTH) || "Imported playlist",
+        description: "",
+        isPublic: false,
+        members: [],
+        songs: tracks.map(track => ({ ...track, addedBy: userId, addedAt: now })),
+        created_at: now
+      };
+
+      await playlistsRepository.update((playlists) => {
+        if (!playlists[userId]) {
+          playlists[userId] = [];
+        }
+        playlists[userId].push(newPlaylist);
+      });
+      target = { id: newPlaylist.id, name: newPlaylist.name };
+    }
+
+    console.log(`📥 Import done: ${summary.matched} matched, ${summary.ambiguous} ambiguous, ${summary.failed} failed`);
+    res.status(201).json({ message: "Playlist imported", playlist: target, format: parsed.format, summary, ...report });
+  } catch (error) {
+    console.error("Error importing playlist:", error);
+    res.status(500).json({ error: "Failed to import playlist" });
+  }
+});
+
+// Add song to playlist (appended, or inserted at `position`). If the playlist
+// already holds the same track (see trackIdentity), `onDuplicate: "reject"`
+// refuses with 409; the default "warn" adds it and says so.
+router.post("/add-song", requireSelf, async (req, res) => {
+  try {
+    const { playlistId, position, onDuplicate = "warn" } = req.body;
+    const { userId } = req.user;
+
+    const { track: song, errors } = trackModel.repairTrack(req.body.song);
+    if (!song) {
+      return res.status(400).json({ error: "Invalid song", details: errors });
+    }
+
+    if (!DUPLICATE_MODES.includes(onDuplicate)) {
+      return res.status(400).json({ error: `onDuplicate must be one of: ${DUPLICATE_MODES.join(", ")}` });
+    }
+
+    // Remember who added each entry so collaborators can see it
+    const entry = { ...song, addedBy: userId, addedAt: new Date().toISOString() };
+
+    const result = await updatePlaylist(userId, playlistId, "editor", (playlist) => {
+      const duplicate = trackIdentity.findDuplicate(playlist.songs, song);
+      const duplicateOf = duplicate && summarizeSong(duplicate, playlist.songs.indexOf(duplicate));
+
+      if (duplicate && onDuplicate === "reject") {
+        return { error: "This track is already in the playlist", status: 409, duplicateOf };
+      }
+
+      if (position === undefined || position === null) {
+        playlist.songs.push(entry);
+        return { position: playlist.songs.length - 1, duplicateOf };
+      }
+
+      if (!isValidIndex(position, playlist.songs.length)) {
+        return { error: `Position must be between 0 and ${playlist.songs.length}`, status: 400 };
+      }
+
+      playlist.songs.splice(position, 0, entry);
+      return { position, duplicateOf };
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error, duplicateOf: result.duplicateOf });
+    }
+
+    res.json({
+      message: "Song added to playlist",
+      position: result.position,
+      ...(result.duplicateOf && { warning: "This track was already in the playlist", duplicateOf: result.duplicateOf })
+    });
+  } catch (error) {
+    console.error("Error adding song:", error);
+    res.status(500).json({ error: "Failed to add song" });
+  }
+});
+
+// Update playlist name, description and visibility
+router.patch("/:playlistId", async (req, res) => {
+  try {
+    const { name, description, isPublic } = req.body;
+
+    if (name === undefined && description === undefined && isPublic === undefined) {
+      return res.status(400).json({ error: "Nothing to update. Provide name, description or isPublic" });
+    }
+
+    if (name !== undefined && (typeof name !== "string" || !name.trim() || name.trim().length > MAX_NAME_LENGTH)) {
+      return res.status(400).json({ error: `Name must be 1-${MAX_NAME_LENGTH} characters` });
+    }
+
+    if (description !== undefined && (typeof description !== "string" || description.length > MAX_DESCRIPTION_LENGTH)) {
+      return res.status(400).json({ error: `Description must be at most ${MAX_DESCRIPTION_LENGTH} characters` });
+    }
+
+    if (isPublic !== undefined && typeof isPublic !== "boolean") {
+      return res.status(400).json({ error: "isPublic must be true or false" });
+    }
+
+    const result = await updatePlaylist(req.user.userId, req.params.playlistId, "owner", (playlist) => {
+      if (name !== undefined) playlist.name = name.trim();
+      if (description !== undefined) playlist.description = description.trim();
+      if (isPublic !== undefined) playlist.isPublic = isPublic;
+      return { playlist };
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
     }
-  } else {
-    res.status(404).json({ error: "User not found" });
+
+    res.json({ message: "Playlist updated", playlist: result.playlist });
+  } catch (error) {
+    console.error("Error updating playlist:", error);
+    res.status(500).json({ error: "Failed to update playlist" });
   }
 });
 
-// Like a song (add to liked songs)
-router.post("/like-song", (req, res) => {
-  const { userId, song } = req.body;
-  const likedSongs = loadLikedSongs();
-  
-  if (!likedSongs[userId]) {
-    likedSongs[userId] = [];
-  }
-
-  // Check if song is already liked
-  const isAlreadyLiked = likedSongs[userId].some(likedSong => likedSong.id === song.id);
-  
-  if (!isAlreadyLiked) {
-    likedSongs[userId].push({
-      ...song,
-      likedAt: new Date().toISOString()
+// Move `count` songs starting at `from` so the first of them ends up at `to`
+router.post("/move-song", requireSelf, async (req, res) => {
+  try {
+    const { playlistId, from, to, count = 1 } = req.body;
+    const { userId } = req.user;
+
+    if (!Number.isInteger(count) || count < 1) {
+      return res.status(400).json({ error: "Count must be a positive whole number" });
+    }
+
+    const result = await updatePlaylist(userId, playlistId, "editor", (playlist) => {
+      const length = playlist.songs.length;
+
+      if (!isValidIndex(from, length - count)) {
+        return { error: `Songs ${from}..${from + count - 1} are not all in the playlist (${length} songs)`, status: 400 };
+      }
+
+      if (!isValidIndex(to, length - count)) {
+        return { error: `Target position must be between 0 and ${length - count}`, status: 400 };
+      }
+
+      const moved = playlist.songs.splice(from, count);
+      playlist.songs.splice(to, 0, ...moved);
+      return { songs: playlist.songs };
     });
-    saveLikedSongs(likedSongs);
-    res.json({ message: "Song liked", liked: true });
-  } else {
-    res.json({ message: "Song already liked", liked: true });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json({ message: "Songs moved", songs: result.songs });
+  } catch (error) {
+    console.error("Error moving songs:", error);
+    res.status(500).json({ error: "Failed to move songs" });
+  }
+});
+
+// Like a song (add to liked songs). Liking another copy of an already liked
+// track (same ISRC or title/artist/duration) counts as already liked unless
+// `onDuplicate: "warn"`, which likes it anyway and flags the duplicate.
+router.post("/like-song", requireSelf, async (req, res) => {
+  try {
+    const { onDuplicate = "reject" } = req.body;
+    const { userId } = req.user;
+
+    const { track: song, errors } = trackModel.repairTrack(req.body.song);
+    if (!song) {
+      return res.status(400).json({ error: "Invalid song", details: errors });
+    }
+
+    if (!DUPLICATE_MODES.includes(onDuplicate)) {
+      return res.status(400).json({ error: `onDuplicate must be one of: ${DUPLICATE_MODES.join(", ")}` });
+    }
+
+    const result = await likedSongsRepository.update((likedSongs) => {
+      if (!likedSongs[userId]) {
+        likedSongs[userId] = [];
+      }
+
+      // Check if song is already liked
+      if (likedSongs[userId].some(likedSong => trackModel.hasId(likedSong, song.id))) {
+        return { alreadyLiked: true };
+      }
+
+      const duplicate = trackIdentity.findDuplicate(likedSongs[userId], song);
+      const duplicateOf = duplicate && summarizeSong(duplicate, likedSongs[userId].indexOf(duplicate));
+
+      if (duplicate && onDuplicate === "reject") {
+        return { alreadyLiked: true, duplicateOf };
+      }
+
+      likedSongs[userId].push({
+        ...song,
+        likedAt: new Date().toISOString()
+      });
+      return { alreadyLiked: false, duplicateOf };
+    });
+
+    if (!result.alreadyLiked) {
+      res.json({
+        message: "Song liked",
+        liked: true,
+        ...(result.duplicateOf && { warning: "Another copy of this track is already liked", duplicateOf: result.duplicateOf })
+      });
+    } else {
+      res.json({ message: "Song already liked", liked: true, ...(result.duplicateOf && { duplicateOf: result.duplicateOf }) });
+    }
+  } catch (error) {
+    console.error("Error liking song:", error);
+    res.status(500).json({ error: "Failed to like song" });
   }
 });
 
 // Unlike a song (remove from liked songs)
-router.post("/unlike-song", (req, res) => {
-  const { userId, songId } = req.body;
-  const likedSongs = loadLikedSongs();
-  
-  if (likedSongs[userId]) {
-    likedSongs[userId] = likedSongs[userId].filter(song => song.id !== songId);
-    saveLikedSongs(likedSongs);
-    res.json({ message: "Song unliked", liked: false });
-  } else {
-    res.json({ message: "No liked songs found", liked: false });
+router.post("/unlike-song", requireSelf, async (req, res) => {
+  try {
+    const { songId } = req.body;
+    const { userId } = req.user;
+
+    const hadLikedSongs = await likedSongsRepository.update((likedSongs) => {
+      if (!likedSongs[userId]) {
+        return false;
+      }
+      likedSongs[userId] = likedSongs[userId].filter(song => !trackModel.hasId(song, songId));
+      return true;
+    });
+
+    if (hadLikedSongs) {
+      res.json({ message: "Song unliked", liked: false });
+    } else {
+      res.json({ message: "No liked songs found", liked: false });
+    }
+  } catch (error) {
+    console.error("Error unliking song:", error);
+    res.status(500).json({ error: "Failed to unlike song" });
   }
 });
 
 // Check if song is liked
-router.get("/:userId/liked/:songId", (req, res) => {
-  const { userId, songId } = req.params;
-  const likedSongs = loadLikedSongs();
-  
-  const isLiked = likedSongs[userId] ? 
-    likedSongs[userId].some(song => song.id === songId) : false;
-  
-  res.json({ liked: isLiked });
+router.get("/:userId/liked/:songId", requireSelf, async (req, res) => {
+  try {
+    const { userId, songId } = req.params;
+    const likedSongs = await likedSongsRepository.read();
+
+    const isLiked = likedSongs[userId] ?
+      likedSongs[userId].some(song => trackModel.hasId(song, songId)) : false;
+
+    res.json({ liked: isLiked });
+  } catch (error) {
+    console.error("Error checking liked song:", error);
+    res.status(500).json({ error: "Failed to check liked song" });
+  }
 });
 
 // Get all liked songs
-router.get("/:userId/liked-songs", (req, res) => {
-  const likedSongs = loadLikedSongs();
-  const userLikedSongs = likedSongs[req.params.userId] || [];
-  res.json(userLikedSongs);
+router.get("/:userId/liked-songs", requireSelf, async (req, res) => {
+  try {
+    const likedSongs = await likedSongsRepository.read();
+    const userLikedSongs = likedSongs[req.params.userId] || [];
+    res.json(userLikedSongs.map(trackModel.toCanonicalOrOriginal));
+  } catch (error) {
+    console.error("Error loading liked songs:", error);
+    res.status(500).json({ error: "Failed to load liked songs" });
+  }
 });
 
 // DELETE playlist route using POST
-router.post("/delete", (req, res) => {
+router.post("/delete", requireSelf, async (req, res) => {
   try {
-    const { userId, playlistId } = req.body;
+    const { playlistId } = req.body;
+    const { userId } = req.user;
     console.log(`Attempting to delete playlist ${playlistId} for user ${userId}`);
-    
-    const playlists = loadPlaylists();
-    
-    if (!playlists[userId]) {
-      return res.status(404).json({ error: "User not found" });
-    }
 
-    const playlistIndex = playlists[userId].findIndex(p => p.id === playlistId);
-    
-    if (playlistIndex === -1) {
-      return res.status(404).json({ error: "Playlist not found" });
+    const result = await deletePlaylist(userId, playlistId);
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
     }
 
-    // Remove the playlist
-    const deletedPlaylist = playlists[userId].splice(playlistIndex, 1)[0];
-    savePlaylists(playlists);
-    
-    console.log(`Playlist "${deletedPlaylist.name}" deleted successfully`);
-    res.json({ 
+    console.log(`Playlist "${result.deletedPlaylist.name}" deleted successfully`);
+    res.json({
       message: "Playlist deleted successfully",
-      deletedPlaylist: deletedPlaylist.name
+      deletedPlaylist: result.deletedPlaylist.name
     });
   } catch (error) {
     console.error("Error deleting playlist:", error);
@@ -189,33 +652,187 @@ router.post("/delete", (req, res) => {
   }
 });
 
+// Export a playlist (or "liked-songs") as m3u, xspf, csv or json (default)
+router.get("/:playlistId/export", async (req, res) => {
+  try {
+    const { playlistId } = req.params;
+    const { userId } = req.user;
+    const format = String(req.query.format || "json").toLowerCase();
+
+    if (!playlistFormats.isFormat(format)) {
+      return res.status(400).json({
+        error: `Unknown format "${format}"`,
+        validFormats: Object.keys(playlistFormats.FORMATS)
+      });
+    }
+
+    let playlist;
+    if (playlistId === "liked-songs") {
+      const likedSongs = await likedSongsRepository.read();
+      playlist = { name: "Liked Songs", songs: (likedSongs[userId] || []).map(trackModel.toCanonicalOrOriginal) };
+    } else {
+      const located = locatePlaylist(await playlistsRepository.read(), playlistId);
+      if (!located || !roleOf(located.ownerId, located.playlist, userId)) {
+        return res.status(404).json({ error: "Playlist not found" });
+      }
+      playlist = { ...located.playlist, songs: located.playlist.songs.map(trackModel.toCanonicalOrOriginal) };
+    }
+
+    const { body, contentType, extension } = playlistFormats.serialize(playlist, format);
+    const filename = `${playlist.name.replace(/[^\w\- ]+/g, "").replace(/\s+/g, " ").trim() || "playlist"}.${extension}`;
+
+    res.set("Content-Type", contentType);
+    res.set("Content-Disposition", `attachment; filename="${filename}"`);
+    res.send(body);
+  } catch (error) {
+    console.error("Error exporting playlist:", error);
+    res.status(500).json({ error: "Failed to export playlist" });
+  }
+});
+
+// Collapse duplicate tracks in a playlist (or "liked-songs"), keeping the first
+// copy of each. `dryRun: true` only reports what would be removed.
+router.post("/:playlistId/dedupe", async (req, res) => {
+  try {
+    const { playlistId } = req.params;
+    const { dryRun = false } = req.body;
+    const { userId } = req.user;
+
+    const collapse = (songs) => {
+      const { songs: kept, removed } = trackIdentity.dedupe(songs);
+      return {
+        kept,
+        removed: removed.map(({ position, song, duplicateOf }) => ({ ...summarizeSong(song, position), duplicateOf }))
+      };
+    };
+
+    let result;
+    if (playlistId === "liked-songs") {
+      result = await likedSongsRepository.update((likedSongs) => {
+        const { kept, removed } = collapse(likedSongs[userId] || []);
+        if (!dryRun && removed.length > 0) {
+          likedSongs[userId] = kept;
+        }
+        return { removed, count: kept.length };
+      });
+    } else if (dryRun) {
+      const located = locatePlaylist(await playlistsRepository.read(), playlistId);
+      if (!located || !roleOf(located.ownerId, located.playlist, userId)) {
+        return res.status(404).json({ error: "Playlist not found" });
+      }
+      const { kept, removed } = collapse(located.playlist.songs);
+      result = { removed, count: kept.length };
+    } else {
+      result = await updatePlaylist(userId, playlistId, "editor", (playlist) => {
+        const { kept, removed } = collapse(playlist.songs);
+        playlist.songs = kept;
+        return { removed, count: kept.length };
+      });
+    }
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    if (result.removed.length > 0) {
+      console.log(`🧹 ${dryRun ? "Would remove" : "Removed"} ${result.removed.length} duplicates from playlist ${playlistId}`);
+    }
+
+    res.json({
+      message: dryRun ? "Dry run - nothing was changed" : `Removed ${result.removed.length} duplicate(s)`,
+      removed: result.removed,
+      remaining: result.count
+    });
+  } catch (error) {
+    console.error("Error removing duplicates:", error);
+    res.status(500).json({ error: "Failed to remove duplicates" });
+  }
+});
+
+// Share routes come before DELETE /:userId/:playlistId, which would otherwise match them
+// Create (or replace) the playlist's share link. Optional `expiresInDays`
+// (at most a year).
+router.post("/:playlistId/share", async (req, res) => {
+  try {
+    const { expiresInDays } = req.body;
+    const { playlistId } = req.params;
+
+    if (expiresInDays !== undefined && expiresInDays !== null && !(typeof expiresInDays === "number" && expiresInDays > 0)) {
+      return res.status(400).json({ error: "expiresInDays must be a positive number" });
+    }
+
+    if (expiresInDays > playlistShareService.maxExpiresInDays) {
+      return res.status(400).json({ error: `expiresInDays must be at most ${playlistShareService.maxExpiresInDays}` });
+    }
+
+    if (!(await findOwnedPlaylist(req.user.userId, playlistId))) {
+      return res.status(404).json({ error: "Playlist not found" });
+    }
+
+    const { token, share } = await playlistShareService.createShare(playlistId, req.user.userId, expiresInDays);
+
+    res.status(201).json({
+      message: "Share link created",
+      token,
+      url: `${FRONTEND_URL}/shared/${token}`,
+      expiresAt: share.expiresAt
+    });
+  } catch (error) {
+    console.error("Error creating share link:", error);
+    res.status(500).json({ error: "Failed to create share link" });
+  }
+});
+
+// Whether the playlist currently has an active share link
+router.get("/:playlistId/share", async (req, res) => {
+  try {
+    const { playlistId } = req.params;
+    if (!(await findOwnedPlaylist(req.user.userId, playlistId))) {
+      return res.status(404).json({ error: "Playlist not found" });
+    }
+
+    const share = await playlistShareService.getShare(playlistId);
+    res.json(share
+      ? { shared: true, createdAt: share.createdAt, expiresAt: share.expiresAt }
+      : { shared: false });
+  } catch (error) {
+    console.error("Error loading share link:", error);
+    res.status(500).json({ error: "Failed to load share link" });
+  }
+});
+
+// Revoke the playlist's share link
+router.delete("/:playlistId/share", async (req, res) => {
+  try {
+    const { playlistId } = req.params;
+    if (!(await findOwnedPlaylist(req.user.userId, playlistId))) {
+      return res.status(404).json({ error: "Playlist not found" });
+    }
+
+    const revoked = await playlistShareService.revoke(playlistId);
+    res.json({ message: revoked ? "Share link revoked" : "Playlist was not shared", revoked: revoked > 0 });
+  } catch (error) {
+    console.error("Error revoking share link:", error);
+    res.status(500).json({ error: "Failed to revoke share link" });
+  }
+});
+
 // DELETE PLAYLIST using DELETE method (alternative)
-router.delete("/:userId/:playlistId", (req, res) => {
+router.delete("/:userId/:playlistId", requireSelf, async (req, res) => {
   try {
     const { userId, playlistId } = req.params;
     console.log(`DELETE route: Attempting to delete playlist ${playlistId} for user ${userId}`);
-    
-    const playlists = loadPlaylists();
-    
-    if (!playlists[userId]) {
-      return res.status(404).json({ error: "User not found" });
-    }
 
-    // Find the playlist to delete
-    const playlistIndex = playlists[userId].findIndex(p => p.id === playlistId);
-    
-    if (playlistIndex === -1) {
-      return res.status(404).json({ error: "Playlist not found" });
+    const result = await deletePlaylist(userId, playlistId);
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
     }
 
-    // Remove the playlist
-    const deletedPlaylist = playlists[userId].splice(playlistIndex, 1)[0];
-    savePlaylists(playlists);
-    
-    console.log(`Playlist "${deletedPlaylist.name}" deleted successfully`);
-    res.json({ 
+    console.log(`Playlist "${result.deletedPlaylist.name}" deleted successfully`);
+    res.json({
       message: "Playlist deleted successfully",
-      deletedPlaylist: deletedPlaylist.name
+      deletedPlaylist: result.deletedPlaylist.name
     });
   } catch (error) {
     console.error("Error deleting playlist:", error);
@@ -223,36 +840,255 @@ router.delete("/:userId/:playlistId", (req, res) => {
   }
 });
 
-// Remove song from playlist - FIXED
-router.post("/remove-song", (req, res) => {
-  const { playlistId, songId, userId } = req.body;
-  
-  // Handle liked songs removal
-  if (playlistId === "liked-songs") {
-    const likedSongs = loadLikedSongs();
-    if (likedSongs[userId]) {
-      likedSongs[userId] = likedSongs[userId].filter(song => song.id !== songId);
-      saveLikedSongs(likedSongs);
-      res.json({ message: "Song removed from liked songs" });
-    } else {
-      res.status(404).json({ error: "No liked songs found" });
+// Remove song from playlist. With `position` only that entry is removed (so
+// one copy of a duplicated song can go); otherwise every copy of songId is.
+router.post("/remove-song", requireSelf, async (req, res) => {
+  try {
+    const { playlistId, songId, position } = req.body;
+    const { userId } = req.user;
+    const byPosition = position !== undefined && position !== null;
+
+    // Handle liked songs removal
+    if (playlistId === "liked-songs") {
+      const result = await likedSongsRepository.update((likedSongs) => {
+        const songs = likedSongs[userId];
+        if (!songs) {
+          return { error: "No liked songs found", status: 404 };
+        }
+
+        if (byPosition) {
+          if (!isValidIndex(position, songs.length - 1) || (songId && !trackModel.hasId(songs[position], songId))) {
+            return { error: "No matching song at that position", status: 400 };
+          }
+          songs.splice(position, 1);
+        } else {
+          likedSongs[userId] = songs.filter(song => !trackModel.hasId(song, songId));
+        }
+        return {};
+      });
+
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+      }
+      return res.json({ message: "Song removed from liked songs" });
+    }
+
+    // Handle regular playlist removal
+    const result = await updatePlaylist(userId, playlistId, "editor", (playlist) => {
+      if (byPosition) {
+        // When songId is given too, make sure the list hasn't shifted underneath the client
+        if (!isValidIndex(position, playlist.songs.length - 1) || (songId && !trackModel.hasId(playlist.songs[position], songId))) {
+          return { error: "No matching song at that position", status: 400 };
+        }
+        playlist.songs.splice(position, 1);
+      } else {
+        playlist.songs = playlist.songs.filter(song => !trackModel.hasId(song, songId));
+      }
+      return {};
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
     }
-    return;
+
+    res.json({ message: "Song removed from playlist" });
+  } catch (error) {
+    console.error("Error removing song:", error);
+    res.status(500).json({ error: "Failed to remove song" });
   }
+});
 
-  // Handle regular playlist removal
-  const playlists = loadPlaylists();
-  if (playlists[userId]) {
-    const playlist = playlists[userId].find(p => p.id === playlistId);
-    if (playlist) {
-      playlist.songs = playlist.songs.filter(song => song.id !== songId);
-      savePlaylists(playlists);
-      res.json({ message: "Song removed from playlist" });
-    } else {
-      res.status(404).json({ error: "Playlist not found" });
+// List the owner and members of a playlist (any member can see this)
+router.get("/:playlistId/members", async (req, res) => {
+  try {
+    const [playlists, names] = await Promise.all([playlistsRepository.read(), loadUserNames()]);
+    const located = locatePlaylist(playlists, req.params.playlistId);
+
+    if (!located || !roleOf(located.ownerId, located.playlist, req.user.userId)) {
+      return res.status(404).json({ error: "Playlist not found" });
+    }
+
+    const { ownerId, playlist } = located;
+    res.json({
+      owner: { userId: ownerId, name: names[ownerId] || null, role: "owner" },
+      members: withCollaboration(playlist, ownerId, null, names).members
+    });
+  } catch (error) {
+    console.error("Error loading playlist members:", error);
+    res.status(500).json({ error: "Failed to load playlist members" });
+  }
+});
+
+// Invite a registered user (by email) as viewer or editor
+router.post("/:playlistId/members", async (req, res) => {
+  try {
+    const { email, role = "viewer" } = req.body;
+    const { userId } = req.user;
+
+    if (!MEMBER_ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${MEMBER_ROLES.join(", ")}` });
+    }
+
+    if (!email || typeof email !== "string") {
+      return res.status(400).json({ error: "Email of the user to invite is required" });
+    }
+
+    const users = await usersRepository.read();
+    const invitee = users.find(user => user.email.toLowerCase() === email.trim().toLowerCase());
+
+    if (!invitee) {
+      return res.status(404).json({ error: "No registered user with that email" });
+    }
+
+    const result = await updatePlaylist(userId, req.params.playlistId, "owner", (playlist) => {
+      if (invitee.id === userId) {
+        return { error: "You already own this playlist", status: 400 };
+      }
+
+      if (!playlist.members) {
+        playlist.members = [];
+      }
+
+      if (playlist.members.some(member => member.userId === invitee.id)) {
+        return { error: "User is already a member. Change their role instead", status: 409 };
+      }
+
+      const member = { userId: invitee.id, role, addedBy: userId, addedAt: new Date().toISOString() };
+      playlist.members.push(member);
+      return { member };
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    console.log(`👥 ${invitee.email} added to playlist ${req.params.playlistId} as ${role}`);
+    res.status(201).json({ message: "Member added", member: { ...result.member, name: invitee.fullName } });
+  } catch (error) {
+    console.error("Error adding playlist member:", error);
+    res.status(500).json({ error: "Failed to add member" });
+  }
+});
+
+// Change a member's role
+router.patch("/:playlistId/members/:memberId", async (req, res) => {
+  try {
+    const { role } = req.body;
+    const { memberId } = req.params;
+
+    if (!MEMBER_ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${MEMBER_ROLES.join(", ")}` });
+    }
+
+    const result = await updatePlaylist(req.user.userId, req.params.playlistId, "owner", (playlist) => {
+      const member = (playlist.members || []).find(m => m.userId === memberId);
+      if (!member) {
+        return { error: "Member not found", status: 404 };
+      }
+
+      member.role = role;
+      return { member };
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json({ message: "Member role updated", member: result.member });
+  } catch (error) {
+    console.error("Error updating playlist member:", error);
+    res.status(500).json({ error: "Failed to update member" });
+  }
+});
+
+// Drop a member from a playlist; resolves to {} or { error, status }
+const removeMember = (userId, playlistId, memberId) => {
+  // Members may remove themselves (leave); removing anyone else takes the owner
+  const requiredRole = memberId === userId ? "viewer" : "owner";
+
+  return updatePlaylist(userId, playlistId, requiredRole, (playlist, { role }) => {
+    if (memberId === userId && role === "owner") {
+      return { error: "The owner cannot leave. Transfer ownership or delete the playlist instead", status: 400 };
+    }
+
+    const members = playlist.members || [];
+    if (!members.some(member => member.userId === memberId)) {
+      return { error: "Member not found", status: 404 };
     }
-  } else {
-    res.status(404).json({ error: "User not found" });
+
+    playlist.members = members.filter(member => member.userId !== memberId);
+    return {};
+  });
+};
+
+// Remove a member (owner), or leave when removing yourself
+router.delete("/:playlistId/members/:memberId", async (req, res) => {
+  try {
+    const result = await removeMember(req.user.userId, req.params.playlistId, req.params.memberId);
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json({ message: "Member removed" });
+  } catch (error) {
+    console.error("Error removing playlist member:", error);
+    res.status(500).json({ error: "Failed to remove member" });
+  }
+});
+
+// Leave a playlist that was shared with you
+router.post("/:playlistId/leave", async (req, res) => {
+  try {
+    const result = await removeMember(req.user.userId, req.params.playlistId, req.user.userId);
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json({ message: "You left the playlist" });
+  } catch (error) {
+    console.error("Error leaving playlist:", error);
+    res.status(500).json({ error: "Failed to leave playlist" });
+  }
+});
+
+// Hand the playlist over to an existing member. The previous owner stays on as editor.
+router.post("/:playlistId/transfer", async (req, res) => {
+  try {
+    const { newOwnerId } = req.body;
+    const { userId } = req.user;
+
+    const result = await updatePlaylist(userId, req.params.playlistId, "owner", (playlist, { playlists, ownerId }) => {
+      const members = playlist.members || [];
+
+      if (!newOwnerId || !members.some(member => member.userId === newOwnerId)) {
+        return { error: "The new owner must already be a member of the playlist", status: 400 };
+      }
+
+      playlist.members = [
+        ...members.filter(member => member.userId !== newOwnerId),
+        { userId: ownerId, role: "editor", addedBy: newOwnerId, addedAt: new Date().toISOString() }
+      ];
+
+      // Playlists are stored under their owner, so move it to the new owner's list
+      playlists[ownerId] = playlists[ownerId].filter(p => p !== playlist);
+      if (!playlists[newOwnerId]) {
+        playlists[newOwnerId] = [];
+      }
+      playlists[newOwnerId].push(playlist);
+      return { playlist };
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    console.log(`👑 Playlist ${req.params.playlistId} transferred from ${userId} to ${newOwnerId}`);
+    res.json({ message: "Ownership transferred", ownerId: newOwnerId, playlist: result.playlist });
+  } catch (error) {
+    console.error("Error transferring playlist:", error);
+    res.status(500).json({ error: "Failed to transfer ownership" });
   }
 });
 
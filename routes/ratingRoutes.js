@@ -0,0 +1,241 @@
+const express = require("express");
+const router = express.Router();
+const { verifyToken, requireSelf } = require("../middleware/auth");
+const providerRegistry = require("../services/providerRegistry");
+const { getRepository } = require("../storage");
+
+const ratingsRepository = getRepository("musicRatings");
+const usersRepository = getRepository("users");
+
+// Default minimum number of votes before a track can appear in top lists.
+// Also used as the prior weight of the Bayesian average.
+const DEFAULT_MIN_VOTES = 3;
+
+// Track ids are keys of the ratings object; these would reach Object.prototype
+const RESERVED_IDS = ["__proto__", "constructor", "prototype"];
+
+// The ratings entry stored under a track id (never an inherited property)
+const ownEntry = (ratings, trackId) => (
+  Object.prototype.hasOwnProperty.call(ratings, trackId) ? ratings[trackId] : null
+);
+
+// Provider metadata for a rated track, or null when no provider knows it
+const lookupTrack = async (trackId) => {
+  try {
+    const { result } = await providerRegistry.invoke("trackDetails", service => service.getTrackDetails(trackId));
+    return result;
+  } catch (error) {
+    console.warn(`⚠️ No track details for rated track ${trackId}: ${error.message}`);
+    return null;
+  }
+};
+
+router.param("trackId", (req, res, next, trackId) => {
+  if (RESERVED_IDS.includes(trackId)) {
+    return res.status(400).json({ error: "Invalid track id" });
+  }
+  next();
+});
+
+// Average, vote count and 1-5 histogram for a single track entry
+const summarizeTrack = (trackId, entry) => {
+  const values = Object.values(entry.ratings || {}).map(r => r.rating);
+  const histogram = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  values.forEach(value => { histogram[value] = (histogram[value] || 0) + 1; });
+
+  const total = values.reduce((sum, value) => sum + value, 0);
+
+  return {
+    trackId,
+    songTitle: entry.songTitle,
+    songArtist: entry.songArtist,
+    genre: entry.genre || null,
+    votes: values.length,
+    total,
+    average: values.length ? Math.round((total / values.length) * 100) / 100 : null,
+    histogram
+  };
+};
+
+// Get top-rated tracks, optionally per genre (as the providers tag the
+// tracks), ranked by Bayesian average
+router.get("/top", async (req, res) => {
+  try {
+    const { genre } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const minVotes = Math.max(parseInt(req.query.minVotes) || DEFAULT_MIN_VOTES, 1);
+
+    const summaries = Object.entries(await ratingsRepository.read())
+      .map(([trackId, entry]) => summarizeTrack(trackId, entry))
+      .filter(summary => summary.votes > 0);
+
+    // The prior is the mean over every vote in the catalog, not just the genre
+    const allVotes = summaries.reduce((sum, s) => sum + s.votes, 0);
+    const allTotal = summaries.reduce((sum, s) => sum + s.total, 0);
+    const globalMean = allVotes ? allTotal / allVotes : 0;
+
+    const tracks = summaries
+      .filter(s => !genre || (s.genre && s.genre.toLowerCase() === genre.toLowerCase()))
+      .filter(s => s.votes >= minVotes)
+      .map(({ total, ...s }) => ({
+        ...s,
+        score: Math.round(((minVotes * globalMean + total) / (minVotes + s.votes)) * 1000) / 1000
+      }))
+      .sort((a, b) => b.score - a.score || b.votes - a.votes)
+      .slice(0, limit);
+
+    res.json({
+      tracks,
+      meta: {
+        genre: genre || null,
+        minVotes,
+        globalMean: Math.round(globalMean * 100) / 100,
+        count: tracks.length
+      }
+    });
+  } catch (error) {
+    console.error("Error getting top-rated tracks:", error);
+    res.status(500).json({ error: "Failed to get top-rated tracks" });
+  }
+});
+
+// List everything the signed-in user has rated
+router.get("/user/:userId", verifyToken, requireSelf, async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const ratings = Object.entries(await ratingsRepository.read())
+      .filter(([, entry]) => entry.ratings?.[userId])
+      .map(([trackId, entry]) => ({
+        trackId,
+        songTitle: entry.songTitle,
+        songArtist: entry.songArtist,
+        genre: entry.genre || null,
+        rating: entry.ratings[userId].rating,
+        timestamp: entry.ratings[userId].timestamp
+      }))
+      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+
+    res.json(ratings);
+  } catch (error) {
+    console.error("Error getting user ratings:", error);
+    res.status(500).json({ error: "Failed to get user ratings" });
+  }
+});
+
+// Get the current user's rating for a track
+router.get("/:trackId/mine", verifyToken, async (req, res) => {
+  try {
+    const entry = ownEntry(await ratingsRepository.read(), req.params.trackId);
+    const rating = entry?.ratings?.[req.user.userId];
+
+    res.json({
+      trackId: req.params.trackId,
+      rating: rating ? rating.rating : null,
+      timestamp: rating ? rating.timestamp : null
+    });
+  } catch (error) {
+    console.error("Error getting user rating:", error);
+    res.status(500).json({ error: "Failed to get rating" });
+  }
+});
+
+// Get a track's average rating and histogram
+router.get("/:trackId", async (req, res) => {
+  try {
+    const { trackId } = req.params;
+    const entry = ownEntry(await ratingsRepository.read(), trackId) || { ratings: {} };
+
+    const { total, ...summary } = summarizeTrack(trackId, entry);
+    res.json(summary);
+  } catch (error) {
+    console.error("Error getting track rating:", error);
+    res.status(500).json({ error: "Failed to get track rating" });
+  }
+});
+
+// Rate a track (creates or replaces the current user's rating). songTitle
+// and songArtist are only needed when no provider knows the track; the genre
+// always comes from the provider.
+router.put("/:trackId", verifyToken, async (req, res) => {
+  try {
+    const { trackId } = req.params;
+    const { rating } = req.body;
+    const numericRating = Number(rating);
+
+    if (!Number.isInteger(numericRating) || numericRating < 1 || numericRating > 5) {
+      return res.status(400).json({ error: "Rating must be a whole number between 1 and 5" });
+    }
+
+    const user = (await usersRepository.read()).find(u => u.id === req.user.userId);
+    const details = await lookupTrack(trackId);
+    const songTitle = req.body.songTitle || details?.title;
+    const songArtist = req.body.songArtist || details?.artist;
+
+    const entry = await ratingsRepository.update((ratings) => {
+      if (!ownEntry(ratings, trackId)) {
+        if (!songTitle || !songArtist) {
+          return null;
+        }
+        ratings[trackId] = { songTitle, songArtist, ratings: {} };
+      }
+
+      const track = ratings[trackId];
+      if (details?.genre) {
+        track.genre = details.genre;
+      }
+
+      track.ratings[req.user.userId] = {
+        rating: numericRating,
+        userName: user?.fullName,
+        timestamp: new Date().toISOString()
+      };
+      return track;
+    });
+
+    if (!entry) {
+      return res.status(400).json({ error: "songTitle and songArtist are required for a newly rated track" });
+    }
+
+    console.log(`⭐ User ${req.user.userId} rated ${trackId}: ${numericRating}`);
+    const { total, ...summary } = summarizeTrack(trackId, entry);
+    res.json({ message: "Rating saved", rating: numericRating, summary });
+  } catch (error) {
+    console.error("Error saving rating:", error);
+    res.status(500).json({ error: "Failed to save rating" });
+  }
+});
+
+// Remove the current user's rating for a track
+router.delete("/:trackId", verifyToken, async (req, res) => {
+  try {
+    const { trackId } = req.params;
+    const result = await ratingsRepository.update((ratings) => {
+      const entry = ownEntry(ratings, trackId);
+
+      if (!entry?.ratings?.[req.user.userId]) {
+        return null;
+      }
+
+      delete entry.ratings[req.user.userId];
+
+      // Drop tracks nobody has rated any more
+      if (Object.keys(entry.ratings).length === 0) {
+        delete ratings[trackId];
+      }
+      return entry;
+    });
+
+    if (!result) {
+      return res.status(404).json({ error: "Rating not found" });
+    }
+
+    const { total, ...summary } = summarizeTrack(trackId, result);
+    res.json({ message: "Rating removed", summary });
+  } catch (error) {
+    console.error("Error removing rating:", error);
+    res.status(500).json({ error: "Failed to remove rating" });
+  }
+});
+
+module.exports = router;
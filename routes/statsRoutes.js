@@ -1,53 +1,47 @@
 const express = require('express');
 const router = express.Router();
-const fs = require('fs-extra');
-const path = require('path');
-
-const STATS_FILE = path.join(__dirname, '../data/userStats.json');
-
-// Ensure data directory exists
-fs.ensureDirSync(path.dirname(STATS_FILE));
-
-const loadStats = () => {
+const { getRepository } = require('../storage');
+const { verifyToken, requireSelf } = require('../middleware/auth');
+const playRecorder = require('../services/playRecorder');
+const recapService = require('../services/recapService');
+const listeningAnalyticsService = require('../services/listeningAnalyticsService');
+
+const statsRepository = getRepository('userStats');
+const usersRepository = getRepository('users');
+
+// Stats are always read and written for the user in the token
+router.use(verifyToken);
+
+// Track a finished play the client timed itself (prefer the playback
+// sessions in /api/playback, which time plays on the server). `duration` is
+// the seconds listened; the play only counts when it passes the play rules
+// (see playRecorder). Optional: `song` (track object, stored as a snapshot in
+// the listening history) and `device` ("mobile" or { type, name }).
+router.post('/track-play', requireSelf, async (req, res) => {
   try {
-    return fs.existsSync(STATS_FILE) ? fs.readJsonSync(STATS_FILE) : {};
-  } catch (error) {
-    return {};
-  }
-};
-
-const saveStats = (stats) => {
-  fs.writeJsonSync(STATS_FILE, stats, { spaces: 2 });
-};
-
-// Track play
-router.post('/track-play', (req, res) => {
-  try {
-    const { userId, songId, duration = 0 } = req.body;
+    const { song, device } = req.body;
+    const songId = req.body.songId || (song && song.id);
+    const { userId } = req.user;
     
-    if (!userId || !songId) {
-      return res.status(400).json({ error: 'userId and songId required' });
+    if (!songId) {
+      return res.status(400).json({ error: 'songId required' });
     }
 
-    const stats = loadStats();
-    
-    if (!stats[userId]) {
-      stats[userId] = {
-        songsPlayed: 0,
-        totalListeningTime: 0,
-        artistsDiscovered: new Set(),
-        lastActivity: new Date().toISOString()
-      };
+    const { track, errors } = await playRecorder.resolveTrack(songId, song);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid song', details: errors });
     }
 
-    stats[userId].songsPlayed += 1;
-    stats[userId].totalListeningTime += duration;
-    stats[userId].lastActivity = new Date().toISOString();
+    const play = await playRecorder.countPlay(userId, { track, trackId: songId, listened: req.body.duration, device });
+    if (!play.counted) {
+      console.log(`⏭️ Play not counted: User ${userId} played song ${songId} (${play.reason})`);
+    }
 
-    saveStats(stats);
-    
-    console.log(`📊 Play tracked: User ${userId} played song ${songId}`);
-    res.json({ success: true, message: 'Play tracked successfully' });
+    res.json({
+      success: true,
+      message: play.counted ? 'Play tracked successfully' : 'Play received but not counted',
+      ...play
+    });
   } catch (error) {
     console.error('Error tracking play:', error);
     res.status(500).json({ error: 'Failed to track play' });
@@ -55,39 +49,34 @@ router.post('/track-play', (req, res) => {
 });
 
 // Track artist
-router.post('/track-artist', (req, res) => {
+router.post('/track-artist', requireSelf, async (req, res) => {
   try {
-    const { userId, artist } = req.body;
+    const { artist } = req.body;
+    const { userId } = req.user;
     
-    if (!userId || !artist) {
-      return res.status(400).json({ error: 'userId and artist required' });
-    }
-
-    const stats = loadStats();
-    
-    if (!stats[userId]) {
-      stats[userId] = {
-        songsPlayed: 0,
-        totalListeningTime: 0,
-        artistsDiscovered: new Set(),
-        lastActivity: new Date().toISOString()
-      };
-    }
-
-    // Convert Set to Array for JSON storage
-    if (stats[userId].artistsDiscovered instanceof Set) {
-      stats[userId].artistsDiscovered = Array.from(stats[userId].artistsDiscovered);
-    }
-    if (!Array.isArray(stats[userId].artistsDiscovered)) {
-      stats[userId].artistsDiscovered = [];
+    if (!artist) {
+      return res.status(400).json({ error: 'artist required' });
     }
 
-    // Add artist if not already discovered
-    if (!stats[userId].artistsDiscovered.includes(artist)) {
-      stats[userId].artistsDiscovered.push(artist);
-    }
-
-    saveStats(stats);
+    await statsRepository.update((stats) => {
+      if (!stats[userId]) {
+        stats[userId] = {
+          songsPlayed: 0,
+          totalListeningTime: 0,
+          artistsDiscovered: [],
+          lastActivity: new Date().toISOString()
+        };
+      }
+
+      if (!Array.isArray(stats[userId].artistsDiscovered)) {
+        stats[userId].artistsDiscovered = [];
+      }
+
+      // Add artist if not already discovered
+      if (!stats[userId].artistsDiscovered.includes(artist)) {
+        stats[userId].artistsDiscovered.push(artist);
+      }
+    });
     
     console.log(`🎤 Artist tracked: User ${userId} discovered ${artist}`);
     res.json({ success: true, message: 'Artist tracked successfully' });
@@ -98,10 +87,10 @@ router.post('/track-artist', (req, res) => {
 });
 
 // Get user stats
-router.get('/:userId', (req, res) => {
+router.get('/:userId', requireSelf, async (req, res) => {
   try {
     const { userId } = req.params;
-    const stats = loadStats();
+    const stats = await statsRepository.read();
     
     const userStats = stats[userId] || {
       songsPlayed: 0,
@@ -136,4 +125,38 @@ router.get('/:userId', (req, res) => {
   }
 });
 
+// Listening recap for a month or year in the user's time zone: ?period=2026-09
+// or ?period=2026 (default: the current month; "month"/"year" mean the current one).
+// ?limit caps the top lists (default 5, max 20); ?format=card returns the
+// shareable card payload instead of the full report.
+router.get('/:userId/recap', requireSelf, async (req, res) => {
+  try {
+    const { period: requested = 'month', format = 'full' } = req.query;
+    const period = ['month', 'year'].includes(requested)
+      ? recapService.currentPeriod(requested, await listeningAnalyticsService.getTimeZone(req.user.userId))
+      : recapService.parsePeriod(requested);
+
+    if (!period) {
+      return res.status(400).json({ error: 'period must be YYYY, YYYY-MM, "month" or "year"' });
+    }
+    if (!['full', 'card'].includes(format)) {
+      return res.status(400).json({ error: 'format must be "full" or "card"' });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 5, 1), 20);
+    const recap = await recapService.buildRecap(req.user.userId, period, limit);
+
+    if (format === 'card') {
+      const user = (await usersRepository.read()).find(u => u.id === req.user.userId);
+      const firstName = user && user.fullName ? user.fullName.trim().split(/\s+/)[0] : null;
+      return res.json({ card: recapService.toCard(recap, firstName) });
+    }
+
+    res.json(recap);
+  } catch (error) {
+    console.error('Error building recap:', error);
+    res.status(500).json({ error: 'Failed to build recap' });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,57 @@
+// Copy every data/*.json collection into the SQLite store.
+//
+//   npm run migrate:sqlite            # skip collections already in SQLite
+//   npm run migrate:sqlite -- --force # overwrite them
+//
+// Afterwards start the server with STORAGE_BACKEND=sqlite.
+require("dotenv").config();
+
+const { createBackend, SQLITE_FILE, DATA_DIR } = require("../storage");
+
+const migrate = async ({ force }) => {
+  const source = createBackend("json");
+  const target = createBackend("sqlite");
+
+  console.log(`📦 Migrating ${DATA_DIR}/*.json → ${SQLITE_FILE}`);
+
+  const summary = { migrated: [], skipped: [], failed: [] };
+
+  try {
+    for (const name of await source.listCollections()) {
+      try {
+        if (!force && await target.has(name)) {
+          console.log(`⏭️  ${name}: already in SQLite (use --force to overwrite)`);
+          summary.skipped.push(name);
+          continue;
+        }
+
+        const data = await source.load(name, null);
+        if (data === null) {
+          summary.skipped.push(name);
+          continue;
+        }
+
+        await target.save(name, data);
+
+        const size = Array.isArray(data) ? data.length : Object.keys(data).length;
+        console.log(`✅ ${name}: ${size} entries`);
+        summary.migrated.push(name);
+      } catch (error) {
+        console.error(`❌ ${name}: ${error.message}`);
+        summary.failed.push(name);
+      }
+    }
+  } finally {
+    target.close();
+  }
+
+  console.log(`\n🎉 Migrated ${summary.migrated.length}, skipped ${summary.skipped.length}, failed ${summary.failed.length}`);
+  return summary;
+};
+
+migrate({ force: process.argv.includes("--force") })
+  .then(summary => process.exit(summary.failed.length ? 1 : 0))
+  .catch(error => {
+    console.error("💥 Migration failed:", error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,132 @@
+// Rewrite stored liked songs and playlist songs into the canonical track
+// shape (see services/trackModel.js), e.g. `jamendo_123` -> `jamendo:123`.
+// Songs that cannot be repaired are left as they are and listed. Track ids
+// stored on their own (rating keys, the old stats play history) are
+// namespaced too.
+//
+//   npm run migrate:tracks             # report what would change
+//   npm run migrate:tracks -- --write  # save the changes
+require("dotenv").config();
+
+const { getRepository } = require("../storage");
+const trackModel = require("../services/trackModel");
+
+// Before namespacing, Jamendo tracks were also stored under their bare
+// numeric id and Spotify tracks under their bare 22 character id
+const BARE_JAMENDO_ID = /^\d+$/;
+const BARE_SPOTIFY_ID = /^[0-9A-Za-z]{22}$/;
+
+// Namespaced form of a stored track id, including the bare legacy ids
+const migrateId = (id) => {
+  const value = String(id).trim();
+  if (BARE_JAMENDO_ID.test(value)) return trackModel.trackId("jamendo", value);
+  if (BARE_SPOTIFY_ID.test(value)) return trackModel.trackId("spotify", value);
+  return trackModel.canonicalId(value);
+};
+
+// Canonical copy of a song list, counting what changed
+const migrateSongs = (songs, where, summary) => songs.map(song => {
+  const track = trackModel.toCanonical(song);
+
+  if (!track) {
+    summary.unrepairable.push(`${where}: ${song.id} (${song.title})`);
+    return song;
+  }
+
+  if (JSON.stringify(track) !== JSON.stringify(song)) {
+    summary.changed++;
+  }
+  summary.total++;
+  return track;
+});
+
+// Move ratings to their namespaced track id. When both ids were rated, the
+// votes are merged and each user's latest rating wins.
+const migrateRatings = (data, summary) => {
+  Object.keys(data).forEach(key => {
+    const id = migrateId(key);
+    if (id === key) {
+      return;
+    }
+
+    const entry = data[key];
+    const existing = Object.prototype.hasOwnProperty.call(data, id) ? data[id] : null;
+    if (existing) {
+      Object.entries(entry.ratings || {}).forEach(([userId, rating]) => {
+        const current = existing.ratings?.[userId];
+        if (!current || new Date(rating.timestamp) > new Date(current.timestamp)) {
+          existing.ratings = { ...existing.ratings, [userId]: rating };
+        }
+      });
+    } else {
+      data[id] = entry;
+    }
+    delete data[key];
+    summary.ratings++;
+  });
+};
+
+const migratePlayHistory = (data, summary) => {
+  Object.values(data).forEach(stats => {
+    (stats.playHistory || []).forEach(play => {
+      if (!play || play.songId === undefined || play.songId === null) {
+        return;
+      }
+      const id = migrateId(play.songId);
+      if (id !== String(play.songId)) {
+        play.songId = id;
+        summary.plays++;
+      }
+    });
+  });
+};
+
+const migrate = async ({ write }) => {
+  const summary = { total: 0, changed: 0, ratings: 0, plays: 0, unrepairable: [] };
+  const likedSongs = getRepository("likedSongs");
+  const playlists = getRepository("playlists");
+  const ratings = getRepository("musicRatings");
+  const userStats = getRepository("userStats");
+
+  const migrateLikes = (data) => {
+    Object.keys(data).forEach(userId => {
+      data[userId] = migrateSongs(data[userId], `likedSongs/${userId}`, summary);
+    });
+  };
+
+  const migratePlaylists = (data) => {
+    Object.entries(data).forEach(([userId, userPlaylists]) => {
+      userPlaylists.forEach(playlist => {
+        playlist.songs = migrateSongs(playlist.songs || [], `playlists/${userId}/${playlist.id}`, summary);
+      });
+    });
+  };
+
+  if (write) {
+    await likedSongs.update(migrateLikes);
+    await playlists.update(migratePlaylists);
+    await ratings.update(data => migrateRatings(data, summary));
+    await userStats.update(data => migratePlayHistory(data, summary));
+  } else {
+    migrateLikes(await likedSongs.read());
+    migratePlaylists(await playlists.read());
+    migrateRatings(await ratings.read(), summary);
+    migratePlayHistory(await userStats.read(), summary);
+  }
+
+  summary.unrepairable.forEach(entry => console.warn(`⚠️  Could not repair ${entry}`));
+  console.log(`\n🎵 ${summary.changed} of ${summary.total} songs ${write ? "migrated" : "would change (run with --write to save)"}`);
+  console.log(`⭐ ${summary.ratings} rated tracks and ${summary.plays} stats plays ${write ? "moved to namespaced ids" : "would move to namespaced ids"}`);
+  return summary;
+};
+
+if (require.main === module) {
+  migrate({ write: process.argv.includes("--write") })
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error("💥 Migration failed:", error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { migrate, migrateId };
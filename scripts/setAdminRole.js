@@ -0,0 +1,49 @@
+// Grant or revoke admin rights for an existing account.
+//
+//   npm run admin:grant -- user@example.com            # make the user an admin
+//   npm run admin:grant -- user@example.com --revoke   # take it away again
+//
+// Admin rights live in the user record (role: "admin"); they are never
+// derived from the email address alone.
+require("dotenv").config();
+
+const { getRepository } = require("../storage");
+
+const setAdminRole = async (email, grant) => {
+  return getRepository("users").update((users) => {
+    const user = users.find(u => u.email === email);
+    if (!user) {
+      return null;
+    }
+
+    if (grant) {
+      user.role = "admin";
+    } else {
+      delete user.role;
+    }
+    user.updatedAt = new Date().toISOString();
+    return user;
+  });
+};
+
+const email = process.argv.slice(2).find(arg => !arg.startsWith("--"));
+const grant = !process.argv.includes("--revoke");
+
+if (!email) {
+  console.error("Usage: npm run admin:grant -- <email> [--revoke]");
+  process.exit(1);
+}
+
+setAdminRole(email.trim(), grant)
+  .then(user => {
+    if (!user) {
+      console.error(`❌ No user registered with ${email}`);
+      process.exit(1);
+    }
+    console.log(grant ? `👑 ${user.email} is now an admin` : `🔓 ${user.email} is no longer an admin`);
+    process.exit(0);
+  })
+  .catch(error => {
+    console.error("💥 Failed to update admin role:", error.message);
+    process.exit(1);
+  });
@@ -1,5 +1,8 @@
+require('dotenv').config();
+
 const express = require('express');
 const cors = require('cors');
+const path = require('path');
 
 const app = express();
 const PORT = process.env.PORT || 9000;
@@ -50,41 +53,30 @@ app.get('/api/health', (req, res) => {
   });
 });
 
-app.post('/api/auth/login', (req, res) => {
-  console.log('🔐 Login endpoint accessed');
-  const { email, password } = req.body;
-  res.json({
-    success: true,
-    user: { 
-      id: email || 'test@example.com', 
-      email: email || 'test@example.com', 
-      fullName: 'Railway Test User' 
-    },
-    token: 'railway-npm-token-' + Date.now()
-  });
-});
-
-app.post('/api/auth/register', (req, res) => {
-  console.log('📝 Register endpoint accessed');
-  const { fullName, email, password } = req.body;
-  res.json({
-    success: true,
-    user: { 
-      id: email || 'new@example.com', 
-      email: email || 'new@example.com', 
-      fullName: fullName || 'New Railway User' 
-    },
-    token: 'railway-npm-token-' + Date.now()
-  });
-});
+// Uploaded profile pictures. Filenames are unique per upload, so they can be
+// cached aggressively.
+app.use('/uploads/profile-pictures', express.static(path.join(__dirname, 'uploads/profile-pictures'), {
+  maxAge: '30d',
+  immutable: true,
+  index: false
+}));
 
-app.get('/api/auth/verify', (req, res) => {
-  console.log('✅ Auth verify accessed');
-  res.json({ 
-    success: true,
-    platform: 'Railway',
-    deployment: 'NPM + Node.js'
-  });
+// API routers
+const apiRouters = {
+  '/api/auth': require('./routes/authRoutes'),
+  '/api/playlists': require('./routes/playlistRoutes'),
+  '/api/stats': require('./routes/statsRoutes'),
+  '/api/history': require('./routes/historyRoutes'),
+  '/api/analytics': require('./routes/analyticsRoutes'),
+  '/api/playback': require('./routes/playbackRoutes'),
+  '/api/search': require('./routes/searchRoutes'),
+  '/api/music': require('./routes/musicRoutes'),
+  '/api/feedback': require('./routes/feedbackRoutes'),
+  '/api/ratings': require('./routes/ratingRoutes')
+};
+
+Object.entries(apiRouters).forEach(([prefix, router]) => {
+  app.use(prefix, router);
 });
 
 // Test endpoint
@@ -112,6 +104,18 @@ app.get('/api/debug', (req, res) => {
   });
 });
 
+// Collect "METHOD /path" strings from the routes registered on a router
+const collectRoutes = (stack, prefix = '') => stack
+  .filter(layer => layer.route)
+  .flatMap(layer => Object.keys(layer.route.methods)
+    .filter(method => method !== '_all')
+    .map(method => `${method.toUpperCase()} ${prefix}${layer.route.path === '/' && prefix ? '' : layer.route.path}`));
+
+const listEndpoints = () => [
+  ...collectRoutes(app._router.stack),
+  ...Object.entries(apiRouters).flatMap(([prefix, router]) => collectRoutes(router.stack, prefix))
+];
+
 // Error handling middleware
 app.use((error, req, res, next) => {
   console.error('❌ Server error:', error.message);
@@ -130,22 +134,14 @@ app.use('*', (req, res) => {
     error: 'Route not found',
     path: req.originalUrl,
     method: req.method,
-    availableEndpoints: [
-      'GET /',
-      'GET /api/health', 
-      'POST /api/auth/login',
-      'POST /api/auth/register',
-      'GET /api/auth/verify',
-      'GET /api/test',
-      'GET /api/debug'
-    ],
+    availableEndpoints: listEndpoints(),
     platform: 'Railway',
     timestamp: new Date().toISOString()
   });
 });
 
-// Start server
-app.listen(PORT, '0.0.0.0', (err) => {
+// Start server (tests require the app without listening)
+const start = () => app.listen(PORT, '0.0.0.0', (err) => {
   if (err) {
     console.error('❌ Failed to start server:', err);
     process.exit(1);
@@ -162,8 +158,14 @@ app.listen(PORT, '0.0.0.0', (err) => {
   console.log(`⏱️  Started at: ${new Date().toLocaleString()}`);
   console.log('✅ Server is healthy and ready for requests!');
   console.log('==========================================\n');
+
+  require('./services/scrobbleService').start();
 });
 
+if (require.main === module) {
+  start();
+}
+
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('🛑 Received SIGTERM, shutting down gracefully...');
@@ -0,0 +1,198 @@
+// Fixed demo catalog: artists, albums and tracks with stable ids. Durations,
+// popularity, release days and the like come from a PRNG seeded per track
+// (DEMO_CATALOG_SEED), so demo:3 is the same song with the same data on
+// every call and every restart. Ids 1-20 are the songs the old generated
+// demo list used, so stored demo likes keep pointing at the same title.
+//
+// Previews are short synthesized WAV clips served by this API
+// (GET /api/music/demo/preview/:id.wav), so demo mode plays without network.
+
+const trackModel = require("./trackModel");
+
+const SEED = process.env.DEMO_CATALOG_SEED || "tunestream-demo";
+
+const CATEGORIES = [
+  { id: "pop", name: "Pop" },
+  { id: "rock", name: "Rock" },
+  { id: "hip-hop", name: "Hip-Hop" },
+  { id: "electronic", name: "Electronic" },
+  { id: "indie", name: "Indie" },
+  { id: "r-b", name: "R&B" },
+  { id: "country", name: "Country" },
+  { id: "jazz", name: "Jazz" }
+];
+
+// Track genre -> category id
+const GENRE_CATEGORY = {
+  "Pop": "pop",
+  "Synth-Pop": "pop",
+  "Dance-Pop": "pop",
+  "Pop Rock": "rock",
+  "Rock": "rock",
+  "Hip-Hop": "hip-hop",
+  "House": "electronic",
+  "Electronic": "electronic",
+  "Indie": "indie",
+  "R&B": "r-b",
+  "Funk": "r-b",
+  "Country": "country",
+  "Jazz": "jazz"
+};
+
+// [title, artist, album, genre, year]
+const HITS = [
+  ["Shape of You", "Ed Sheeran", "÷ (Divide)", "Pop", 2017],
+  ["Blinding Lights", "The Weeknd", "After Hours", "Synth-Pop", 2019],
+  ["Watermelon Sugar", "Harry Styles", "Fine Line", "Pop", 2019],
+  ["Good 4 U", "Olivia Rodrigo", "SOUR", "Pop Rock", 2021],
+  ["Levitating", "Dua Lipa", "Future Nostalgia", "Dance-Pop", 2020],
+  ["Stay", "The Kid LAROI", "F*CK LOVE 3", "Pop", 2021],
+  ["Heat Waves", "Glass Animals", "Dreamland", "Indie", 2020],
+  ["As It Was", "Harry Styles", "Harrys House", "Pop", 2022],
+  ["Anti-Hero", "Taylor Swift", "Midnights", "Pop", 2022],
+  ["Flowers", "Miley Cyrus", "Endless Summer Vacation", "Pop", 2023],
+  ["Unholy", "Sam Smith", "Gloria", "Pop", 2022],
+  ["Bad Habit", "Steve Lacy", "Gemini Rights", "R&B", 2022],
+  ["About Damn Time", "Lizzo", "About Damn Time", "Funk", 2022],
+  ["Running Up That Hill", "Kate Bush", "Hounds of Love", "Rock", 1985],
+  ["Glimpse of Us", "Joji", "Glimpse of Us", "Indie", 2022],
+  ["Left and Right", "Charlie Puth", "Left and Right", "Pop", 2022],
+  ["First Class", "Jack Harlow", "Come Home The Kids Miss You", "Hip-Hop", 2022],
+  ["Break My Soul", "Beyoncé", "Renaissance", "House", 2022],
+  ["Sunroof", "Nicky Youre", "Sunroof", "Pop", 2021],
+  ["Late Night Talking", "Harry Styles", "Harrys House", "Pop", 2022]
+];
+
+// Fictional catalogue filling the remaining categories
+const ALBUMS = [
+  { artist: "The Lanterns", album: "Static Bloom", genre: "Rock", year: 2019, titles: ["Paper Engines", "Northbound", "Glass Harbor", "Kingdom of Noise"] },
+  { artist: "Verse Atlas", album: "Concrete Psalms", genre: "Hip-Hop", year: 2021, titles: ["City Lights Freestyle", "Underground Kings", "Blueprints"] },
+  { artist: "Nova Drift", album: "Afterglow Protocol", genre: "Electronic", year: 2022, titles: ["Neon Rain", "Pulse Theory", "Midnight Circuit", "Satellite Hearts"] },
+  { artist: "Maple & Moth", album: "Small Hours", genre: "Indie", year: 2020, titles: ["Polaroid Summer", "Kitchen Light", "Slow Parade"] },
+  { artist: "Selene Ray", album: "Velvet Hours", genre: "R&B", year: 2021, titles: ["Golden Hour Love", "Slow Burn", "Honey Static"] },
+  { artist: "Dusty Creek Band", album: "Gravel Roads", genre: "Country", year: 2018, titles: ["Whiskey Porch", "Back Forty", "County Fair Lights"] },
+  { artist: "The Blue Hour Trio", album: "After Hours at the Lark", genre: "Jazz", year: 2017, titles: ["Lark Street Blues", "Smoke Rings", "Quiet Storm Waltz"] }
+];
+
+const PREVIEW_SECONDS = 12;
+const PREVIEW_SAMPLE_RATE = 8000;
+// A pentatonic scale keeps the generated melodies pleasant
+const SCALE_HZ = [261.63, 293.66, 329.63, 392.0, 440.0, 523.25, 587.33, 659.25];
+
+const slug = (value) => String(value).toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+
+// Deterministic 0-1 numbers from a string seed (FNV-1a hash into mulberry32)
+const randomFor = (key) => {
+  let state = 2166136261;
+  for (const char of `${SEED}:${key}`) {
+    state = Math.imul(state ^ char.codePointAt(0), 16777619);
+  }
+  return () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const between = (random, min, max) => min + Math.floor(random() * (max - min + 1));
+
+const baseUrl = () => (process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 9000}`).replace(/\/+$/, "");
+
+const previewUrl = (providerId) => `${baseUrl()}/api/music/demo/preview/${providerId}.wav`;
+
+const entries = () => [
+  ...HITS.map(([title, artist, album, genre, year]) => ({ title, artist, album, genre, year, hit: true })),
+  ...ALBUMS.flatMap(({ artist, album, genre, year, titles }) => titles.map(title => ({ title, artist, album, genre, year, hit: false })))
+];
+
+const buildTrack = (entry, index) => {
+  const providerId = String(index + 1);
+  const random = randomFor(providerId);
+  const month = between(random, 1, 12);
+  const day = between(random, 1, 28);
+
+  return trackModel.createTrack("demo", {
+    id: providerId,
+    title: entry.title,
+    artist: entry.artist,
+    album: entry.album,
+    duration: between(random, 150, 300),
+    cover_url: `https://picsum.photos/seed/${slug(entry.album)}/300/300`,
+    audio_url: previewUrl(providerId),
+    external_url: `https://open.spotify.com/search/${encodeURIComponent(`${entry.title} ${entry.artist}`)}`,
+    isrc: `QZDEM${String(entry.year).slice(-2)}${providerId.padStart(5, "0")}`,
+    genre: entry.genre,
+    popularity: entry.hit ? between(random, 70, 100) : between(random, 25, 70),
+    explicit: random() < 0.15,
+    release_date: `${entry.year}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`,
+    artist_id: `artist_${slug(entry.artist)}`,
+    album_id: `album_${slug(entry.album)}`
+  });
+};
+
+let catalog = null;
+
+const loadCatalog = () => {
+  if (!catalog) {
+    catalog = entries().map(buildTrack);
+  }
+  return catalog;
+};
+
+// All demo tracks in id order (copies, so callers may modify them)
+const getTracks = () => loadCatalog().map(track => ({ ...track }));
+
+const getTrack = (providerId) => {
+  const track = loadCatalog().find(candidate => candidate.providerId === String(providerId));
+  return track ? { ...track } : null;
+};
+
+const categoryOf = (track) => GENRE_CATEGORY[track.genre] || slug(track.genre);
+
+// 8-bit mono WAV: a short looping melody picked by the track's seed, so every
+// track sounds different but always the same. Null for unknown tracks.
+const renderPreview = (providerId) => {
+  if (!loadCatalog().some(track => track.providerId === String(providerId))) {
+    return null;
+  }
+
+  const random = randomFor(`preview:${providerId}`);
+  const melody = Array.from({ length: 8 }, () => SCALE_HZ[between(random, 0, SCALE_HZ.length - 1)]);
+  const noteSamples = PREVIEW_SAMPLE_RATE / 2;
+  const sampleCount = PREVIEW_SECONDS * PREVIEW_SAMPLE_RATE;
+  const buffer = Buffer.alloc(44 + sampleCount);
+
+  buffer.write("RIFF", 0);
+  buffer.writeUInt32LE(36 + sampleCount, 4);
+  buffer.write("WAVE", 8);
+  buffer.write("fmt ", 12);
+  buffer.writeUInt32LE(16, 16);
+  buffer.writeUInt16LE(1, 20); // PCM
+  buffer.writeUInt16LE(1, 22); // mono
+  buffer.writeUInt32LE(PREVIEW_SAMPLE_RATE, 24);
+  buffer.writeUInt32LE(PREVIEW_SAMPLE_RATE, 28); // byte rate
+  buffer.writeUInt16LE(1, 32); // block align
+  buffer.writeUInt16LE(8, 34); // bits per sample
+  buffer.write("data", 36);
+  buffer.writeUInt32LE(sampleCount, 40);
+
+  for (let i = 0; i < sampleCount; i++) {
+    const position = i % noteSamples;
+    const frequency = melody[Math.floor(i / noteSamples) % melody.length];
+    // Quick attack, linear decay per note
+    const envelope = Math.min(1, position / 80) * (1 - position / noteSamples);
+    const sample = Math.sin((2 * Math.PI * frequency * i) / PREVIEW_SAMPLE_RATE) * envelope * 0.6;
+    buffer[44 + i] = Math.round(128 + sample * 127);
+  }
+
+  return buffer;
+};
+
+module.exports = {
+  CATEGORIES,
+  getTracks,
+  getTrack,
+  categoryOf,
+  renderPreview
+};
@@ -1,71 +1,41 @@
-// Demo music service for testing - Works without API keys
+const demoCatalog = require('./demoCatalog');
+const trackModel = require('./trackModel');
+const { normalize } = require('./trackIdentity');
+
+const byPopularity = (a, b) => b.popularity - a.popularity || Number(a.providerId) - Number(b.providerId);
+
+// Demo music service for testing - Works without API keys. Everything comes
+// from the fixed demo catalog, so results are the same on every call.
 class DemoMusicService {
   async getTrendingTracks(limit = 50) {
     console.log('🎵 Loading DEMO trending tracks...');
-    
-    const popularSongs = [
-      { title: 'Shape of You', artist: 'Ed Sheeran', album: '÷ (Divide)' },
-      { title: 'Blinding Lights', artist: 'The Weeknd', album: 'After Hours' },
-      { title: 'Watermelon Sugar', artist: 'Harry Styles', album: 'Fine Line' },
-      { title: 'Good 4 U', artist: 'Olivia Rodrigo', album: 'SOUR' },
-      { title: 'Levitating', artist: 'Dua Lipa', album: 'Future Nostalgia' },
-      { title: 'Stay', artist: 'The Kid LAROI', album: 'F*CK LOVE 3' },
-      { title: 'Heat Waves', artist: 'Glass Animals', album: 'Dreamland' },
-      { title: 'As It Was', artist: 'Harry Styles', album: 'Harrys House' },
-      { title: 'Anti-Hero', artist: 'Taylor Swift', album: 'Midnights' },
-      { title: 'Flowers', artist: 'Miley Cyrus', album: 'Endless Summer Vacation' },
-      { title: 'Unholy', artist: 'Sam Smith', album: 'Gloria' },
-      { title: 'Bad Habit', artist: 'Steve Lacy', album: 'Gemini Rights' },
-      { title: 'About Damn Time', artist: 'Lizzo', album: 'About Damn Time' },
-      { title: 'Running Up That Hill', artist: 'Kate Bush', album: 'Hounds of Love' },
-      { title: 'Glimpse of Us', artist: 'Joji', album: 'Glimpse of Us' },
-      { title: 'Left and Right', artist: 'Charlie Puth', album: 'Left and Right' },
-      { title: 'First Class', artist: 'Jack Harlow', album: 'Come Home The Kids Miss You' },
-      { title: 'Break My Soul', artist: 'Beyoncé', album: 'Renaissance' },
-      { title: 'Sunroof', artist: 'Nicky Youre', album: 'Sunroof' },
-      { title: 'Late Night Talking', artist: 'Harry Styles', album: 'Harrys House' }
-    ];
-    
-    const demoTracks = [];
-    for (let i = 0; i < limit; i++) {
-      const song = popularSongs[i % popularSongs.length];
-      demoTracks.push({
-        id: `demo_${i + 1}`,
-        title: song.title,
-        artist: song.artist,
-        album: song.album,
-        cover_url: `https://picsum.photos/300/300?random=${i + 1}&blur=1`,
-        audio_url: null, // No preview in demo mode
-        duration: 180 + Math.floor(Math.random() * 120), // Random duration 3-5 mins
-        external_url: 'https://open.spotify.com',
-        popularity: Math.floor(Math.random() * 30) + 70, // 70-100
-        explicit: Math.random() > 0.8,
-        genre: ['Pop', 'Rock', 'Hip-Hop', 'Electronic', 'Indie'][Math.floor(Math.random() * 5)],
-        release_date: `202${Math.floor(Math.random() * 4)}-${String(Math.floor(Math.random() * 12) + 1).padStart(2, '0')}-01`,
-        artist_id: `artist_${i % 10}`,
-        album_id: `album_${i % 15}`,
-        created_at: new Date().toISOString(),
-        updated_at: new Date().toISOString()
-      });
-    }
-    
-    console.log(`✅ Generated ${demoTracks.length} demo tracks`);
-    return demoTracks;
+
+    const tracks = [...demoCatalog.getTracks()].sort(byPopularity).slice(0, limit);
+
+    console.log(`✅ Loaded ${tracks.length} demo tracks`);
+    return tracks;
   }
-  
+
+  // Every word of the query must appear in the title, artist or album, so
+  // "blinding lights the weeknd" finds the song. Title matches rank first.
   async searchTracks(query, limit = 20) {
     console.log(`🔍 DEMO search for: "${query}"`);
-    
-    const allTracks = await this.getTrendingTracks(100);
-    const filteredTracks = allTracks.filter(track => 
-      track.title.toLowerCase().includes(query.toLowerCase()) ||
-      track.artist.toLowerCase().includes(query.toLowerCase()) ||
-      track.album.toLowerCase().includes(query.toLowerCase())
-    );
-    
+
+    const words = normalize(query).split(' ').filter(Boolean);
+    const wanted = normalize(query);
+
+    const filteredTracks = demoCatalog.getTracks()
+      .filter(track => {
+        const text = ` ${normalize(`${track.title} ${track.artist} ${track.album}`)} `;
+        return words.length > 0 && words.every(word => text.includes(word));
+      })
+      .map(track => ({ track, titleMatch: normalize(track.title).includes(wanted) ? 1 : 0 }))
+      .sort((a, b) => b.titleMatch - a.titleMatch || byPopularity(a.track, b.track))
+      .map(({ track }) => track);
+
     const resultTracks = filteredTracks.slice(0, limit);
     console.log(`📊 Found ${resultTracks.length} matching demo tracks for "${query}"`);
-    
+
     return {
       tracks: resultTracks,
       total: filteredTracks.length,
@@ -73,35 +43,70 @@ class DemoMusicService {
       hasPrevious: false
     };
   }
-  
+
   async getCategories(limit = 20) {
     console.log('📂 Loading demo categories...');
-    
-    const categories = [
-      { id: 'pop', name: 'Pop', image: 'https://picsum.photos/300/300?random=cat1' },
-      { id: 'rock', name: 'Rock', image: 'https://picsum.photos/300/300?random=cat2' },
-      { id: 'hip-hop', name: 'Hip-Hop', image: 'https://picsum.photos/300/300?random=cat3' },
-      { id: 'electronic', name: 'Electronic', image: 'https://picsum.photos/300/300?random=cat4' },
-      { id: 'indie', name: 'Indie', image: 'https://picsum.photos/300/300?random=cat5' },
-      { id: 'r-b', name: 'R&B', image: 'https://picsum.photos/300/300?random=cat6' },
-      { id: 'country', name: 'Country', image: 'https://picsum.photos/300/300?random=cat7' },
-      { id: 'jazz', name: 'Jazz', image: 'https://picsum.photos/300/300?random=cat8' }
-    ];
-    
+
+    const tracks = demoCatalog.getTracks();
+    const categories = demoCatalog.CATEGORIES.map(category => ({
+      id: category.id,
+      name: category.name,
+      image: `https://picsum.photos/seed/category-${category.id}/300/300`,
+      trackCount: tracks.filter(track => demoCatalog.categoryOf(track) === category.id).length
+    }));
+
     return categories.slice(0, limit);
   }
-  
+
+  // Tracks from the seed genres (matched on category id or genre name), most
+  // popular first and alternating between genres; topped up with other
+  // popular tracks when the seeds do not fill the list
   async getRecommendations(seedGenres = ['pop'], limit = 20) {
     console.log(`🎯 Getting demo recommendations for: ${seedGenres.join(', ')}`);
-    
-    const tracks = await this.getTrendingTracks(50);
-    return tracks.slice(0, limit);
+
+    const tracks = [...demoCatalog.getTracks()].sort(byPopularity);
+    const matchesSeed = (track, seed) => {
+      const wanted = normalize(seed);
+      return wanted && (normalize(demoCatalog.categoryOf(track)) === wanted || normalize(track.genre).includes(wanted));
+    };
+
+    const perSeed = seedGenres.map(seed => tracks.filter(track => matchesSeed(track, seed)));
+    const picked = [];
+    for (let round = 0; perSeed.some(list => round < list.length); round++) {
+      perSeed.forEach(list => {
+        if (list[round] && !picked.includes(list[round])) {
+          picked.push(list[round]);
+        }
+      });
+    }
+
+    tracks.forEach(track => {
+      if (!picked.includes(track)) {
+        picked.push(track);
+      }
+    });
+
+    return picked.slice(0, limit);
   }
-  
+
+  // Accepts "demo:3", the legacy "demo_3" and a bare "3"
+  async getTrackDetails(trackId) {
+    const { provider, providerId } = trackModel.parseTrackId(trackId);
+    if (provider && provider !== 'demo') {
+      return null;
+    }
+    return demoCatalog.getTrack(providerId);
+  }
+
+  // WAV buffer for a demo track preview, or null for unknown ids
+  getPreview(providerId) {
+    return demoCatalog.renderPreview(providerId);
+  }
+
   async healthCheck() {
-    return { 
-      status: 'OK', 
-      message: 'Demo Music Service - No API keys required!' 
+    return {
+      status: 'OK',
+      message: 'Demo Music Service - No API keys required!'
     };
   }
 }
@@ -0,0 +1,134 @@
+// Federated search: ask every enabled search provider at once, each under
+// its own timeout, then merge, de-duplicate (see trackIdentity) and rank the
+// results. Providers that fail or time out are reported, not fatal, as long
+// as at least one answered.
+
+const providerRegistry = require("./providerRegistry");
+const { normalize, isSameTrack } = require("./trackIdentity");
+
+const PROVIDER_TIMEOUT_MS = parseInt(process.env.FEDERATED_SEARCH_TIMEOUT_MS, 10) || 4000;
+
+// Score weights; they add up to 1
+const WEIGHTS = { relevance: 0.6, popularity: 0.25, playable: 0.15 };
+
+// Providers such as Jamendo and iTunes report no popularity; rank them as average
+const UNKNOWN_POPULARITY = 0.5;
+
+// Metadata a kept track may borrow from a duplicate that has it
+const MERGE_FIELDS = ["album", "duration", "cover_url", "isrc", "genre", "release_date"];
+
+const tokens = (value) => normalize(value).split(" ").filter(Boolean);
+
+// 0-1: how well the title and artist answer the query
+const relevance = (query, track) => {
+  const wanted = normalize(query);
+  const title = normalize(track.title);
+  const artist = normalize(track.artist);
+
+  if (!wanted) return 0;
+  if (title === wanted || `${artist} ${title}` === wanted || `${title} ${artist}` === wanted) {
+    return 1;
+  }
+
+  const queryTokens = tokens(query);
+  const available = new Set([...tokens(track.title), ...tokens(track.artist)]);
+  const coverage = queryTokens.filter(token => available.has(token)).length / queryTokens.length;
+  const titleBonus = title.startsWith(wanted) ? 0.2 : title.includes(wanted) ? 0.1 : 0;
+
+  return Math.min(0.9, coverage * 0.7 + titleBonus);
+};
+
+const score = (query, track) => {
+  const popularity = typeof track.popularity === "number" ? track.popularity / 100 : UNKNOWN_POPULARITY;
+  return WEIGHTS.relevance * relevance(query, track)
+    + WEIGHTS.popularity * popularity
+    + WEIGHTS.playable * (track.audio_url ? 1 : 0);
+};
+
+class FederatedSearchService {
+  // Enabled providers that can search, or the named ones when given
+  providersFor(names) {
+    return names
+      ? names.map(name => providerRegistry.get(name))
+      : providerRegistry.chain("search");
+  }
+
+  async queryProvider(provider, query, limit, timeoutMs) {
+    const startTime = Date.now();
+
+    try {
+      const results = await providerRegistry.withTimeout(
+        provider.service.searchTracks(query, limit),
+        timeoutMs,
+        `Timed out after ${timeoutMs}ms`
+      );
+      const tracks = (results && results.tracks) || results || [];
+      return { name: provider.name, status: "ok", latencyMs: Date.now() - startTime, count: tracks.length, tracks };
+    } catch (error) {
+      const status = { PROVIDER_TIMEOUT: "timeout", CIRCUIT_OPEN: "circuit_open" }[error.code] || "error";
+      console.error(`⚠️ Federated search: ${provider.name} ${status}: ${error.message}`);
+      return {
+        name: provider.name,
+        status,
+        latencyMs: Date.now() - startTime,
+        count: 0,
+        error: error.message,
+        tracks: []
+      };
+    }
+  }
+
+  // Resolves to { tracks, providers, merged } where `providers` lists each
+  // provider's status, latency and result count and `merged` counts the
+  // duplicates folded into other results. Rejects with a ProviderError only
+  // when every provider failed.
+  async search(query, { limit = 20, providers: names = null, timeoutMs = PROVIDER_TIMEOUT_MS } = {}) {
+    const providers = this.providersFor(names);
+
+    if (providers.length === 0) {
+      throw new providerRegistry.ProviderError("No enabled music provider supports search", 501);
+    }
+
+    const outcomes = await Promise.all(providers.map(provider => this.queryProvider(provider, query, limit, timeoutMs)));
+
+    if (outcomes.every(outcome => outcome.status !== "ok")) {
+      const failures = outcomes.map(outcome => `${outcome.name}: ${outcome.error}`).join("; ");
+      throw new providerRegistry.ProviderError(`All music providers failed for search (${failures})`);
+    }
+
+    // Ties keep provider priority, then each provider's own order
+    const ranked = outcomes
+      .flatMap((outcome, providerIndex) => outcome.tracks.map((track, position) => ({
+        track,
+        score: score(query, track),
+        providerIndex,
+        position
+      })))
+      .sort((a, b) => b.score - a.score || a.providerIndex - b.providerIndex || a.position - b.position);
+
+    const kept = [];
+    let merged = 0;
+
+    ranked.forEach(({ track }) => {
+      const original = kept.find(candidate => isSameTrack(candidate, track));
+      if (!original) {
+        kept.push({ ...track });
+        return;
+      }
+      merged++;
+      MERGE_FIELDS.forEach(field => {
+        if (original[field] === null && track[field] !== null) {
+          original[field] = track[field];
+        }
+      });
+    });
+
+    return {
+      tracks: kept.slice(0, limit),
+      providers: outcomes.map(({ tracks, ...status }) => status),
+      merged
+    };
+  }
+}
+
+module.exports = new FederatedSearchService();
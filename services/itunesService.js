@@ -0,0 +1,31 @@
+const { iTunesApi } = require("../config/apis");
+const trackModel = require("./trackModel");
+
+// iTunes Search API: metadata and 30-second previews, no key required.
+// Errors are thrown so the provider registry can see them.
+class ItunesService {
+  async searchTracks(query, limit = 20) {
+    const response = await iTunesApi.get("search", {
+      params: {
+        term: query,
+        media: "music",
+        entity: "song",
+        limit
+      }
+    });
+
+    const tracks = trackModel.mapTracks(response.data.results, trackModel.fromItunes);
+    return { tracks, total: response.data.resultCount || tracks.length, hasNext: false, hasPrevious: false };
+  }
+
+  async healthCheck() {
+    try {
+      await iTunesApi.get("search", { params: { term: "test", media: "music", limit: 1 }, timeout: 5000 });
+      return { status: "OK", message: "iTunes Search API reachable" };
+    } catch (error) {
+      return { status: "ERROR", message: `iTunes Search API unreachable: ${error.message}` };
+    }
+  }
+}
+
+module.exports = new ItunesService();
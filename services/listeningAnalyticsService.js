@@ -0,0 +1,275 @@
+const { getRepository } = require("../storage");
+const listeningHistoryService = require("./listeningHistoryService");
+const timeZone = require("./timeZone");
+
+const GRANULARITIES = ["day", "week", "month"];
+
+// UTC quarter hour a play falls in, e.g. "2026-09-03T20:45". Every zone
+// offset is a whole number of quarter hours, so each bucket lies in a single
+// local hour.
+const quarterKey = (instant) => {
+  const iso = new Date(instant).toISOString();
+  const minute = Math.floor(Number(iso.slice(14, 16)) / 15) * 15;
+  return `${iso.slice(0, 14)}${String(minute).padStart(2, "0")}`;
+};
+
+const minutesOf = (seconds) => Math.round(seconds / 60);
+
+const percent = (part, whole) => (whole > 0 ? Math.round((part / whole) * 1000) / 10 : 0);
+
+const periodOf = (date, granularity) => {
+  if (granularity === "week") return timeZone.weekStart(date);
+  if (granularity === "month") return date.slice(0, 7);
+  return date;
+};
+
+// Every period key from `from` to `to` (dates), so empty periods show as zero
+const periodsBetween = (from, to, granularity) => {
+  const periods = [];
+  if (granularity === "month") {
+    let [year, month] = from.slice(0, 7).split("-").map(Number);
+    const last = to.slice(0, 7);
+    for (let key = from.slice(0, 7); key <= last; key = `${year}-${String(month).padStart(2, "0")}`) {
+      periods.push(key);
+      month = month === 12 ? 1 : month + 1;
+      year = month === 1 ? year + 1 : year;
+    }
+    return periods;
+  }
+
+  const step = granularity === "week" ? 7 : 1;
+  for (let date = periodOf(from, granularity); date <= to; date = timeZone.addDays(date, step)) {
+    periods.push(date);
+  }
+  return periods;
+};
+
+const addPlay = (quarters, { track, duration, playedAt }) => {
+  const key = quarterKey(playedAt);
+  const bucket = quarters[key] || (quarters[key] = { plays: 0, seconds: 0, genres: {} });
+  bucket.plays++;
+  bucket.seconds += duration;
+  if (track && track.genre) {
+    bucket.genres[track.genre] = (bucket.genres[track.genre] || 0) + duration;
+  }
+};
+
+// Undo addPlay for a play that left the history; emptied buckets go away
+const removePlay = (quarters, { track, duration, playedAt }) => {
+  const key = quarterKey(playedAt);
+  const bucket = quarters[key];
+  if (!bucket) {
+    return;
+  }
+
+  bucket.plays--;
+  bucket.seconds = Math.max(0, bucket.seconds - duration);
+  if (track && track.genre && bucket.genres[track.genre] !== undefined) {
+    bucket.genres[track.genre] -= duration;
+    if (bucket.genres[track.genre] <= 0) {
+      delete bucket.genres[track.genre];
+    }
+  }
+  if (bucket.plays <= 0) {
+    delete quarters[key];
+  }
+};
+
+// Rollups from before quarter-hour buckets (hourly `hours`) are rebuilt
+const isCurrent = (rollup) => Boolean(rollup && rollup.quarters);
+
+const buildRollup = (entries) => {
+  const quarters = {};
+  entries.forEach(entry => addPlay(quarters, entry));
+  return { quarters };
+};
+
+// Listening over time. Every play in the listening history is rolled up into
+// a quarter-hour bucket (UTC) per user:
+// listeningRollups[userId].quarters["2026-09-03T20:45"] =
+// { plays, seconds, genres: { [genre]: seconds } }. Days, weeks, months and
+// the heatmap are built from those buckets in the user's time zone, so
+// changing the time zone needs no rebuild, and half-hour zones such as
+// Asia/Kolkata get every play in the right local hour.
+class ListeningAnalyticsService {
+  constructor() {
+    this.rollups = getRepository("listeningRollups");
+    this.users = getRepository("users");
+  }
+
+  // The user's rollups, built from the listening history on first use. The
+  // history is read inside the queued update: a play recorded meanwhile has
+  // its addHistoryEntries queued behind this build, so it is never lost.
+  async ensureUser(userId) {
+    if (isCurrent((await this.rollups.read())[userId])) {
+      return;
+    }
+
+    await this.rollups.update(async (rollups) => {
+      if (!isCurrent(rollups[userId])) {
+        rollups[userId] = buildRollup(await listeningHistoryService.getEntries(userId));
+      }
+    });
+  }
+
+  // Entries just added to the history (plays and imports). Users without
+  // rollups yet get them built from the history, these entries included, on
+  // first use.
+  async addHistoryEntries(userId, entries) {
+    await this.rollups.update((rollups) => {
+      if (isCurrent(rollups[userId])) {
+        entries.forEach(entry => addPlay(rollups[userId].quarters, entry));
+      }
+    });
+  }
+
+  // Entries just deleted from the history
+  async removeHistoryEntries(userId, entries) {
+    await this.rollups.update((rollups) => {
+      if (isCurrent(rollups[userId])) {
+        entries.forEach(entry => removePlay(rollups[userId].quarters, entry));
+      }
+    });
+  }
+
+  // After the history was cleared; rollups are rebuilt from it on next use
+  async clearUser(userId) {
+    await this.rollups.update((rollups) => {
+      delete rollups[userId];
+    });
+  }
+
+  // The user's configured IANA zone (profile `timezone`), else UTC
+  async getTimeZone(userId) {
+    const user = (await this.users.read()).find(u => u.id === userId);
+    return user && timeZone.isValidTimeZone(user.timezone) ? user.timezone : timeZone.DEFAULT_TIME_ZONE;
+  }
+
+  // Buckets whose local date is within from..to (inclusive), each with its
+  // local date, hour and weekday
+  async localBuckets(userId, from, to, zone) {
+    await this.ensureUser(userId);
+    const { quarters } = (await this.rollups.read())[userId];
+
+    // No zone is more than 14 hours from UTC, so a day either side is enough
+    const first = `${timeZone.addDays(from, -1)}T00:00`;
+    const last = `${timeZone.addDays(to, 1)}T23:45`;
+
+    return Object.entries(quarters)
+      .filter(([key]) => key >= first && key <= last)
+      .map(([key, bucket]) => ({ ...bucket, ...timeZone.localParts(`${key}:00Z`, zone) }))
+      .filter(bucket => bucket.date >= from && bucket.date <= to);
+  }
+
+  // Listening minutes and plays per day, week (starting Monday) or month
+  async listeningOverTime(userId, { from, to, granularity = "day", zone }) {
+    const buckets = await this.localBuckets(userId, from, to, zone);
+    const totals = {};
+    periodsBetween(from, to, granularity).forEach(period => {
+      totals[period] = { plays: 0, seconds: 0 };
+    });
+
+    const activeDays = new Set();
+    buckets.forEach(bucket => {
+      const total = totals[periodOf(bucket.date, granularity)];
+      total.plays += bucket.plays;
+      total.seconds += bucket.seconds;
+      activeDays.add(bucket.date);
+    });
+
+    const series = Object.entries(totals).map(([period, total]) => ({
+      period,
+      plays: total.plays,
+      minutes: minutesOf(total.seconds)
+    }));
+    const seconds = buckets.reduce((sum, bucket) => sum + bucket.seconds, 0);
+
+    return {
+      series,
+      totals: {
+        plays: buckets.reduce((sum, bucket) => sum + bucket.plays, 0),
+        minutes: minutesOf(seconds),
+        activeDays: activeDays.size,
+        averageMinutesPerDay: Math.round(seconds / 60 / (timeZone.daysBetween(from, to) + 1))
+      }
+    };
+  }
+
+  // Minutes and plays by hour of day (columns 0-23) and weekday (rows,
+  // Monday first)
+  async heatmap(userId, { from, to, zone }) {
+    const buckets = await this.localBuckets(userId, from, to, zone);
+    const grid = () => timeZone.WEEKDAYS.map(() => new Array(24).fill(0));
+    const seconds = grid();
+    const plays = grid();
+
+    buckets.forEach(bucket => {
+      seconds[bucket.weekday][bucket.hour] += bucket.seconds;
+      plays[bucket.weekday][bucket.hour] += bucket.plays;
+    });
+
+    let peak = null;
+    seconds.forEach((row, weekday) => row.forEach((value, hour) => {
+      if (value > 0 && (!peak || value > peak.seconds)) {
+        peak = { weekday: timeZone.WEEKDAYS[weekday], hour, seconds: value };
+      }
+    }));
+
+    return {
+      weekdays: timeZone.WEEKDAYS,
+      minutes: seconds.map(row => row.map(minutesOf)),
+      plays,
+      peak: peak && { weekday: peak.weekday, hour: peak.hour, minutes: minutesOf(peak.seconds) }
+    };
+  }
+
+  // Share of listening time per genre in each period. The `limit` genres
+  // with the most time over the whole range are listed; the rest count as
+  // "Other". Plays without a known genre are left out of the shares.
+  async genreShare(userId, { from, to, granularity = "month", limit = 5, zone }) {
+    const buckets = await this.localBuckets(userId, from, to, zone);
+
+    const overall = {};
+    buckets.forEach(bucket => Object.entries(bucket.genres).forEach(([genre, seconds]) => {
+      overall[genre] = (overall[genre] || 0) + seconds;
+    }));
+    const topGenres = Object.keys(overall).sort((a, b) => overall[b] - overall[a] || a.localeCompare(b)).slice(0, limit);
+
+    const periods = {};
+    periodsBetween(from, to, granularity).forEach(period => {
+      periods[period] = { seconds: 0, tagged: 0, genres: {} };
+    });
+    buckets.forEach(bucket => {
+      const period = periods[periodOf(bucket.date, granularity)];
+      period.seconds += bucket.seconds;
+      Object.entries(bucket.genres).forEach(([genre, seconds]) => {
+        const name = topGenres.includes(genre) ? genre : "Other";
+        period.genres[name] = (period.genres[name] || 0) + seconds;
+        period.tagged += seconds;
+      });
+    });
+
+    const names = Object.keys(overall).length > topGenres.length ? [...topGenres, "Other"] : topGenres;
+    const taggedTotal = Object.values(overall).reduce((sum, seconds) => sum + seconds, 0);
+
+    return {
+      genres: names.map(genre => {
+        const seconds = genre === "Other"
+          ? taggedTotal - topGenres.reduce((sum, top) => sum + overall[top], 0)
+          : overall[genre];
+        return { genre, minutes: minutesOf(seconds), share: percent(seconds, taggedTotal) };
+      }),
+      series: Object.entries(periods).map(([period, totals]) => ({
+        period,
+        minutes: minutesOf(totals.seconds),
+        untaggedMinutes: minutesOf(totals.seconds - totals.tagged),
+        shares: Object.fromEntries(names.map(genre => [genre, percent(totals.genres[genre] || 0, totals.tagged)]))
+      }))
+    };
+  }
+}
+
+const listeningAnalyticsService = new ListeningAnalyticsService();
+listeningAnalyticsService.GRANULARITIES = GRANULARITIES;
+
+module.exports = listeningAnalyticsService;
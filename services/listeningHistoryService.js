@@ -0,0 +1,262 @@
+const crypto = require("crypto");
+const { getRepository } = require("../storage");
+const trackModel = require("./trackModel");
+const trackIdentity = require("./trackIdentity");
+
+const MAX_ENTRIES = parseInt(process.env.HISTORY_MAX_ENTRIES, 10) || 5000;
+const DEVICE_TYPES = ["web", "desktop", "mobile", "tablet", "tv", "speaker", "car", "unknown"];
+const MAX_DEVICE_NAME_LENGTH = 60;
+
+// { type, name } from a device type string or a { type, name } object
+const normalizeDevice = (device) => {
+  const raw = typeof device === "string" ? { type: device } : device || {};
+  const type = String(raw.type || "unknown").trim().toLowerCase();
+  const name = raw.name ? String(raw.name).trim().slice(0, MAX_DEVICE_NAME_LENGTH) : null;
+  return { type: DEVICE_TYPES.includes(type) ? type : "unknown", name: name || null };
+};
+
+// Plays at the same second of the same song (by title and main artist) are
+// the same play, whichever service recorded them
+const playKey = (playedAt, track) => `${Math.floor(new Date(playedAt).getTime() / 1000)}|${trackIdentity.fingerprint({ title: track.title, artist: track.artist })}`;
+
+const importedId = (scrobble) => crypto.createHash("sha1")
+  .update(trackIdentity.fingerprint({ title: scrobble.title, artist: scrobble.artist }))
+  .digest("hex")
+  .slice(0, 16);
+
+// Entries written by the old /track-play ({ songId, timestamp, duration })
+const fromLegacy = (play) => ({
+  id: crypto.randomUUID(),
+  trackId: trackModel.canonicalId(play.songId),
+  track: null,
+  playedAt: play.timestamp,
+  duration: Math.max(0, Math.round(Number(play.duration) || 0)),
+  device: normalizeDevice(null)
+});
+
+// Per-user listening history: one entry per play, oldest first, with a
+// snapshot of the track as it was when played. Stored as
+// listeningHistory[userId] = { paused, entries: [...] }.
+class ListeningHistoryService {
+  constructor() {
+    this.history = getRepository("listeningHistory");
+    this.stats = getRepository("userStats");
+  }
+
+  // The user's record, created on first use. Plays the old stats code kept
+  // in userStats.playHistory are carried over then.
+  async ensureUser(userId) {
+    const existing = (await this.history.read())[userId];
+    if (existing) {
+      return;
+    }
+
+    const legacy = ((await this.stats.read())[userId] || {}).playHistory || [];
+    await this.history.update((history) => {
+      if (!history[userId]) {
+        history[userId] = {
+          paused: false,
+          entries: legacy.filter(play => play && play.songId && play.timestamp).map(fromLegacy).slice(-MAX_ENTRIES)
+        };
+      }
+    });
+  }
+
+  // Resolves to { entry } or { paused: true } when history is paused.
+  // `track` should already be canonical (see trackModel).
+  async recordPlay(userId, { track, trackId, duration = 0, device, playedAt = new Date().toISOString() }) {
+    await this.ensureUser(userId);
+
+    const entry = {
+      id: crypto.randomUUID(),
+      trackId: track ? track.id : trackModel.canonicalId(trackId),
+      track: track || null,
+      playedAt,
+      duration: Math.max(0, Math.round(Number(duration) || 0)),
+      device: normalizeDevice(device)
+    };
+
+    return this.history.update((history) => {
+      const record = history[userId];
+      if (record.paused) {
+        return { paused: true };
+      }
+
+      record.entries.push(entry);
+      if (record.entries.length > MAX_ENTRIES) {
+        record.entries.splice(0, record.entries.length - MAX_ENTRIES);
+      }
+      return { entry };
+    });
+  }
+
+  // Add plays from another service (parsed by scrobbleFormats). Plays already
+  // in the history are skipped; known songs reuse the snapshot we have, others
+  // become "imported" tracks. Import works while history is paused - it is an
+  // explicit request. Resolves to { imported (the new entries still in the
+  // history after trimming it to MAX_ENTRIES), duplicates, invalid, trimmed }.
+  async importScrobbles(userId, scrobbles) {
+    await this.ensureUser(userId);
+    const latestAllowed = Date.now() + 24 * 60 * 60 * 1000;
+    const invalid = [];
+    const candidates = [];
+
+    scrobbles.forEach(scrobble => {
+      const time = scrobble.listenedAt ? new Date(scrobble.listenedAt).getTime() : NaN;
+      let error = null;
+      if (!scrobble.title || !scrobble.artist) error = "Track title and artist are required";
+      else if (Number.isNaN(time)) error = "Missing or unreadable timestamp";
+      else if (time > latestAllowed) error = "Timestamp is in the future";
+
+      if (error) {
+        invalid.push({ index: scrobble.index, line: scrobble.line, error });
+      } else {
+        candidates.push(scrobble);
+      }
+    });
+
+    return this.history.update((history) => {
+      const record = history[userId];
+      const known = new Map();
+      const seen = new Set();
+      record.entries.filter(entry => entry.track).forEach(entry => {
+        known.set(entry.track.id, entry.track);
+        known.set(trackIdentity.fingerprint({ title: entry.track.title, artist: entry.track.artist }), entry.track);
+        seen.add(playKey(entry.playedAt, entry.track));
+      });
+
+      const imported = [];
+      let duplicates = 0;
+      candidates.forEach(scrobble => {
+        const key = playKey(scrobble.listenedAt, scrobble);
+        if (seen.has(key)) {
+          duplicates++;
+          return;
+        }
+        seen.add(key);
+
+        const track = (scrobble.trackId && known.get(trackModel.canonicalId(scrobble.trackId)))
+          || known.get(trackIdentity.fingerprint({ title: scrobble.title, artist: scrobble.artist }))
+          || trackModel.repairTrack({ ...scrobble, id: importedId(scrobble) }, "imported").track;
+
+        imported.push({
+          id: crypto.randomUUID(),
+          trackId: track.id,
+          track,
+          playedAt: scrobble.listenedAt,
+          // Scrobbles rarely say how long was played; assume the whole song
+          duration: scrobble.duration || track.duration || 0,
+          device: normalizeDevice({ type: "unknown", name: "Import" })
+        });
+      });
+
+      record.entries.push(...imported);
+      record.entries.sort((a, b) => new Date(a.playedAt) - new Date(b.playedAt));
+      const trimmed = Math.max(0, record.entries.length - MAX_ENTRIES);
+      const dropped = new Set(record.entries.splice(0, trimmed));
+
+      return { imported: imported.filter(entry => !dropped.has(entry)), duplicates, invalid, trimmed };
+    });
+  }
+
+  // All entries, oldest first
+  async getEntries(userId) {
+    await this.ensureUser(userId);
+    return (await this.history.read())[userId].entries;
+  }
+
+  // Newest first, optionally limited to plays between `from` and `to`
+  async list(userId, { page = 1, limit = 50, from = null, to = null } = {}) {
+    const fromTime = from ? new Date(from).getTime() : null;
+    const toTime = to ? new Date(to).getTime() : null;
+
+    const entries = (await this.getEntries(userId))
+      .filter(entry => {
+        const time = new Date(entry.playedAt).getTime();
+        return (fromTime === null || time >= fromTime) && (toTime === null || time <= toTime);
+      })
+      .reverse();
+
+    return {
+      entries: entries.slice((page - 1) * limit, page * limit),
+      pagination: {
+        page,
+        limit,
+        total: entries.length,
+        totalPages: Math.ceil(entries.length / limit)
+      }
+    };
+  }
+
+  // Most recent play of each distinct track, newest first, with how often
+  // the track appears in the whole history
+  async recent(userId, limit = 20) {
+    const entries = await this.getEntries(userId);
+    const counts = {};
+    entries.forEach(entry => {
+      counts[entry.trackId] = (counts[entry.trackId] || 0) + 1;
+    });
+
+    const seen = new Set();
+    const recent = [];
+    for (let i = entries.length - 1; i >= 0 && recent.length < limit; i--) {
+      const entry = entries[i];
+      if (!seen.has(entry.trackId)) {
+        seen.add(entry.trackId);
+        recent.push({
+          trackId: entry.trackId,
+          track: entry.track,
+          lastPlayedAt: entry.playedAt,
+          lastEntryId: entry.id,
+          device: entry.device,
+          playCount: counts[entry.trackId]
+        });
+      }
+    }
+    return recent;
+  }
+
+  // Resolves to the deleted entry, or null when there was none
+  async deleteEntry(userId, entryId) {
+    await this.ensureUser(userId);
+    return this.history.update((history) => {
+      const entries = history[userId].entries;
+      const index = entries.findIndex(entry => entry.id === entryId);
+      if (index === -1) {
+        return null;
+      }
+      return entries.splice(index, 1)[0];
+    });
+  }
+
+  // Resolves to the number of entries removed
+  async clear(userId) {
+    await this.ensureUser(userId);
+    return this.history.update((history) => {
+      const removed = history[userId].entries.length;
+      history[userId].entries = [];
+      return removed;
+    });
+  }
+
+  async getSettings(userId) {
+    await this.ensureUser(userId);
+    const record = (await this.history.read())[userId];
+    return { paused: record.paused, entryCount: record.entries.length, maxEntries: MAX_ENTRIES };
+  }
+
+  async setPaused(userId, paused) {
+    await this.ensureUser(userId);
+    await this.history.update((history) => {
+      history[userId].paused = paused;
+    });
+    return this.getSettings(userId);
+  }
+}
+
+const listeningHistoryService = new ListeningHistoryService();
+listeningHistoryService.DEVICE_TYPES = DEVICE_TYPES;
+listeningHistoryService.MAX_ENTRIES = MAX_ENTRIES;
+listeningHistoryService.normalizeDevice = normalizeDevice;
+
+module.exports = listeningHistoryService;
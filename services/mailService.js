@@ -0,0 +1,100 @@
+const fs = require("fs-extra");
+const path = require("path");
+
+const MAIL_FROM = process.env.MAIL_FROM || "TuneStream <no-reply@tunestream.app>";
+const OUTBOX_DIR = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, "../outbox");
+
+// Production has to pick a transport on purpose: the outbox keeps password
+// reset links on disk, which is only acceptable in development
+if (process.env.NODE_ENV === "production" && !process.env.MAIL_TRANSPORT) {
+  throw new Error("MAIL_TRANSPORT must be set in production (\"smtp\" or \"outbox\")");
+}
+
+// Sends through a real SMTP server (SMTP_HOST, SMTP_PORT, SMTP_SECURE,
+// SMTP_USER, SMTP_PASS)
+class SmtpTransport {
+  constructor() {
+    if (!process.env.SMTP_HOST) {
+      throw new Error("SMTP_HOST must be set when MAIL_TRANSPORT=smtp");
+    }
+
+    const nodemailer = require("nodemailer");
+    this.name = "smtp";
+    this.transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === "true",
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+  }
+
+  async send(message) {
+    const info = await this.transporter.sendMail(message);
+    return { id: info.messageId };
+  }
+}
+
+// Development/test transport: writes each message to the outbox directory as
+// JSON, so links in emails can be followed without a mail server. Only the
+// recipient and subject are logged; bodies can hold reset links.
+class OutboxTransport {
+  constructor(dir = OUTBOX_DIR) {
+    this.name = "outbox";
+    this.dir = dir;
+  }
+
+  async send(message) {
+    const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    await fs.ensureDir(this.dir);
+    await fs.writeJson(
+      path.join(this.dir, `${id}.json`),
+      { id, ...message, sentAt: new Date().toISOString() },
+      { spaces: 2 }
+    );
+
+    console.log(`📬 [outbox] To: ${message.to} | ${message.subject}`);
+    return { id };
+  }
+}
+
+const createTransport = (type = process.env.MAIL_TRANSPORT || "outbox") => {
+  switch (type) {
+    case "smtp":
+      return new SmtpTransport();
+    case "outbox":
+      return new OutboxTransport();
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT "${type}". Use "smtp" or "outbox".`);
+  }
+};
+
+class MailService {
+  constructor() {
+    this.transport = null;
+  }
+
+  getTransport() {
+    if (!this.transport) {
+      this.transport = createTransport();
+      console.log(`✉️ Mail transport: ${this.transport.name}`);
+    }
+    return this.transport;
+  }
+
+  // Swap the transport (e.g. an OutboxTransport pointed at a temp dir in tests)
+  setTransport(transport) {
+    this.transport = transport;
+  }
+
+  async send({ to, subject, text, html }) {
+    return this.getTransport().send({ from: MAIL_FROM, to, subject, text, html });
+  }
+}
+
+const mailService = new MailService();
+mailService.SmtpTransport = SmtpTransport;
+mailService.OutboxTransport = OutboxTransport;
+
+module.exports = mailService;
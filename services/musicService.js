@@ -1,41 +1,29 @@
-const { jamendoApi, iTunesApi } = require("../config/apis");
-const NodeCache = require("node-cache");
+const { jamendoApi } = require("../config/apis");
+const trackModel = require("./trackModel");
+const itunesService = require("./itunesService");
+const federatedSearch = require("./federatedSearch");
 
-
-const cache = new NodeCache({ stdTTL: 3600 });
+// Responses are cached by the provider registry (see responseCache)
 
 class MusicService {
-  async getTrendingSongs(limit = 20) {
-    const cacheKey = `trending_${limit}`;
-    const cached = cache.get(cacheKey);
-    if (cached) return cached;
+  // Most popular Jamendo tracks; throws on failure
+  async requestTrendingSongs(limit = 20) {
+    const response = await jamendoApi.get("tracks/", {
+      params: {
+        order: "popularity_total",
+        limit,
+        include: "musicinfo",
+        audioformat: "mp32",
+        imagesize: "300"
+      }
+    });
 
-    try {
-      const response = await jamendoApi.get("tracks/", {
-        params: {
-          order: "popularity_total",
-          limit,
-          include: "musicinfo",
-          audioformat: "mp32",
-          imagesize: "300"
-        }
-      });
+    return trackModel.mapTracks(response.data.results, trackModel.fromJamendo);
+  }
 
-      const songs = response.data.results.map(track => ({
-        id: track.id,
-        title: track.name,
-        artist: track.artist_name,
-        album: track.album_name,
-        duration: track.duration,
-        audio_url: track.audio,
-        cover_url: track.album_image || track.image,
-        genre: track.musicinfo?.tags?.genres?.[0]?.genre_name || "Unknown",
-        release_date: track.releasedate,
-        source: "jamendo"
-      }));
-
-      cache.set(cacheKey, songs);
-      return songs;
+  async getTrendingSongs(limit = 20) {
+    try {
+      return await this.requestTrendingSongs(limit);
     } catch (error) {
       console.error("Error fetching trending songs:", error.message);
       // Return fallback data if API fails
@@ -43,45 +31,36 @@ class MusicService {
     }
   }
 
-  // Search songs from multiple sources
+  // Search songs from multiple sources (Jamendo and iTunes, merged and ranked)
   async searchSongs(query, limit = 20) {
     try {
-      const [jamendoResults, itunesResults] = await Promise.all([
-        this.searchJamendo(query, Math.ceil(limit * 0.7)),
-        this.searchItunes(query, Math.ceil(limit * 0.3))
-      ]);
-
-      return [...jamendoResults, ...itunesResults].slice(0, limit);
+      const { tracks } = await federatedSearch.search(query, { limit, providers: ["jamendo", "itunes"] });
+      return tracks;
     } catch (error) {
       console.error("Error searching songs:", error.message);
       return [];
     }
   }
 
+  // Jamendo search; throws on failure
+  async requestJamendoSearch(query, limit = 15) {
+    const response = await jamendoApi.get("tracks/", {
+      params: {
+        search: query,
+        limit,
+        include: "musicinfo",
+        audioformat: "mp32",
+        imagesize: "300"
+      }
+    });
+
+    return trackModel.mapTracks(response.data.results, trackModel.fromJamendo);
+  }
+
   // Search Jamendo
   async searchJamendo(query, limit = 15) {
     try {
-      const response = await jamendoApi.get("tracks/", {
-        params: {
-          search: query,
-          limit,
-          include: "musicinfo",
-          audioformat: "mp32",
-          imagesize: "300"
-        }
-      });
-
-      return response.data.results.map(track => ({
-        id: `jamendo_${track.id}`,
-        title: track.name,
-        artist: track.artist_name,
-        album: track.album_name,
-        duration: track.duration,
-        audio_url: track.audio,
-        cover_url: track.album_image || track.image,
-        genre: track.musicinfo?.tags?.genres?.[0]?.genre_name || "Unknown",
-        source: "jamendo"
-      }));
+      return await this.requestJamendoSearch(query, limit);
     } catch (error) {
       console.error("Jamendo search error:", error.message);
       return [];
@@ -91,38 +70,15 @@ class MusicService {
   // Search iTunes
   async searchItunes(query, limit = 10) {
     try {
-      const response = await iTunesApi.get("search", {
-        params: {
-          term: query,
-          media: "music",
-          entity: "song",
-          limit
-        }
-      });
-
-      return response.data.results.map(track => ({
-        id: `itunes_${track.trackId}`,
-        title: track.trackName,
-        artist: track.artistName,
-        album: track.collectionName,
-        duration: Math.floor(track.trackTimeMillis / 1000),
-        audio_url: track.previewUrl,
-        cover_url: track.artworkUrl100?.replace("100x100", "300x300"),
-        genre: track.primaryGenreName,
-        source: "itunes"
-      }));
+      return (await itunesService.searchTracks(query, limit)).tracks;
     } catch (error) {
       console.error("iTunes search error:", error.message);
       return [];
     }
   }
 
-  // Get songs by genre
+  // Get songs by genre; throws on failure so the registry can fall back
   async getSongsByGenre(genre, limit = 20) {
-    const cacheKey = `genre_${genre}_${limit}`;
-    const cached = cache.get(cacheKey);
-    if (cached) return cached;
-
     try {
       const response = await jamendoApi.get("tracks/", {
         params: {
@@ -135,40 +91,52 @@ class MusicService {
         }
       });
 
-      const songs = response.data.results.map(track => ({
-        id: track.id,
-        title: track.name,
-        artist: track.artist_name,
-        album: track.album_name,
-        duration: track.duration,
-        audio_url: track.audio,
-        cover_url: track.album_image || track.image,
-        genre: genre,
-        source: "jamendo"
-      }));
-
-      cache.set(cacheKey, songs);
-      return songs;
+      return trackModel.mapTracks(response.data.results, track => trackModel.fromJamendo(track, genre));
     } catch (error) {
       console.error("Error fetching songs by genre:", error.message);
-      return [];
+      throw error;
+    }
+  }
+
+  // Provider interface used by providerRegistry (same method names as the
+  // Spotify and demo services)
+  async getTrendingTracks(limit = 50) {
+    return this.requestTrendingSongs(limit);
+  }
+
+  async searchTracks(query, limit = 20) {
+    const tracks = await this.requestJamendoSearch(query, limit);
+    return { tracks, total: tracks.length, hasNext: false, hasPrevious: false };
+  }
+
+  async getRecommendations(seedGenres = ["pop"], limit = 20) {
+    const perGenre = Math.ceil(limit / seedGenres.length);
+    const results = await Promise.all(seedGenres.map(genre => this.getSongsByGenre(genre, perGenre)));
+    return results.flat().slice(0, limit);
+  }
+
+  async healthCheck() {
+    try {
+      await jamendoApi.get("tracks/", { params: { limit: 1 }, timeout: 5000 });
+      return { status: "OK", message: "Jamendo API reachable" };
+    } catch (error) {
+      return { status: "ERROR", message: `Jamendo API unreachable: ${error.message}` };
     }
   }
 
   // Fallback songs if API fails
   getFallbackSongs() {
     return [
-      {
-        id: "fallback_1",
+      trackModel.createTrack("fallback", {
+        id: "1",
         title: "Demo Song 1",
         artist: "Demo Artist",
         album: "Demo Album",
         duration: 180,
         audio_url: "https://www.soundjay.com/misc/sounds/sample.mp3",
         cover_url: "https://via.placeholder.com/300x300/1db954/ffffff?text=♪",
-        genre: "Demo",
-        source: "fallback"
-      }
+        genre: "Demo"
+      })
     ];
   }
 }
@@ -0,0 +1,57 @@
+const crypto = require("crypto");
+const { getRepository } = require("../storage");
+
+const RESET_TOKEN_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+// Single-use password reset tokens. Only a hash of each token is stored;
+// issuing a new token invalidates any earlier unused one for the same user.
+class PasswordResetService {
+  constructor() {
+    this.resets = getRepository("passwordResets");
+    this.ttlMinutes = RESET_TOKEN_TTL_MINUTES;
+  }
+
+  async createToken(userId) {
+    const token = crypto.randomBytes(32).toString("base64url");
+    const now = Date.now();
+
+    await this.resets.update((resets) => {
+      Object.entries(resets).forEach(([tokenHash, reset]) => {
+        // Forget used/expired tokens, and supersede this user's pending ones
+        if (reset.usedAt || new Date(reset.expiresAt).getTime() <= now || reset.userId === userId) {
+          delete resets[tokenHash];
+        }
+      });
+
+      resets[hashToken(token)] = {
+        userId,
+        createdAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + this.ttlMinutes * 60 * 1000).toISOString(),
+        usedAt: null
+      };
+    });
+
+    return token;
+  }
+
+  // Marks the token used and resolves to its userId, or null if the token is
+  // unknown, expired or already used
+  consumeToken(token) {
+    const tokenHash = hashToken(token);
+
+    return this.resets.update((resets) => {
+      const reset = resets[tokenHash];
+
+      if (!reset || reset.usedAt || new Date(reset.expiresAt).getTime() <= Date.now()) {
+        return null;
+      }
+
+      reset.usedAt = new Date().toISOString();
+      return reset.userId;
+    });
+  }
+}
+
+module.exports = new PasswordResetService();
@@ -0,0 +1,164 @@
+const { getRepository } = require("../storage");
+const trackModel = require("./trackModel");
+const providerRegistry = require("./providerRegistry");
+const listeningHistoryService = require("./listeningHistoryService");
+const listeningAnalyticsService = require("./listeningAnalyticsService");
+const scrobbleService = require("./scrobbleService");
+
+const envNumber = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+// A play counts once the listener heard PLAY_MIN_SECONDS or PLAY_MIN_FRACTION
+// of the track, whichever comes first, and the same track was not counted
+// for them within the last PLAY_REPEAT_WINDOW_SECONDS
+const RULES = {
+  minSeconds: envNumber("PLAY_MIN_SECONDS", 30),
+  minFraction: envNumber("PLAY_MIN_FRACTION", 0.5),
+  repeatWindowSeconds: envNumber("PLAY_REPEAT_WINDOW_SECONDS", 60)
+};
+
+// Decides which plays count and records the ones that do: user stats,
+// listening analytics, history and the scrobble queue all hear about a play
+// from here. When each track last counted is kept in the user's stats
+// (lastCounted: { [trackId]: ISO time }, only within the repeat window), so
+// the window holds across restarts.
+class PlayRecorder {
+  constructor() {
+    this.stats = getRepository("userStats");
+  }
+
+  // Snapshot of a played song: the one the client sent, else whatever the
+  // providers know about the id (best effort - a play is never rejected for it).
+  // Resolves to { track, errors } like trackModel.repairTrack.
+  async resolveTrack(songId, song) {
+    if (!song) {
+      return { track: await this.lookupTrack(songId), errors: [] };
+    }
+
+    const repaired = trackModel.repairTrack(song);
+    if (repaired.track) {
+      repaired.track.duration = await this.trustedDuration(repaired.track);
+    }
+    return repaired;
+  }
+
+  async lookupTrack(songId) {
+    try {
+      const { result } = await providerRegistry.invoke("trackDetails", service => service.getTrackDetails(songId));
+      return result;
+    } catch (error) {
+      console.warn(`⚠️ No track details for played song ${songId}: ${error.message}`);
+      return null;
+    }
+  }
+
+  // The play rules shorten the listening required for short tracks, so a
+  // client-sent duration is replaced by the provider's. When no provider
+  // knows the track it is kept only if it is too long to lower the
+  // requirement (a client claiming a 2 s track would count after 1 s).
+  async trustedDuration(track) {
+    const details = await this.lookupTrack(track.id);
+    if (details && details.duration) {
+      return details.duration;
+    }
+    return track.duration && track.duration * RULES.minFraction >= RULES.minSeconds ? track.duration : null;
+  }
+
+  // Seconds of listening a track needs before it counts (never zero)
+  requiredSeconds(track) {
+    const duration = track && track.duration;
+    const seconds = duration ? Math.min(RULES.minSeconds, duration * RULES.minFraction) : RULES.minSeconds;
+    return Math.max(1, Math.round(seconds));
+  }
+
+  // { qualified, reason, required }; reason is "too_short" or "repeat" when
+  // not qualified. `userStats` is the user's stats record (may be undefined).
+  evaluate(userStats, { track, trackId, listened }, now = Date.now()) {
+    const required = this.requiredSeconds(track);
+    if (listened < required) {
+      return { qualified: false, reason: "too_short", required };
+    }
+
+    const lastCounted = (userStats && userStats.lastCounted) || {};
+    const last = Object.prototype.hasOwnProperty.call(lastCounted, trackId) ? lastCounted[trackId] : null;
+    if (last && now - new Date(last).getTime() < RULES.repeatWindowSeconds * 1000) {
+      return { qualified: false, reason: "repeat", required };
+    }
+    return { qualified: true, reason: null, required };
+  }
+
+  // Count a play if it passes the rules. `listened` is in seconds.
+  // Resolves to { counted, reason, required, listened, historyEntryId,
+  // historyPaused, scrobbleQueued }.
+  async countPlay(userId, { track, trackId, listened, device, playedAt = new Date().toISOString() }) {
+    const id = track ? track.id : trackModel.canonicalId(trackId);
+    const seconds = Math.max(0, Math.round(Number(listened) || 0));
+
+    // Checked and recorded in one write, so two plays of a track ending at
+    // the same time cannot both count
+    const { qualified, reason, required } = await this.stats.update((stats) => {
+      const now = Date.now();
+      const verdict = this.evaluate(stats[userId], { track, trackId: id, listened: seconds }, now);
+      if (!verdict.qualified) {
+        return verdict;
+      }
+
+      if (!stats[userId]) {
+        stats[userId] = {
+          songsPlayed: 0,
+          totalListeningTime: 0,
+          artistsDiscovered: [],
+          lastActivity: new Date(now).toISOString()
+        };
+      }
+
+      stats[userId].songsPlayed += 1;
+      stats[userId].totalListeningTime += seconds;
+      stats[userId].lastActivity = new Date(now).toISOString();
+      this.rememberCounted(stats[userId], id, now);
+      return verdict;
+    });
+
+    if (!qualified) {
+      return { counted: false, reason, required, listened: seconds };
+    }
+
+    const { entry, paused } = await listeningHistoryService.recordPlay(userId, { track, trackId: id, duration: seconds, device, playedAt });
+    // Analytics are built from the history, and a paused history means
+    // nothing leaves TuneStream either
+    if (entry) {
+      await listeningAnalyticsService.addHistoryEntries(userId, [entry]);
+    }
+    const scrobbled = entry ? await scrobbleService.enqueue(userId, entry) : false;
+
+    console.log(`📊 Play counted: User ${userId} played ${id} for ${seconds}s${paused ? " (history paused)" : ""}`);
+    return {
+      counted: true,
+      reason: null,
+      required,
+      listened: seconds,
+      historyEntryId: entry ? entry.id : null,
+      historyPaused: Boolean(paused),
+      scrobbleQueued: scrobbled
+    };
+  }
+
+  // Note when a track counted, forgetting tracks outside the repeat window
+  rememberCounted(userStats, trackId, now) {
+    const lastCounted = userStats.lastCounted || {};
+    Object.keys(lastCounted).forEach(key => {
+      if (now - new Date(lastCounted[key]).getTime() >= RULES.repeatWindowSeconds * 1000) {
+        delete lastCounted[key];
+      }
+    });
+    lastCounted[trackId] = new Date(now).toISOString();
+    userStats.lastCounted = lastCounted;
+  }
+}
+
+const playRecorder = new PlayRecorder();
+playRecorder.RULES = RULES;
+
+module.exports = playRecorder;
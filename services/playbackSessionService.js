@@ -0,0 +1,314 @@
+const crypto = require("crypto");
+const { getRepository } = require("../storage");
+const listeningHistoryService = require("./listeningHistoryService");
+const playRecorder = require("./playRecorder");
+
+const EVENT_TYPES = ["pause", "resume", "seek", "skip", "complete"];
+// Open sessions without events for this long are ended as "expired"
+const IDLE_MS = (parseInt(process.env.PLAYBACK_SESSION_IDLE_MINUTES, 10) || 240) * 60 * 1000;
+// How long one uninterrupted stretch of a track without a known duration may count
+const MAX_UNKNOWN_SEGMENT_SECONDS = 20 * 60;
+const ENDED_RETENTION_MS = 24 * 60 * 60 * 1000;
+const MAX_SESSIONS_PER_USER = 100;
+// Starting one more ends the least recently active (each device name opens its own)
+const MAX_OPEN_SESSIONS_PER_USER = 10;
+const MAX_EVENTS_PER_SESSION = 200;
+
+class PlaybackError extends Error {
+  constructor(message, status = 409) {
+    super(message);
+    this.name = "PlaybackError";
+    this.status = status;
+  }
+}
+
+const sameDevice = (a, b) => a.type === b.type && a.name === b.name;
+
+const isIdle = (session, now) => session.state !== "ended" && now - new Date(session.updatedAt).getTime() >= IDLE_MS;
+
+// Session ids are object keys; never resolve one to an inherited property
+const ownSession = (sessions, sessionId) => (
+  sessions && Object.prototype.hasOwnProperty.call(sessions, sessionId) ? sessions[sessionId] : null
+);
+
+// Add the time since the current stretch of playing began. The server clock
+// decides; a position reported by the client can shorten the stretch (e.g.
+// buffering) but never lengthen it, and nobody hears past the end of a track.
+const closeSegment = (session, now, reportedPosition = null) => {
+  if (session.state !== "playing") {
+    return;
+  }
+
+  let elapsed = Math.max(0, (now - new Date(session.segmentStartedAt).getTime()) / 1000);
+  const remaining = session.duration
+    ? Math.max(0, session.duration - session.segmentStartPosition)
+    : MAX_UNKNOWN_SEGMENT_SECONDS;
+  elapsed = Math.min(elapsed, remaining);
+  if (reportedPosition !== null && reportedPosition >= session.segmentStartPosition) {
+    elapsed = Math.min(elapsed, reportedPosition - session.segmentStartPosition);
+  }
+
+  session.listened += elapsed;
+  session.position = session.segmentStartPosition + elapsed;
+  session.segmentStartedAt = null;
+};
+
+// Positions beyond the end of a track are taken as its end
+const clampPosition = (session, position) => (session.duration ? Math.min(position, session.duration) : position);
+
+const openSegment = (session, now, position) => {
+  session.state = "playing";
+  session.segmentStartedAt = new Date(now).toISOString();
+  session.segmentStartPosition = clampPosition(session, position);
+  session.position = session.segmentStartPosition;
+};
+
+const addEvent = (session, type, now, position) => {
+  session.events.push({ type, at: new Date(now).toISOString(), position: Math.round(position * 10) / 10 });
+  if (session.events.length > MAX_EVENTS_PER_SESSION) {
+    session.events.splice(0, session.events.length - MAX_EVENTS_PER_SESSION);
+  }
+  session.updatedAt = new Date(now).toISOString();
+};
+
+const endSession = (session, now, reason) => {
+  session.state = "ended";
+  session.endReason = reason;
+  session.endedAt = new Date(now).toISOString();
+};
+
+// End an open session where it is now, recording why. Returns a copy.
+const stopSession = (session, now, reason) => {
+  closeSegment(session, now);
+  addEvent(session, reason, now, session.position);
+  endSession(session, now, reason);
+  return { ...session };
+};
+
+// Client view: whole seconds, listened time including the running stretch
+const present = (session, now = Date.now()) => {
+  const view = { ...session, events: [...session.events] };
+  closeSegment(view, now);
+  const { segmentStartedAt, segmentStartPosition, ...visible } = view;
+  return {
+    ...visible,
+    listened: Math.round(view.listened),
+    position: Math.round(view.position),
+    required: playRecorder.requiredSeconds(session.track)
+  };
+};
+
+// Server-timed playback. A session is one playthrough of one track: the
+// client starts it, then reports pause, resume, seek, skip and complete.
+// Listening time is measured between those events on the server; when the
+// session ends (skip, complete, a new session on the same device, too many
+// open sessions, or idle expiry) playRecorder decides whether it counts as a
+// play.
+// Stored as playbackSessions[userId] = { [sessionId]: session }.
+class PlaybackSessionService {
+  constructor() {
+    this.sessions = getRepository("playbackSessions");
+  }
+
+  // `track` from playRecorder.resolveTrack (may be null); `position` is where
+  // playback starts, in seconds. Other open sessions on the same device end,
+  // as do the least recently active beyond MAX_OPEN_SESSIONS_PER_USER.
+  // Resolves to { session, ended: [sessions ended on the way] }.
+  async start(userId, { track, trackId, device, position = 0 }) {
+    const now = Date.now();
+    const normalizedDevice = listeningHistoryService.normalizeDevice(device);
+
+    const session = {
+      id: crypto.randomUUID(),
+      trackId: track ? track.id : trackId,
+      track: track || null,
+      device: normalizedDevice,
+      state: "playing",
+      duration: track && track.duration ? track.duration : null,
+      listened: 0,
+      position: 0,
+      segmentStartedAt: null,
+      segmentStartPosition: 0,
+      startedAt: new Date(now).toISOString(),
+      updatedAt: new Date(now).toISOString(),
+      endedAt: null,
+      endReason: null,
+      play: null,
+      events: []
+    };
+    openSegment(session, now, position);
+    addEvent(session, "start", now, session.position);
+
+    const ended = await this.sessions.update((all) => {
+      const sessions = all[userId] || (all[userId] = {});
+      const closed = this.expireIdle(sessions, now);
+
+      Object.values(sessions)
+        .filter(other => other.state !== "ended" && sameDevice(other.device, normalizedDevice))
+        .forEach(other => closed.push(stopSession(other, now, "replaced")));
+
+      const open = Object.values(sessions)
+        .filter(other => other.state !== "ended")
+        .sort((a, b) => new Date(a.updatedAt) - new Date(b.updatedAt));
+      open.slice(0, Math.max(0, open.length - MAX_OPEN_SESSIONS_PER_USER + 1))
+        .forEach(other => closed.push(stopSession(other, now, "evicted")));
+
+      sessions[session.id] = session;
+      this.prune(sessions, now);
+      return closed;
+    });
+
+    const counted = await this.countEnded(userId, ended);
+    return { session: present(session, now), ended: counted };
+  }
+
+  // Apply a pause/resume/seek/skip/complete event. `position` (seconds) is
+  // required for seek and optional otherwise. Throws PlaybackError for
+  // unknown sessions and events that do not fit the session's state.
+  // Resolves to the session; once it has ended, session.play tells whether
+  // it counted.
+  async applyEvent(userId, sessionId, type, position = null) {
+    if (!EVENT_TYPES.includes(type)) {
+      throw new PlaybackError(`Unknown event "${type}". Use one of: ${EVENT_TYPES.join(", ")}`, 400);
+    }
+    if (position !== null && (typeof position !== "number" || !Number.isFinite(position) || position < 0)) {
+      throw new PlaybackError("position must be a number of seconds, 0 or more", 400);
+    }
+    if (type === "seek" && position === null) {
+      throw new PlaybackError("seek needs a position", 400);
+    }
+
+    await this.expire(userId);
+
+    const now = Date.now();
+    const session = await this.sessions.update((all) => {
+      const current = ownSession(all[userId], sessionId);
+      if (!current) {
+        throw new PlaybackError("Playback session not found", 404);
+      }
+      if (current.state === "ended") {
+        throw new PlaybackError(`Playback session has already ended (${current.endReason})`);
+      }
+
+      switch (type) {
+        case "pause":
+          if (current.state !== "playing") throw new PlaybackError("Playback is not playing");
+          closeSegment(current, now, position);
+          current.state = "paused";
+          break;
+        case "resume":
+          if (current.state !== "paused") throw new PlaybackError("Playback is not paused");
+          openSegment(current, now, position === null ? current.position : position);
+          break;
+        case "seek":
+          if (current.state === "playing") {
+            closeSegment(current, now);
+            openSegment(current, now, position);
+          } else {
+            current.position = clampPosition(current, position);
+          }
+          break;
+        case "skip":
+          closeSegment(current, now, position);
+          endSession(current, now, "skip");
+          break;
+        case "complete":
+          closeSegment(current, now, position);
+          current.position = current.duration || current.position;
+          endSession(current, now, "complete");
+          break;
+      }
+
+      addEvent(current, type, now, current.position);
+      return { ...current, events: [...current.events] };
+    });
+
+    if (session.state === "ended") {
+      const [counted] = await this.countEnded(userId, [session]);
+      return counted;
+    }
+    return present(session, now);
+  }
+
+  async getSession(userId, sessionId) {
+    await this.expire(userId);
+    const session = ownSession((await this.sessions.read())[userId], sessionId);
+    return session ? present(session) : null;
+  }
+
+  // Sessions still playing or paused, newest first
+  async listOpen(userId) {
+    await this.expire(userId);
+    const sessions = (await this.sessions.read())[userId] || {};
+    return Object.values(sessions)
+      .filter(session => session.state !== "ended")
+      .sort((a, b) => new Date(b.startedAt) - new Date(a.startedAt))
+      .map(session => present(session));
+  }
+
+  // Run the play rules on ended sessions and store the outcome on each
+  async countEnded(userId, ended) {
+    const results = [];
+    for (const session of ended) {
+      const play = await playRecorder.countPlay(userId, {
+        track: session.track,
+        trackId: session.trackId,
+        listened: session.listened,
+        device: session.device,
+        playedAt: session.startedAt
+      });
+
+      await this.sessions.update((all) => {
+        const stored = all[userId] && all[userId][session.id];
+        if (stored) {
+          stored.play = play;
+        }
+      });
+      results.push(present({ ...session, play }));
+    }
+    return results;
+  }
+
+  // End (and count) the user's idle sessions before they are looked at
+  async expire(userId) {
+    const now = Date.now();
+    const sessions = (await this.sessions.read())[userId];
+    if (!sessions || !Object.values(sessions).some(session => isIdle(session, now))) {
+      return;
+    }
+
+    const ended = await this.sessions.update((all) => (all[userId] ? this.expireIdle(all[userId], now) : []));
+    if (ended.length > 0) {
+      await this.countEnded(userId, ended);
+    }
+  }
+
+  // End open sessions nobody has reported on for IDLE_MS. A playing one is
+  // taken to have played on to the end of the track (the usual reason for
+  // silence is a closed app). Returns copies of the ended sessions.
+  expireIdle(sessions, now) {
+    return Object.values(sessions)
+      .filter(session => isIdle(session, now))
+      .map(session => stopSession(session, now, "expired"));
+  }
+
+  // Drop ended sessions after a day, and the oldest beyond MAX_SESSIONS_PER_USER
+  prune(sessions, now) {
+    const ended = Object.values(sessions)
+      .filter(session => session.state === "ended")
+      .sort((a, b) => new Date(b.endedAt) - new Date(a.endedAt));
+
+    ended.forEach((session, index) => {
+      if (index >= MAX_SESSIONS_PER_USER || now - new Date(session.endedAt).getTime() > ENDED_RETENTION_MS) {
+        delete sessions[session.id];
+      }
+    });
+  }
+}
+
+const playbackSessionService = new PlaybackSessionService();
+playbackSessionService.EVENT_TYPES = EVENT_TYPES;
+playbackSessionService.MAX_OPEN_SESSIONS_PER_USER = MAX_OPEN_SESSIONS_PER_USER;
+playbackSessionService.PlaybackError = PlaybackError;
+
+module.exports = playbackSessionService;
@@ -0,0 +1,413 @@
+// Serializers and parsers for the playlist file formats we import/export.
+// Parsers return entries of { index, line, title, artist, album, duration, isrc }
+// where `index` is the 1-based entry number and `line` the source line it
+// starts on (null when the format has no meaningful lines).
+
+const JSON_FORMAT_NAME = "tunestream-playlist";
+const JSON_FORMAT_VERSION = 1;
+
+const FORMATS = {
+  m3u: { contentType: "audio/x-mpegurl; charset=utf-8", extension: "m3u8" },
+  xspf: { contentType: "application/xspf+xml; charset=utf-8", extension: "xspf" },
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+  json: { contentType: "application/json; charset=utf-8", extension: "json" }
+};
+
+const CSV_COLUMNS = ["title", "artist", "album", "duration", "isrc", "id", "url"];
+
+// Only our own format names, never inherited keys such as "constructor"
+const isFormat = (format) => Object.prototype.hasOwnProperty.call(FORMATS, format);
+
+class PlaylistFormatError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "PlaylistFormatError";
+  }
+}
+
+// Where a player can find the track; falls back to an id-based URI
+const trackLocation = (song) => song.audio_url || song.external_url || `tunestream:track:${song.id}`;
+
+const toSeconds = (value) => {
+  const seconds = Math.round(Number(value));
+  return Number.isFinite(seconds) && seconds > 0 ? seconds : null;
+};
+
+// Newlines in text[from, to), counted without copying the text
+const countLines = (text, from, to) => {
+  let count = 0;
+  for (let i = text.indexOf("\n", from); i !== -1 && i < to; i = text.indexOf("\n", i + 1)) {
+    count++;
+  }
+  return count;
+};
+
+// Parsers stop as soon as a file has more entries than the caller allows
+const checkEntryCount = (entries, maxEntries) => {
+  if (entries.length > maxEntries) {
+    throw new PlaylistFormatError(`Files can have at most ${maxEntries} tracks`);
+  }
+};
+
+// ---- M3U ----
+
+const toM3u = (playlist) => {
+  const lines = ["#EXTM3U", `#PLAYLIST:${playlist.name}`];
+  playlist.songs.forEach(song => {
+    lines.push(`#EXTINF:${toSeconds(song.duration) || -1},${song.artist || ""} - ${song.title || ""}`);
+    if (song.album) lines.push(`#EXTALB:${song.album}`);
+    if (song.isrc) lines.push(`#EXT-X-ISRC:${song.isrc}`);
+    lines.push(trackLocation(song));
+  });
+  return `${lines.join("\n")}\n`;
+};
+
+const parseM3u = (text, maxEntries) => {
+  const entries = [];
+  let name = null;
+  let pending = null;
+
+  text.split(/\r?\n/).forEach((raw, i) => {
+    const line = raw.trim();
+    if (!line) return;
+
+    if (line.startsWith("#PLAYLIST:")) {
+      name = line.slice("#PLAYLIST:".length).trim() || null;
+    } else if (line.startsWith("#EXTINF:")) {
+      const body = line.slice("#EXTINF:".length);
+      const comma = body.indexOf(",");
+      const info = comma === -1 ? "" : body.slice(comma + 1).trim();
+      const separator = info.indexOf(" - ");
+      pending = {
+        line: i + 1,
+        duration: toSeconds(body.slice(0, comma === -1 ? undefined : comma)),
+        artist: separator === -1 ? null : info.slice(0, separator).trim() || null,
+        title: (separator === -1 ? info : info.slice(separator + 3)).trim() || null,
+        album: null,
+        isrc: null
+      };
+    } else if (line.startsWith("#EXTALB:") && pending) {
+      pending.album = line.slice("#EXTALB:".length).trim() || null;
+    } else if (line.startsWith("#EXT-X-ISRC:") && pending) {
+      pending.isrc = line.slice("#EXT-X-ISRC:".length).trim() || null;
+    } else if (!line.startsWith("#")) {
+      // A location line closes the entry; bare locations carry no metadata
+      entries.push({ ...(pending || { line: i + 1, title: null, artist: null, album: null, duration: null, isrc: null }), location: line });
+      pending = null;
+      checkEntryCount(entries, maxEntries);
+    }
+  });
+
+  return { name, entries };
+};
+
+// ---- XSPF ----
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, "&amp;")
+  .replace(/</g, "&lt;")
+  .replace(/>/g, "&gt;")
+  .replace(/"/g, "&quot;")
+  .replace(/'/g, "&apos;");
+
+const fromCodePoint = (ref, code) => {
+  if (code > 0x10FFFF) {
+    throw new PlaylistFormatError(`Invalid character reference ${ref}`);
+  }
+  return String.fromCodePoint(code);
+};
+
+const unescapeXml = (value) => value
+  .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, "$1")
+  .replace(/&lt;/g, "<")
+  .replace(/&gt;/g, ">")
+  .replace(/&quot;/g, "\"")
+  .replace(/&apos;/g, "'")
+  .replace(/&#(\d+);/g, (ref, code) => fromCodePoint(ref, Number(code)))
+  .replace(/&#x([0-9a-f]+);/gi, (ref, code) => fromCodePoint(ref, parseInt(code, 16)))
+  .replace(/&amp;/g, "&");
+
+const xmlElement = (xml, tag) => {
+  const match = xml.match(new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`));
+  return match ? unescapeXml(match[1]).trim() || null : null;
+};
+
+const toXspf = (playlist) => {
+  const tracks = playlist.songs.map(song => {
+    const fields = [`      <location>${escapeXml(trackLocation(song))}</location>`];
+    if (song.isrc) fields.push(`      <identifier>urn:isrc:${escapeXml(song.isrc)}</identifier>`);
+    if (song.title) fields.push(`      <title>${escapeXml(song.title)}</title>`);
+    if (song.artist) fields.push(`      <creator>${escapeXml(song.artist)}</creator>`);
+    if (song.album) fields.push(`      <album>${escapeXml(song.album)}</album>`);
+    if (toSeconds(song.duration)) fields.push(`      <duration>${toSeconds(song.duration) * 1000}</duration>`);
+    if (song.cover_url) fields.push(`      <image>${escapeXml(song.cover_url)}</image>`);
+    return `    <track>\n${fields.join("\n")}\n    </track>`;
+  });
+
+  return [
+    "<?xml version=\"1.0\" encoding=\"UTF-8\"?>",
+    "<playlist version=\"1\" xmlns=\"http://xspf.org/ns/0/\">",
+    `  <title>${escapeXml(playlist.name)}</title>`,
+    ...(playlist.description ? [`  <annotation>${escapeXml(playlist.description)}</annotation>`] : []),
+    "  <trackList>",
+    ...tracks,
+    "  </trackList>",
+    "</playlist>",
+    ""
+  ].join("\n");
+};
+
+const parseXspf = (text, maxEntries) => {
+  if (!/<playlist[\s>]/.test(text)) {
+    throw new PlaylistFormatError("Not an XSPF document: <playlist> element missing");
+  }
+
+  const listStart = text.indexOf("<trackList>");
+  const listEnd = listStart === -1 ? -1 : text.indexOf("</trackList>", listStart);
+  const header = listEnd === -1 ? text : text.slice(0, listStart);
+  const entries = [];
+
+  // Tracks are found with indexOf and lines counted from the previous track,
+  // so large files are read once
+  let offset = listStart;
+  let line = 1 + countLines(text, 0, listStart);
+  let open = listStart;
+
+  while (listEnd !== -1 && (open = text.indexOf("<track>", open)) !== -1 && open < listEnd) {
+    const close = text.indexOf("</track>", open);
+    if (close === -1 || close > listEnd) break;
+
+    const xml = text.slice(open + "<track>".length, close);
+    const isrc = (xml.match(/<identifier>\s*(?:urn:)?isrc:([^<\s]+)\s*<\/identifier>/i) || [])[1] || null;
+    const durationMs = Number(xmlElement(xml, "duration"));
+    line += countLines(text, offset, open);
+    offset = open;
+    open = close;
+
+    entries.push({
+      line,
+      title: xmlElement(xml, "title"),
+      artist: xmlElement(xml, "creator"),
+      album: xmlElement(xml, "album"),
+      duration: durationMs ? toSeconds(durationMs / 1000) : null,
+      isrc,
+      location: xmlElement(xml, "location")
+    });
+    checkEntryCount(entries, maxEntries);
+  }
+
+  return { name: xmlElement(header, "title"), entries };
+};
+
+// ---- CSV ----
+
+// Spreadsheets run cells starting with these as formulas, so exported cells
+// get a leading apostrophe (which csvRows takes off again on import)
+const FORMULA_START = /^[=+\-@\t\r]/;
+const ESCAPED_FORMULA = /^'[=+\-@\t\r]/;
+
+const csvField = (value) => {
+  let text = value === undefined || value === null ? "" : String(value);
+  if (FORMULA_START.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+};
+
+const toCsv = (playlist) => {
+  const rows = playlist.songs.map(song => [
+    song.title, song.artist, song.album, toSeconds(song.duration), song.isrc, song.id, trackLocation(song)
+  ].map(csvField).join(","));
+  return `${[CSV_COLUMNS.join(","), ...rows].join("\r\n")}\r\n`;
+};
+
+// RFC 4180 rows, each with the line it starts on (quoted fields may span lines)
+const csvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === "\"" && text[i + 1] === "\"") {
+        field += "\"";
+        i++;
+      } else if (char === "\"") {
+        quoted = false;
+      } else {
+        if (char === "\n") line++;
+        field += char;
+      }
+    } else if (char === "\"") {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push({ line: rowLine, fields: row });
+      row = [];
+      field = "";
+      line++;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new PlaylistFormatError(`Unterminated quoted field starting on line ${rowLine}`);
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push({ line: rowLine, fields: row });
+  }
+
+  return rows
+    .filter(r => r.fields.some(value => value.trim()))
+    .map(r => ({ ...r, fields: r.fields.map(value => (ESCAPED_FORMULA.test(value) ? value.slice(1) : value)) }));
+};
+
+// Header names we understand, including the ones other services export with
+const CSV_ALIASES = {
+  title: ["title", "name", "track", "track name", "song"],
+  artist: ["artist", "artist name", "artist name(s)", "creator"],
+  album: ["album", "album name", "release"],
+  duration: ["duration", "duration (s)", "length"],
+  isrc: ["isrc"]
+};
+
+const parseCsv = (text, maxEntries) => {
+  const [header, ...rows] = csvRows(text.replace(/^\uFEFF/, ""));
+  if (!header) {
+    return { name: null, entries: [] };
+  }
+  checkEntryCount(rows, maxEntries);
+
+  const columns = header.fields.map(name => name.trim().toLowerCase());
+  const columnOf = (key) => columns.findIndex(name => CSV_ALIASES[key].includes(name));
+  const index = Object.fromEntries(Object.keys(CSV_ALIASES).map(key => [key, columnOf(key)]));
+
+  if (index.title === -1 && index.isrc === -1) {
+    throw new PlaylistFormatError("CSV header needs a title or isrc column");
+  }
+
+  const value = (fields, key) => (index[key] === -1 ? "" : (fields[index[key]] || "").trim()) || null;
+
+  return {
+    name: null,
+    entries: rows.map(({ line, fields }) => ({
+      line,
+      title: value(fields, "title"),
+      artist: value(fields, "artist"),
+      album: value(fields, "album"),
+      duration: toSeconds(value(fields, "duration")),
+      isrc: value(fields, "isrc")
+    }))
+  };
+};
+
+// ---- JSON ----
+
+const toJson = (playlist) => `${JSON.stringify({
+  format: JSON_FORMAT_NAME,
+  version: JSON_FORMAT_VERSION,
+  exportedAt: new Date().toISOString(),
+  playlist: {
+    name: playlist.name,
+    description: playlist.description || "",
+    tracks: playlist.songs.map(song => ({
+      id: song.id,
+      title: song.title || null,
+      artist: song.artist || null,
+      album: song.album || null,
+      duration: toSeconds(song.duration),
+      isrc: song.isrc || null,
+      url: trackLocation(song),
+      addedAt: song.addedAt || song.likedAt || null
+    }))
+  }
+}, null, 2)}\n`;
+
+const parseJson = (text, maxEntries) => {
+  let document;
+  try {
+    document = JSON.parse(text);
+  } catch (error) {
+    throw new PlaylistFormatError(`Invalid JSON: ${error.message}`);
+  }
+
+  if (!document || document.format !== JSON_FORMAT_NAME || !document.playlist) {
+    throw new PlaylistFormatError(`Not a ${JSON_FORMAT_NAME} document`);
+  }
+
+  if (document.version !== JSON_FORMAT_VERSION) {
+    throw new PlaylistFormatError(`Unsupported ${JSON_FORMAT_NAME} version ${document.version} (expected ${JSON_FORMAT_VERSION})`);
+  }
+
+  const tracks = Array.isArray(document.playlist.tracks) ? document.playlist.tracks : [];
+  checkEntryCount(tracks, maxEntries);
+  return {
+    name: document.playlist.name || null,
+    entries: tracks.map(track => ({
+      line: null,
+      title: track.title || null,
+      artist: track.artist || null,
+      album: track.album || null,
+      duration: toSeconds(track.duration),
+      isrc: track.isrc || null
+    }))
+  };
+};
+
+const SERIALIZERS = { m3u: toM3u, xspf: toXspf, csv: toCsv, json: toJson };
+const PARSERS = { m3u: parseM3u, xspf: parseXspf, csv: parseCsv, json: parseJson };
+
+// Guess the format of an uploaded file from its contents
+const detectFormat = (text) => {
+  const start = text.replace(/^\uFEFF/, "").trimStart();
+  if (start.startsWith("#EXTM3U") || start.startsWith("#EXTINF")) return "m3u";
+  if (start.startsWith("<")) return "xspf";
+  if (start.startsWith("{")) return "json";
+  return "csv";
+};
+
+// Resolves to { body, contentType, extension }; playlist needs name and songs
+const serialize = (playlist, format) => {
+  if (!isFormat(format)) {
+    throw new PlaylistFormatError(`Unknown format "${format}". Use one of: ${Object.keys(FORMATS).join(", ")}`);
+  }
+  return { body: SERIALIZERS[format](playlist), ...FORMATS[format] };
+};
+
+// Returns { format, name, entries }; `format` is detected when omitted.
+// Files with more than `maxEntries` entries are rejected while parsing.
+const parse = (text, format = detectFormat(text), { maxEntries = Infinity } = {}) => {
+  if (!isFormat(format)) {
+    throw new PlaylistFormatError(`Unknown format "${format}". Use one of: ${Object.keys(FORMATS).join(", ")}`);
+  }
+
+  const { name, entries } = PARSERS[format](text, maxEntries);
+  return {
+    format,
+    name,
+    entries: entries.map((entry, i) => ({ index: i + 1, ...entry }))
+  };
+};
+
+module.exports = {
+  FORMATS,
+  PlaylistFormatError,
+  isFormat,
+  serialize,
+  parse,
+  detectFormat,
+  csvRows,
+  csvField
+};
@@ -0,0 +1,135 @@
+// Resolves parsed playlist entries (see playlistFormats) to tracks of the
+// active music provider and reports which matched, which were ambiguous and
+// which failed.
+
+const { normalize, artistNames } = require("./trackIdentity");
+const providerRegistry = require("./providerRegistry");
+
+const SEARCH_LIMIT = 10;
+const MAX_CANDIDATES = 5;
+const CONCURRENCY = 4;
+
+const titleMatches = (entry, track) => normalize(entry.title) === normalize(track.title);
+
+const artistMatches = (entry, track) => {
+  const wanted = artistNames(entry.artist);
+  const actual = artistNames(track.artist);
+  return wanted.some(name => actual.includes(name));
+};
+
+// Lower is better: prefer the same album, then the closest duration
+const closeness = (entry, track) => {
+  const albumPenalty = entry.album && normalize(entry.album) !== normalize(track.album) ? 1000 : 0;
+  const durationGap = entry.duration && track.duration ? Math.abs(entry.duration - track.duration) : 0;
+  return albumPenalty + durationGap;
+};
+
+const summarizeTrack = (track) => ({
+  id: track.id,
+  title: track.title,
+  artist: track.artist,
+  album: track.album,
+  duration: track.duration,
+  isrc: track.isrc || null
+});
+
+const summarizeEntry = (entry) => ({
+  title: entry.title,
+  artist: entry.artist,
+  album: entry.album,
+  duration: entry.duration,
+  isrc: entry.isrc
+});
+
+class PlaylistImportService {
+  // Searches go to `provider` when one is given, else down the registry's
+  // search chain (the same providers /api/music/search uses)
+  async search(provider, query) {
+    const results = provider
+      ? await provider.searchTracks(query, SEARCH_LIMIT)
+      : (await providerRegistry.invoke("search", service => service.searchTracks(query, SEARCH_LIMIT))).result;
+    return (results && results.tracks) || results || [];
+  }
+
+  // Resolves to { status: "matched" | "ambiguous" | "failed", ... } for one entry
+  async resolveEntry(entry, provider) {
+    if (!entry.title && !entry.isrc) {
+      return { status: "failed", reason: "Entry has no title or ISRC" };
+    }
+
+    try {
+      if (entry.isrc) {
+        const isrc = entry.isrc.toUpperCase();
+        const byIsrc = (await this.search(provider, `isrc:${isrc}`))
+          .filter(track => track.isrc && track.isrc.toUpperCase() === isrc);
+        if (byIsrc.length > 0) {
+          return { status: "matched", matchedBy: "isrc", track: byIsrc[0] };
+        }
+      }
+
+      if (!entry.title) {
+        return { status: "failed", reason: "No track found for ISRC and no title to search for" };
+      }
+
+      let tracks = await this.search(provider, [entry.title, entry.artist].filter(Boolean).join(" "));
+      // Simple providers match the whole query as one phrase; retry on the title alone
+      if (tracks.length === 0 && entry.artist) {
+        tracks = await this.search(provider, entry.title);
+      }
+      const sameTitle = tracks.filter(track => titleMatches(entry, track));
+      const strong = entry.artist ? sameTitle.filter(track => artistMatches(entry, track)) : sameTitle;
+
+      // Several releases of one song (albums, remasters) are fine - pick the
+      // closest. Different artists under a title-only entry are a real choice.
+      const distinctArtists = new Set(strong.map(track => normalize(track.artist)));
+      if (strong.length > 0 && distinctArtists.size === 1) {
+        const [best] = [...strong].sort((a, b) => closeness(entry, a) - closeness(entry, b));
+        return { status: "matched", matchedBy: entry.artist ? "title-artist" : "title", track: best };
+      }
+
+      const candidates = strong.length > 0 ? strong : sameTitle;
+      if (candidates.length > 0) {
+        return { status: "ambiguous", candidates: candidates.slice(0, MAX_CANDIDATES) };
+      }
+
+      return { status: "failed", reason: tracks.length > 0 ? "No result with a matching title" : "No results" };
+    } catch (error) {
+      return { status: "failed", reason: `Search failed: ${error.message}` };
+    }
+  }
+
+  // Resolve every entry (a few at a time) and build the import report.
+  // `report.tracks` lists the matched tracks in file order.
+  async resolveEntries(entries, provider = null) {
+    const outcomes = new Array(entries.length);
+    let next = 0;
+
+    const worker = async () => {
+      while (next < entries.length) {
+        const i = next++;
+        outcomes[i] = await this.resolveEntry(entries[i], provider);
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(CONCURRENCY, entries.length) }, worker));
+
+    const report = { matched: [], ambiguous: [], failed: [], tracks: [] };
+
+    entries.forEach((entry, i) => {
+      const outcome = outcomes[i];
+      const base = { index: entry.index, line: entry.line, entry: summarizeEntry(entry) };
+
+      if (outcome.status === "matched") {
+        report.matched.push({ ...base, matchedBy: outcome.matchedBy, track: summarizeTrack(outcome.track) });
+        report.tracks.push(outcome.track);
+      } else if (outcome.status === "ambiguous") {
+        report.ambiguous.push({ ...base, candidates: outcome.candidates.map(summarizeTrack) });
+      } else {
+        report.failed.push({ ...base, reason: outcome.reason });
+      }
+    });
+
+    return report;
+  }
+}
+
+module.exports = new PlaylistImportService();
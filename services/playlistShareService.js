@@ -0,0 +1,75 @@
+const crypto = require("crypto");
+const { getRepository } = require("../storage");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Longest expiry a link can be created with; links without one never expire
+const MAX_EXPIRES_IN_DAYS = 365;
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+const isExpired = (share, now = Date.now()) =>
+  Boolean(share.expiresAt) && new Date(share.expiresAt).getTime() <= now;
+
+// Read-only share links for playlists. A playlist has at most one active
+// link; creating a new one revokes the old. Only a hash of each token is
+// stored, so the link itself is shown once, when it is created.
+class PlaylistShareService {
+  constructor() {
+    this.shares = getRepository("playlistShares");
+    this.maxExpiresInDays = MAX_EXPIRES_IN_DAYS;
+  }
+
+  // Resolves to { token, share }. `expiresInDays` is optional; without it the
+  // link stays valid until revoked.
+  async createShare(playlistId, userId, expiresInDays = null) {
+    const token = crypto.randomBytes(24).toString("base64url");
+    const now = Date.now();
+    const share = {
+      playlistId,
+      createdBy: userId,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: expiresInDays ? new Date(now + expiresInDays * DAY_MS).toISOString() : null
+    };
+
+    await this.shares.update((shares) => {
+      Object.entries(shares).forEach(([tokenHash, existing]) => {
+        if (existing.playlistId === playlistId || isExpired(existing, now)) {
+          delete shares[tokenHash];
+        }
+      });
+      shares[hashToken(token)] = share;
+    });
+
+    return { token, share };
+  }
+
+  // The active link of a playlist (without its token), or null
+  async getShare(playlistId) {
+    const shares = await this.shares.read();
+    const share = Object.values(shares).find(s => s.playlistId === playlistId && !isExpired(s));
+    return share || null;
+  }
+
+  // Resolves to the number of links removed
+  revoke(playlistId) {
+    return this.shares.update((shares) => {
+      let count = 0;
+      Object.entries(shares).forEach(([tokenHash, share]) => {
+        if (share.playlistId === playlistId) {
+          delete shares[tokenHash];
+          count++;
+        }
+      });
+      return count;
+    });
+  }
+
+  // Resolves to the share a token belongs to, or null if unknown/expired
+  async resolve(token) {
+    const shares = await this.shares.read();
+    const share = shares[hashToken(token)];
+    return share && !isExpired(share) ? share : null;
+  }
+}
+
+module.exports = new PlaylistShareService();
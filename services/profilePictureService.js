@@ -0,0 +1,141 @@
+const fs = require("fs-extra");
+const path = require("path");
+const crypto = require("crypto");
+const { getRepository } = require("../storage");
+
+const UPLOAD_DIR = path.join(__dirname, "../uploads/profile-pictures");
+const PUBLIC_PATH = "/uploads/profile-pictures";
+
+const MAX_FILE_SIZE = parseInt(process.env.PROFILE_PICTURE_MAX_BYTES) || 5 * 1024 * 1024;
+
+// Accepted image types, identified by their leading bytes rather than the
+// client-supplied mimetype or filename
+const IMAGE_SIGNATURES = [
+  {
+    type: "image/jpeg",
+    extension: "jpeg",
+    matches: (buffer) => buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff
+  },
+  {
+    type: "image/png",
+    extension: "png",
+    matches: (buffer) => buffer.length >= 8 &&
+      buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))
+  },
+  {
+    type: "image/webp",
+    extension: "webp",
+    matches: (buffer) => buffer.length >= 12 &&
+      buffer.toString("ascii", 0, 4) === "RIFF" &&
+      buffer.toString("ascii", 8, 12) === "WEBP"
+  }
+];
+
+fs.ensureDirSync(UPLOAD_DIR);
+
+class ProfilePictureService {
+  constructor() {
+    this.uploadDir = UPLOAD_DIR;
+    this.publicPath = PUBLIC_PATH;
+    this.maxFileSize = MAX_FILE_SIZE;
+    this.profiles = getRepository("users-profiles");
+  }
+
+  // Returns the matching signature, or null for unsupported content
+  detectImageType(buffer) {
+    return IMAGE_SIGNATURES.find(signature => signature.matches(buffer)) || null;
+  }
+
+  // PUBLIC_BASE_URL wins; otherwise fall back to the host the request came in on
+  getBaseUrl(req) {
+    const configured = process.env.PUBLIC_BASE_URL;
+    if (configured) {
+      return configured.replace(/\/+$/, "");
+    }
+    return req ? `${req.protocol}://${req.get("host")}` : "";
+  }
+
+  buildUrl(filename, req) {
+    return `${this.getBaseUrl(req)}${this.publicPath}/${filename}`;
+  }
+
+  // Public view of a user's picture. URLs are always rebuilt from the stored
+  // filename so a change of host does not leave stale links behind.
+  async getPicture(userId, req) {
+    const profile = (await this.profiles.read())[userId];
+    if (!profile?.filename) {
+      return null;
+    }
+
+    return {
+      url: this.buildUrl(profile.filename, req),
+      uploadedAt: profile.uploadedAt,
+      updatedAt: profile.updatedAt
+    };
+  }
+
+  async savePicture(userId, buffer, req) {
+    const imageType = this.detectImageType(buffer);
+    if (!imageType) {
+      const error = new Error("Only JPEG, PNG and WebP images are allowed");
+      error.status = 400;
+      throw error;
+    }
+
+    const filename = `profile-${Date.now()}-${crypto.randomInt(1e9)}.${imageType.extension}`;
+    await fs.writeFile(path.join(this.uploadDir, filename), buffer);
+
+    const previous = await this.profiles.update((profiles) => {
+      const existing = profiles[userId];
+      const now = new Date().toISOString();
+
+      profiles[userId] = {
+        userId,
+        filename,
+        contentType: imageType.type,
+        size: buffer.length,
+        uploadedAt: existing?.uploadedAt || now,
+        updatedAt: now
+      };
+      return existing;
+    });
+
+    if (previous?.filename && previous.filename !== filename) {
+      await this.removeFile(previous.filename);
+    }
+
+    console.log(`🖼️ Profile picture updated for user ${userId}: ${filename}`);
+    return this.getPicture(userId, req);
+  }
+
+  async deletePicture(userId) {
+    const profile = await this.profiles.update((profiles) => {
+      const existing = profiles[userId];
+      delete profiles[userId];
+      return existing;
+    });
+
+    if (!profile) {
+      return false;
+    }
+
+    if (profile.filename) {
+      await this.removeFile(profile.filename);
+    }
+
+    console.log(`🗑️ Profile picture removed for user ${userId}`);
+    return true;
+  }
+
+  async removeFile(filename) {
+    // Stored filenames are ours, but never follow anything outside the upload dir
+    const filePath = path.join(this.uploadDir, path.basename(filename));
+    try {
+      await fs.remove(filePath);
+    } catch (error) {
+      console.error(`Failed to remove profile picture ${filename}:`, error.message);
+    }
+  }
+}
+
+module.exports = new ProfilePictureService();
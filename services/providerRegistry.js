@@ -0,0 +1,312 @@
+// Music providers register here by name with the capabilities they support.
+// Routes ask for a capability and get the enabled providers that have it, in
+// priority order; a provider that throws or fails its health check is
+// skipped in favour of the next one.
+//
+//   MUSIC_PROVIDERS=spotify,jamendo,itunes,demo   enabled providers, highest priority first
+//
+// Without MUSIC_PROVIDERS the old switch applies: USE_DEMO_MODE=true means
+// demo only, otherwise Spotify with demo as fallback.
+//
+// A provider whose upstream circuit breaker is open (see upstreamClient) is
+// skipped without being called. When the whole chain fails, the
+// MUSIC_FALLBACK_PROVIDER (default "demo", "none" to disable) answers instead.
+
+const { getBreaker } = require("./upstreamClient");
+const responseCache = require("./responseCache");
+
+const CAPABILITIES = ["search", "trending", "categories", "recommendations", "trackDetails", "previews"];
+
+// How long a health check result is trusted before asking the provider again
+const HEALTH_TTL_MS = 60 * 1000;
+const HEALTH_TIMEOUT_MS = 5000;
+const FALLBACK_PROVIDER = process.env.MUSIC_FALLBACK_PROVIDER || "demo";
+
+// Catalog methods served through responseCache unless a provider opts out
+const CACHED_METHODS = ["getTrendingTracks", "searchTracks", "getCategories", "getRecommendations", "getTrackDetails"];
+
+class ProviderError extends Error {
+  constructor(message, status = 503) {
+    super(message);
+    this.name = "ProviderError";
+    this.status = status;
+  }
+}
+
+const withTimeout = (promise, ms, message) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(message);
+      error.code = "PROVIDER_TIMEOUT";
+      reject(error);
+    }, ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+class ProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+    this.priority = null;
+    this.health = {};
+  }
+
+  // `definition`: { load: () => service, displayName, description, icon,
+  // mode, capabilities: { search: true, ... }, upstreams: [client names],
+  // cache: false to skip responseCache }
+  register(name, definition) {
+    const capabilities = {};
+    CAPABILITIES.forEach(capability => {
+      capabilities[capability] = Boolean(definition.capabilities && definition.capabilities[capability]);
+    });
+
+    this.providers.set(name, { name, upstreams: [], ...definition, capabilities, service: null });
+    return this;
+  }
+
+  has(name) {
+    return this.providers.has(name);
+  }
+
+  get(name) {
+    const provider = this.providers.get(name);
+    if (!provider) {
+      throw new ProviderError(`Unknown music provider "${name}"`, 400);
+    }
+    if (!provider.service) {
+      const service = provider.load();
+      provider.service = provider.cache === false ? service : responseCache.wrapService(name, service, CACHED_METHODS);
+    }
+    return provider;
+  }
+
+  // Enabled provider names, highest priority first
+  getPriority() {
+    if (!this.priority) {
+      this.setPriority(this.configuredPriority());
+    }
+    return [...this.priority];
+  }
+
+  configuredPriority() {
+    if (process.env.MUSIC_PROVIDERS) {
+      return process.env.MUSIC_PROVIDERS.split(",").map(name => name.trim()).filter(Boolean);
+    }
+    return process.env.USE_DEMO_MODE === "true" ? ["demo"] : ["spotify", "demo"];
+  }
+
+  setPriority(names) {
+    const unknown = names.filter(name => !this.providers.has(name));
+    if (unknown.length > 0) {
+      throw new ProviderError(`Unknown music provider(s): ${unknown.join(", ")}. Registered: ${this.names().join(", ")}`, 400);
+    }
+    if (names.length === 0) {
+      throw new ProviderError("At least one music provider must be enabled", 400);
+    }
+    this.priority = [...new Set(names)];
+    console.log(`🎛️ Music provider priority: ${this.priority.join(" → ")}`);
+  }
+
+  // Make `name` the primary provider, keeping the rest of the chain behind it
+  select(name) {
+    this.setPriority([name, ...this.getPriority().filter(other => other !== name)]);
+  }
+
+  names() {
+    return [...this.providers.keys()];
+  }
+
+  primary() {
+    return this.get(this.getPriority()[0]);
+  }
+
+  // Enabled providers that support a capability, in priority order
+  chain(capability) {
+    return this.getPriority()
+      .map(name => this.get(name))
+      .filter(provider => provider.capabilities[capability]);
+  }
+
+  // Circuit breaker state of each upstream the provider calls
+  circuits(name) {
+    const circuits = {};
+    this.providers.get(name).upstreams.forEach(upstream => {
+      const breaker = getBreaker(upstream);
+      if (breaker) {
+        circuits[upstream] = breaker.snapshot();
+      }
+    });
+    return circuits;
+  }
+
+  openCircuit(name) {
+    return this.providers.get(name).upstreams.find(upstream => {
+      const breaker = getBreaker(upstream);
+      return breaker && breaker.isOpen();
+    }) || null;
+  }
+
+  async checkHealth(name) {
+    const provider = this.get(name);
+    const startTime = Date.now();
+    let result;
+
+    const open = this.openCircuit(name);
+
+    try {
+      if (open) {
+        result = { status: "ERROR", message: `Circuit open for ${open}` };
+      } else if (typeof provider.service.healthCheck === "function") {
+        result = await withTimeout(provider.service.healthCheck(), HEALTH_TIMEOUT_MS, "Health check timed out");
+      } else {
+        result = { status: "OK", message: "No health check available" };
+      }
+    } catch (error) {
+      result = { status: "ERROR", message: error.message };
+    }
+
+    this.health[name] = {
+      status: result.status === "OK" ? "OK" : "ERROR",
+      message: result.message,
+      latencyMs: Date.now() - startTime,
+      checkedAt: new Date().toISOString()
+    };
+    return this.health[name];
+  }
+
+  // Cached health; re-checked once it is older than HEALTH_TTL_MS. An open
+  // circuit makes a provider unavailable straight away.
+  async isAvailable(name) {
+    if (this.openCircuit(name)) {
+      return (await this.checkHealth(name)).status === "OK";
+    }
+
+    const health = this.health[name];
+    if (!health || Date.now() - new Date(health.checkedAt).getTime() > HEALTH_TTL_MS) {
+      return (await this.checkHealth(name)).status === "OK";
+    }
+    return health.status === "OK";
+  }
+
+  // Run `fn(service)` on the first available provider with `capability`.
+  // Resolves to { result, provider }; rejects with ProviderError when every
+  // provider in the chain (and the fallback) is unavailable or failed. A
+  // failed call only moves this call down the chain; whether the provider
+  // stays available is up to its circuit breakers and health check.
+  async invoke(capability, fn) {
+    const chain = this.chain(capability);
+    const failures = [];
+
+    const fallback = this.fallbackFor(capability, chain);
+    if (fallback) {
+      chain.push(fallback);
+    }
+
+    if (chain.length === 0) {
+      throw new ProviderError(`No enabled music provider supports ${capability}`, 501);
+    }
+
+    for (const provider of chain) {
+      if (!(await this.isAvailable(provider.name))) {
+        failures.push(`${provider.name}: ${this.health[provider.name].message}`);
+        continue;
+      }
+
+      try {
+        const result = await fn(provider.service);
+        if (provider === fallback) {
+          console.warn(`🛟 ${capability} served by fallback provider ${provider.name} (${failures.join("; ")})`);
+        }
+        return { result, provider };
+      } catch (error) {
+        console.error(`⚠️ ${provider.name} failed ${capability}: ${error.message}`);
+        failures.push(`${provider.name}: ${error.message}`);
+      }
+    }
+
+    throw new ProviderError(`All music providers failed for ${capability} (${failures.join("; ")})`);
+  }
+
+  // Last-resort provider appended to a chain that does not already include it
+  fallbackFor(capability, chain) {
+    if (!this.providers.has(FALLBACK_PROVIDER) || chain.some(provider => provider.name === FALLBACK_PROVIDER)) {
+      return null;
+    }
+    const fallback = this.get(FALLBACK_PROVIDER);
+    return fallback.capabilities[capability] ? fallback : null;
+  }
+
+  describe(provider) {
+    const priority = this.getPriority();
+    return {
+      name: provider.name,
+      displayName: provider.displayName,
+      description: provider.description,
+      icon: provider.icon,
+      mode: provider.mode,
+      capabilities: provider.capabilities,
+      enabled: priority.includes(provider.name),
+      fallback: provider.name === FALLBACK_PROVIDER,
+      priority: priority.includes(provider.name) ? priority.indexOf(provider.name) + 1 : null,
+      health: this.health[provider.name] || null,
+      circuits: this.circuits(provider.name)
+    };
+  }
+
+  // Every registered provider with fresh health for the enabled ones and the fallback
+  async report() {
+    const checked = this.getPriority();
+    if (this.providers.has(FALLBACK_PROVIDER) && !checked.includes(FALLBACK_PROVIDER)) {
+      checked.push(FALLBACK_PROVIDER);
+    }
+    await Promise.all(checked.map(name => this.checkHealth(name)));
+    return this.names().map(name => this.describe(this.get(name)));
+  }
+}
+
+const registry = new ProviderRegistry();
+
+registry
+  .register("spotify", {
+    load: () => require("./spotifyService"),
+    upstreams: ["spotify-accounts", "spotify"],
+    displayName: "Spotify Web API",
+    description: "Real-time music data from millions of songs",
+    icon: "🎵",
+    mode: "Production",
+    capabilities: { search: true, trending: true, categories: true, recommendations: true, trackDetails: true, previews: true }
+  })
+  .register("jamendo", {
+    load: () => require("./musicService"),
+    upstreams: ["jamendo"],
+    displayName: "Jamendo",
+    description: "Free Jamendo catalogue with full-length audio",
+    icon: "🎶",
+    mode: "Production",
+    capabilities: { search: true, trending: true, categories: false, recommendations: true, trackDetails: false, previews: true }
+  })
+  .register("itunes", {
+    load: () => require("./itunesService"),
+    upstreams: ["itunes"],
+    displayName: "iTunes Search",
+    description: "Apple catalogue metadata with 30-second previews",
+    icon: "🍎",
+    mode: "Production",
+    capabilities: { search: true, trending: false, categories: false, recommendations: false, trackDetails: false, previews: true }
+  })
+  .register("demo", {
+    load: () => require("./demoMusicService"),
+    displayName: "Demo Music Service",
+    description: "Development mode with a fixed sample catalog and local previews - no API keys required",
+    icon: "🎭",
+    mode: "Development",
+    cache: false,
+    capabilities: { search: true, trending: true, categories: true, recommendations: true, trackDetails: true, previews: true }
+  });
+
+registry.CAPABILITIES = CAPABILITIES;
+registry.ProviderError = ProviderError;
+registry.withTimeout = withTimeout;
+
+module.exports = registry;
@@ -0,0 +1,269 @@
+const listeningHistoryService = require("./listeningHistoryService");
+const listeningAnalyticsService = require("./listeningAnalyticsService");
+const timeZone = require("./timeZone");
+
+const MONTH_NAMES = ["January", "February", "March", "April", "May", "June", "July", "August", "September", "October", "November", "December"];
+// In timeZone.localParts order (Monday first)
+const WEEKDAY_NAMES = ["Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday", "Sunday"];
+const PERIOD_PATTERN = /^(\d{4})(?:-(\d{2}))?$/;
+
+const minutesOf = (seconds) => Math.round(seconds / 60);
+
+// Percent change from `before` to `now`; null when there is nothing to compare with
+const percentChange = (before, now) => (before > 0 ? Math.round(((now - before) / before) * 100) : null);
+
+const pad = (value) => String(value).padStart(2, "0");
+
+// { type, key, label, start, end } for "2026" or "2026-09", or null when the
+// period is malformed. start and end (exclusive) are calendar dates, read in
+// the user's time zone.
+const parsePeriod = (value) => {
+  const match = PERIOD_PATTERN.exec(String(value || ""));
+  if (!match) {
+    return null;
+  }
+
+  const year = parseInt(match[1], 10);
+  if (!match[2]) {
+    return {
+      type: "year",
+      key: String(year),
+      label: String(year),
+      start: `${year}-01-01`,
+      end: `${year + 1}-01-01`
+    };
+  }
+
+  const month = parseInt(match[2], 10);
+  if (month < 1 || month > 12) {
+    return null;
+  }
+  return {
+    type: "month",
+    key: `${year}-${match[2]}`,
+    label: `${MONTH_NAMES[month - 1]} ${year}`,
+    start: `${year}-${match[2]}-01`,
+    end: month === 12 ? `${year + 1}-01-01` : `${year}-${pad(month + 1)}-01`
+  };
+};
+
+const previousPeriod = (period) => {
+  const year = parseInt(period.start.slice(0, 4), 10);
+  if (period.type === "year") {
+    return parsePeriod(String(year - 1));
+  }
+  const month = parseInt(period.start.slice(5, 7), 10);
+  return parsePeriod(month === 1 ? `${year - 1}-12` : `${year}-${pad(month - 1)}`);
+};
+
+// The month or year it is now in `zone`
+const currentPeriod = (type = "month", zone = timeZone.DEFAULT_TIME_ZONE) => {
+  const today = timeZone.localParts(Date.now(), zone).date;
+  return parsePeriod(type === "year" ? today.slice(0, 4) : today.slice(0, 7));
+};
+
+// Group entries by `keyOf` (entries without a key are left out) and rank by
+// plays, then minutes
+const rank = (entries, keyOf, limit) => {
+  const groups = new Map();
+  entries.forEach(entry => {
+    const key = keyOf(entry);
+    if (!key) return;
+    const group = groups.get(key) || { key, plays: 0, seconds: 0, latest: null };
+    group.plays++;
+    group.seconds += entry.duration;
+    if (entry.track) {
+      group.latest = entry.track;
+    }
+    groups.set(key, group);
+  });
+
+  return [...groups.values()]
+    .sort((a, b) => b.plays - a.plays || b.seconds - a.seconds || a.key.localeCompare(b.key))
+    .slice(0, limit);
+};
+
+// Longest run of consecutive (local) days with at least one play
+const longestStreak = (entries) => {
+  const days = [...new Set(entries.map(entry => entry.local.date))].sort();
+  let best = null;
+  let runStart = null;
+
+  days.forEach((day, index) => {
+    const continues = index > 0 && timeZone.daysBetween(days[index - 1], day) === 1;
+    runStart = continues ? runStart : day;
+    const length = timeZone.daysBetween(runStart, day) + 1;
+    if (!best || length > best.days) {
+      best = { days: length, start: runStart, end: day };
+    }
+  });
+
+  return best || { days: 0, start: null, end: null };
+};
+
+// The busiest value of `keyOf` by minutes listened, then plays
+const busiest = (entries, keyOf) => {
+  const totals = {};
+  entries.forEach(entry => {
+    const key = keyOf(entry);
+    const total = totals[key] || (totals[key] = { key, plays: 0, seconds: 0 });
+    total.plays++;
+    total.seconds += entry.duration;
+  });
+  return Object.values(totals).sort((a, b) => b.seconds - a.seconds || b.plays - a.plays)[0] || null;
+};
+
+const summarize = (entries) => {
+  const seconds = entries.reduce((sum, entry) => sum + entry.duration, 0);
+  return {
+    plays: entries.length,
+    minutes: minutesOf(seconds),
+    uniqueTracks: new Set(entries.map(entry => entry.trackId)).size,
+    uniqueArtists: new Set(entries.filter(entry => entry.track).map(entry => entry.track.artist)).size
+  };
+};
+
+// Entries carry `local`: their date, weekday and hour in the user's zone
+const inPeriod = (entry, period) => entry.local.date >= period.start && entry.local.date < period.end;
+
+// The history keeps only the newest HISTORY_MAX_ENTRIES plays. Once it is
+// full, a period that starts before the oldest kept play is missing plays.
+const isTruncated = (history, period) => (
+  history.length >= listeningHistoryService.MAX_ENTRIES && history[0].local.date > period.start
+);
+
+// Monthly and yearly listening recaps computed from the listening history, in
+// the user's time zone. Plays recorded without a track snapshot count towards
+// totals but not towards artists or genres.
+class RecapService {
+  // `period` comes from parsePeriod. `limit` caps each top list.
+  async buildRecap(userId, period, limit = 5) {
+    const zone = await listeningAnalyticsService.getTimeZone(userId);
+    const history = (await listeningHistoryService.getEntries(userId))
+      .map(entry => ({ ...entry, local: timeZone.localParts(entry.playedAt, zone) }));
+    const entries = history.filter(entry => inPeriod(entry, period));
+    const previous = previousPeriod(period);
+    const totals = summarize(entries);
+    const previousTotals = summarize(history.filter(entry => inPeriod(entry, previous)));
+
+    const topTracks = rank(entries, entry => entry.trackId, limit).map(group => ({
+      trackId: group.key,
+      track: group.latest,
+      plays: group.plays,
+      minutes: minutesOf(group.seconds)
+    }));
+
+    const topArtists = rank(entries, entry => entry.track && entry.track.artist, limit).map(group => ({
+      artist: group.key,
+      plays: group.plays,
+      minutes: minutesOf(group.seconds),
+      cover_url: group.latest.cover_url
+    }));
+
+    const withGenre = entries.filter(entry => entry.track && entry.track.genre).length;
+    const topGenres = rank(entries, entry => entry.track && entry.track.genre, limit).map(group => ({
+      genre: group.key,
+      plays: group.plays,
+      minutes: minutesOf(group.seconds),
+      share: Math.round((group.plays / withGenre) * 100)
+    }));
+
+    const activeDay = busiest(entries, entry => entry.local.date);
+    const activeWeekday = busiest(entries, entry => entry.local.weekday);
+    const activeHour = busiest(entries, entry => entry.local.hour);
+
+    return {
+      period: { type: period.type, key: period.key, label: period.label, start: period.start, end: period.end, timeZone: zone },
+      // truncated: plays from the start of the period were already dropped
+      // from the history, so the numbers below are incomplete
+      coverage: {
+        truncated: isTruncated(history, period),
+        oldestEntryAt: history.length > 0 ? history[0].playedAt : null,
+        maxEntries: listeningHistoryService.MAX_ENTRIES
+      },
+      totals,
+      topTracks,
+      topArtists,
+      topGenres,
+      longestStreak: longestStreak(entries),
+      mostActiveDay: activeDay && { date: activeDay.key, plays: activeDay.plays, minutes: minutesOf(activeDay.seconds) },
+      mostActiveWeekday: activeWeekday && { weekday: WEEKDAY_NAMES[activeWeekday.key], plays: activeWeekday.plays, minutes: minutesOf(activeWeekday.seconds) },
+      mostActiveHour: activeHour && { hour: Number(activeHour.key), plays: activeHour.plays, minutes: minutesOf(activeHour.seconds) },
+      newArtists: this.newArtists(history, period, limit),
+      comparison: {
+        period: previous.key,
+        plays: previousTotals.plays,
+        minutes: previousTotals.minutes,
+        playsChange: percentChange(previousTotals.plays, totals.plays),
+        minutesChange: percentChange(previousTotals.minutes, totals.minutes),
+        truncated: isTruncated(history, previous)
+      }
+    };
+  }
+
+  // Artists first heard in the period (no earlier play in the whole history),
+  // in the order they were discovered; `count` is the full number
+  newArtists(history, period, limit) {
+    const firstPlays = new Map();
+    history
+      .filter(entry => entry.track)
+      .forEach(entry => {
+        const first = firstPlays.get(entry.track.artist);
+        if (!first || new Date(entry.playedAt) < new Date(first.playedAt)) {
+          firstPlays.set(entry.track.artist, entry);
+        }
+      });
+
+    const discovered = [...firstPlays.values()]
+      .filter(entry => inPeriod(entry, period))
+      .sort((a, b) => new Date(a.playedAt) - new Date(b.playedAt));
+
+    return {
+      count: discovered.length,
+      artists: discovered.slice(0, limit).map(entry => ({
+        artist: entry.track.artist,
+        firstPlayedAt: entry.playedAt,
+        firstTrack: { id: entry.track.id, title: entry.track.title }
+      }))
+    };
+  }
+
+  // Compact payload a client can render as a share image. Only public
+  // details: no user id, track snapshots reduced to title/artist/cover.
+  toCard(recap, displayName = null) {
+    const topTrack = recap.topTracks.find(item => item.track);
+    const topArtist = recap.topArtists[0];
+    const topGenre = recap.topGenres[0];
+    const change = recap.comparison.minutesChange;
+
+    const highlights = [
+      { label: "Minutes listened", value: recap.totals.minutes },
+      { label: "Songs played", value: recap.totals.plays },
+      { label: "Artists", value: recap.totals.uniqueArtists },
+      { label: "Longest streak", value: `${recap.longestStreak.days} day${recap.longestStreak.days === 1 ? "" : "s"}` }
+    ];
+    if (recap.newArtists.count > 0) {
+      highlights.push({ label: "New artists", value: recap.newArtists.count });
+    }
+
+    return {
+      type: "tunestream.recap",
+      version: 1,
+      title: displayName ? `${displayName}'s ${recap.period.label} in music` : `${recap.period.label} in music`,
+      period: recap.period.key,
+      highlights,
+      topTrack: topTrack ? { title: topTrack.track.title, artist: topTrack.track.artist, cover_url: topTrack.track.cover_url, plays: topTrack.plays } : null,
+      topArtist: topArtist ? { name: topArtist.artist, cover_url: topArtist.cover_url, plays: topArtist.plays } : null,
+      topGenre: topGenre ? { name: topGenre.genre, share: topGenre.share } : null,
+      topTracks: recap.topTracks.filter(item => item.track).map(item => `${item.track.title} - ${item.track.artist}`),
+      comparison: change === null ? null : `${change >= 0 ? "+" : ""}${change}% minutes vs ${recap.comparison.period}`,
+      generatedAt: new Date().toISOString()
+    };
+  }
+}
+
+const recapService = new RecapService();
+recapService.parsePeriod = parsePeriod;
+recapService.currentPeriod = currentPeriod;
+
+module.exports = recapService;
@@ -0,0 +1,247 @@
+// Cache for provider responses, shared by every music provider (the registry
+// wraps their catalog methods, see providerRegistry). Entries are keyed by
+// provider + method + arguments and go through three states:
+//   fresh  (younger than ttl)       served from cache
+//   stale  (younger than staleTtl)  served from cache, refreshed in the background
+//   gone                            fetched again before answering
+// Concurrent misses for the same key share one upstream request. With
+// CACHE_DISK=true entries are also written to CACHE_DIR and survive restarts.
+
+const crypto = require("crypto");
+const path = require("path");
+const fs = require("fs-extra");
+const NodeCache = require("node-cache");
+
+// Seconds, per provider method
+const TTLS = {
+  getTrendingTracks: { ttl: 15 * 60, staleTtl: 60 * 60 },
+  searchTracks: { ttl: 5 * 60, staleTtl: 15 * 60 },
+  getCategories: { ttl: 6 * 60 * 60, staleTtl: 24 * 60 * 60 },
+  getRecommendations: { ttl: 15 * 60, staleTtl: 60 * 60 },
+  getTrackDetails: { ttl: 24 * 60 * 60, staleTtl: 7 * 24 * 60 * 60 }
+};
+const DEFAULT_TTL = { ttl: 10 * 60, staleTtl: 30 * 60 };
+
+const DISK_ENABLED = process.env.CACHE_DISK === "true";
+const DISK_DIR = process.env.CACHE_DIR || path.join(__dirname, "..", "data", "cache");
+const MAX_KEYS = parseInt(process.env.CACHE_MAX_KEYS, 10) || 5000;
+
+// CACHE_TTLS=searchTracks=120,getTrendingTracks=600 overrides the fresh ttl
+const ttlOverrides = () => {
+  const overrides = {};
+  (process.env.CACHE_TTLS || "").split(",").map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+    const [method, seconds] = entry.split("=");
+    if (Number(seconds) > 0) {
+      overrides[method.trim()] = Number(seconds);
+    }
+  });
+  return overrides;
+};
+
+// Failed provider calls often come back as [] or null; never keep those
+const isCacheable = (value) => {
+  if (value === null || value === undefined) return false;
+  if (Array.isArray(value)) return value.length > 0;
+  if (Array.isArray(value.tracks)) return value.tracks.length > 0;
+  return true;
+};
+
+const fileFor = (key) => path.join(DISK_DIR, `${crypto.createHash("sha1").update(key).digest("hex")}.json`);
+
+class ResponseCache {
+  constructor() {
+    this.memory = new NodeCache({ useClones: false, checkperiod: 120, maxKeys: MAX_KEYS });
+    this.inFlight = new Map();
+    this.stats = {};
+    this.overrides = ttlOverrides();
+  }
+
+  key(provider, method, args) {
+    return `${provider}:${method}:${JSON.stringify(args)}`;
+  }
+
+  ttlFor(method) {
+    const { ttl, staleTtl } = TTLS[method] || DEFAULT_TTL;
+    const fresh = this.overrides[method] || ttl;
+    return { ttl: fresh, staleTtl: Math.max(staleTtl, fresh) };
+  }
+
+  count(provider, method, field) {
+    const name = `${provider}:${method}`;
+    if (!this.stats[name]) {
+      this.stats[name] = { hits: 0, staleHits: 0, misses: 0, coalesced: 0, revalidations: 0, errors: 0 };
+    }
+    this.stats[name][field]++;
+  }
+
+  async read(key) {
+    const entry = this.memory.get(key);
+    if (entry || !DISK_ENABLED) {
+      return entry || null;
+    }
+
+    try {
+      const stored = await fs.readJson(fileFor(key));
+      if (stored.key !== key || stored.staleUntil <= Date.now()) {
+        return null;
+      }
+      try {
+        this.memory.set(key, stored, Math.ceil((stored.staleUntil - Date.now()) / 1000));
+      } catch (error) {
+        // Cache full; the disk copy still answers
+      }
+      return stored;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  write(key, method, value) {
+    const { ttl, staleTtl } = this.ttlFor(method);
+    const now = Date.now();
+    const entry = { key, value, storedAt: now, freshUntil: now + ttl * 1000, staleUntil: now + staleTtl * 1000 };
+
+    try {
+      this.memory.set(key, entry, staleTtl);
+    } catch (error) {
+      // ECACHEFULL: serve uncached until entries expire
+      console.warn(`⚠️ Cache full (${MAX_KEYS} entries), not caching ${key}`);
+    }
+    if (DISK_ENABLED) {
+      fs.outputJson(fileFor(key), entry).catch(error => {
+        console.error("⚠️ Cache disk write failed:", error.message);
+      });
+    }
+  }
+
+  // One upstream call per key at a time; later callers wait for the first
+  fetch(key, provider, method, fn) {
+    if (this.inFlight.has(key)) {
+      this.count(provider, method, "coalesced");
+      return this.inFlight.get(key);
+    }
+
+    const pending = Promise.resolve()
+      .then(fn)
+      .then(value => {
+        if (isCacheable(value)) {
+          this.write(key, method, value);
+        }
+        return value;
+      })
+      .finally(() => this.inFlight.delete(key));
+
+    this.inFlight.set(key, pending);
+    return pending;
+  }
+
+  // Cached result of `fn()` for provider.method(args)
+  async wrap(provider, method, args, fn) {
+    const key = this.key(provider, method, args);
+    const entry = await this.read(key);
+    const now = Date.now();
+
+    if (entry && entry.freshUntil > now) {
+      this.count(provider, method, "hits");
+      return entry.value;
+    }
+
+    if (entry && entry.staleUntil > now) {
+      this.count(provider, method, "staleHits");
+      if (!this.inFlight.has(key)) {
+        this.count(provider, method, "revalidations");
+        this.fetch(key, provider, method, fn).catch(error => {
+          this.count(provider, method, "errors");
+          console.error(`⚠️ Cache revalidation failed for ${key}: ${error.message}`);
+        });
+      }
+      return entry.value;
+    }
+
+    this.count(provider, method, "misses");
+    try {
+      return await this.fetch(key, provider, method, fn);
+    } catch (error) {
+      this.count(provider, method, "errors");
+      throw error;
+    }
+  }
+
+  // `service` with the listed methods going through the cache. Calls the
+  // service makes to itself (`this.getTrendingTracks()`) are cached too;
+  // everything else, including writes to its fields, reaches the service.
+  wrapService(provider, service, methods) {
+    const cachedMethods = new Map();
+    const proxy = new Proxy(service, {
+      get: (target, property, receiver) => cachedMethods.get(property) || Reflect.get(target, property, receiver)
+    });
+
+    methods
+      .filter(method => typeof service[method] === "function")
+      .forEach(method => {
+        const original = service[method];
+        cachedMethods.set(method, (...args) => this.wrap(provider, method, args, () => original.apply(proxy, args)));
+      });
+    return proxy;
+  }
+
+  // Drop entries matching { provider, method, key }; no filter drops everything.
+  // Resolves to the number of entries removed.
+  async invalidate({ provider, method, key } = {}) {
+    const matches = (candidate) => {
+      if (key) return candidate === key;
+      const [entryProvider, entryMethod] = candidate.split(":");
+      return (!provider || entryProvider === provider) && (!method || entryMethod === method);
+    };
+
+    const keys = new Set(this.memory.keys().filter(matches));
+    this.memory.del([...keys]);
+
+    if (DISK_ENABLED && await fs.pathExists(DISK_DIR)) {
+      const files = await fs.readdir(DISK_DIR);
+      await Promise.all(files.filter(file => file.endsWith(".json")).map(async (file) => {
+        const filePath = path.join(DISK_DIR, file);
+        try {
+          const stored = await fs.readJson(filePath);
+          if (matches(stored.key)) {
+            keys.add(stored.key);
+            await fs.remove(filePath);
+          }
+        } catch (error) {
+          await fs.remove(filePath);
+        }
+      }));
+    }
+
+    console.log(`🧹 Cache invalidated: ${keys.size} entries (${JSON.stringify({ provider, method, key })})`);
+    return keys.size;
+  }
+
+  // Hit ratios overall and per provider method
+  report() {
+    const ratio = ({ hits, staleHits, misses }) => {
+      const lookups = hits + staleHits + misses;
+      return lookups === 0 ? null : Math.round(((hits + staleHits) / lookups) * 1000) / 1000;
+    };
+
+    const totals = { hits: 0, staleHits: 0, misses: 0, coalesced: 0, revalidations: 0, errors: 0 };
+    const endpoints = Object.entries(this.stats).map(([name, stats]) => {
+      Object.keys(totals).forEach(field => {
+        totals[field] += stats[field];
+      });
+      const [provider, method] = name.split(":");
+      return { provider, method, ...stats, hitRatio: ratio(stats), ttl: this.ttlFor(method) };
+    });
+
+    return {
+      entries: this.memory.keys().length,
+      maxEntries: MAX_KEYS,
+      inFlight: this.inFlight.size,
+      disk: { enabled: DISK_ENABLED, directory: DISK_ENABLED ? DISK_DIR : null },
+      totals: { ...totals, hitRatio: ratio(totals) },
+      endpoints
+    };
+  }
+}
+
+module.exports = new ResponseCache();
@@ -0,0 +1,247 @@
+// Serializers and parsers for listening history ("scrobbles") in the formats
+// other services use:
+//   listenbrainz  JSON listens as in a ListenBrainz export (an array, JSON
+//                 lines, or a submit-listens { payload } body)
+//   lastfm        CSV as produced by the common Last.fm exporters, with a
+//                 uts,utc_time,artist,...,track header or headerless
+//                 artist,album,track,date rows
+// Parsers return scrobbles of { index, line, listenedAt, title, artist,
+// album, duration, isrc, trackId } with `listenedAt` an ISO string or null.
+
+const { csvRows, csvField, PlaylistFormatError } = require("./playlistFormats");
+
+const CLIENT_NAME = "TuneStream";
+const MONTHS = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+const FORMATS = {
+  listenbrainz: { contentType: "application/json; charset=utf-8", extension: "json" },
+  lastfm: { contentType: "text/csv; charset=utf-8", extension: "csv" }
+};
+
+// Only our own format names, never inherited keys such as "constructor"
+const isFormat = (format) => Object.prototype.hasOwnProperty.call(FORMATS, format);
+
+const LASTFM_COLUMNS = ["uts", "utc_time", "artist", "artist_mbid", "album", "album_mbid", "track", "track_mbid"];
+
+class ScrobbleFormatError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ScrobbleFormatError";
+  }
+}
+
+const text = (value) => (value === undefined || value === null ? null : String(value).trim() || null);
+
+const toSeconds = (value) => {
+  const seconds = Math.round(Number(value));
+  return Number.isFinite(seconds) && seconds > 0 ? seconds : null;
+};
+
+// ISO time, or null for dates outside what Date can represent
+const isoTime = (time) => {
+  const date = new Date(time);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+const fromUnix = (value) => {
+  const seconds = Number(value);
+  return Number.isFinite(seconds) && seconds > 0 ? isoTime(seconds * 1000) : null;
+};
+
+// "31 Jan 2021 14:05" / "31 Jan 2021, 14:05" (UTC, as Last.fm exports it), else anything Date understands
+const parseDate = (value) => {
+  const raw = text(value);
+  if (!raw) return null;
+
+  const match = raw.match(/^(\d{1,2}) ([A-Za-z]{3}) (\d{4}),? (\d{1,2}):(\d{2})$/);
+  if (match) {
+    const month = MONTHS.findIndex(name => name.toLowerCase() === match[2].toLowerCase());
+    if (month === -1) return null;
+    return isoTime(Date.UTC(Number(match[3]), month, Number(match[1]), Number(match[4]), Number(match[5])));
+  }
+
+  return isoTime(Date.parse(raw));
+};
+
+const formatUtc = (iso) => {
+  const date = new Date(iso);
+  const pad = (value) => String(value).padStart(2, "0");
+  return `${pad(date.getUTCDate())} ${MONTHS[date.getUTCMonth()]} ${date.getUTCFullYear()}, ${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}`;
+};
+
+// ---- ListenBrainz ----
+
+// A history entry as a ListenBrainz listen; entries without a track snapshot
+// have no metadata to send and are skipped (null)
+const toListen = (entry) => {
+  const track = entry.track;
+  if (!track) return null;
+
+  const info = {
+    media_player: CLIENT_NAME,
+    submission_client: CLIENT_NAME,
+    tunestream_track_id: track.id
+  };
+  if (track.duration) info.duration_ms = track.duration * 1000;
+  if (track.isrc) info.isrc = track.isrc;
+  if (track.external_url) info.origin_url = track.external_url;
+
+  const metadata = { artist_name: track.artist, track_name: track.title };
+  if (track.album) metadata.release_name = track.album;
+  metadata.additional_info = info;
+
+  return {
+    listened_at: Math.floor(new Date(entry.playedAt).getTime() / 1000),
+    track_metadata: metadata
+  };
+};
+
+const toListenBrainz = (entries) => `${JSON.stringify(entries.map(toListen).filter(Boolean), null, 2)}\n`;
+
+const fromListen = (listen, line) => {
+  const metadata = (listen && listen.track_metadata) || {};
+  const info = metadata.additional_info || {};
+  return {
+    line,
+    listenedAt: fromUnix(listen && listen.listened_at),
+    title: text(metadata.track_name),
+    artist: text(metadata.artist_name),
+    album: text(metadata.release_name),
+    duration: info.duration_ms ? toSeconds(info.duration_ms / 1000) : toSeconds(info.duration),
+    isrc: text(info.isrc),
+    trackId: text(info.tunestream_track_id)
+  };
+};
+
+const parseListenBrainz = (content) => {
+  const trimmed = content.replace(/^\uFEFF/, "").trim();
+
+  let document;
+  try {
+    document = JSON.parse(trimmed);
+  } catch (error) {
+    // JSON lines: one listen per line
+    return trimmed.split(/\r?\n/)
+      .map((raw, i) => ({ raw: raw.trim(), line: i + 1 }))
+      .filter(({ raw }) => raw)
+      .map(({ raw, line }) => {
+        try {
+          return fromListen(JSON.parse(raw), line);
+        } catch (lineError) {
+          throw new ScrobbleFormatError(`Invalid JSON on line ${line}: ${lineError.message}`);
+        }
+      });
+  }
+
+  // An export is an array; submit-listens bodies and API responses wrap it
+  let listens = document;
+  if (!Array.isArray(listens)) {
+    const payload = document && document.payload;
+    listens = payload && Array.isArray(payload.listens) ? payload.listens : payload;
+  }
+
+  if (!Array.isArray(listens)) {
+    throw new ScrobbleFormatError("Not a ListenBrainz document: expected an array of listens or a { payload } object");
+  }
+  return listens.map(listen => fromListen(listen, null));
+};
+
+// ---- Last.fm CSV ----
+
+const toLastfm = (entries) => {
+  const rows = entries.filter(entry => entry.track).map(entry => [
+    Math.floor(new Date(entry.playedAt).getTime() / 1000),
+    formatUtc(entry.playedAt),
+    entry.track.artist, "",
+    entry.track.album, "",
+    entry.track.title, ""
+  ].map(csvField).join(","));
+  return `${[LASTFM_COLUMNS.join(","), ...rows].join("\r\n")}\r\n`;
+};
+
+const LASTFM_ALIASES = {
+  uts: ["uts", "timestamp", "unix timestamp"],
+  date: ["utc_time", "date", "time", "played at"],
+  artist: ["artist", "artist name"],
+  album: ["album", "album name"],
+  title: ["track", "title", "track name"]
+};
+
+const parseLastfm = (content) => {
+  const rows = csvRows(content.replace(/^\uFEFF/, ""));
+  if (rows.length === 0) {
+    return [];
+  }
+
+  const columns = rows[0].fields.map(name => name.trim().toLowerCase());
+  const columnOf = (key) => columns.findIndex(name => LASTFM_ALIASES[key].includes(name));
+  const hasHeader = columnOf("artist") !== -1 && columnOf("title") !== -1;
+
+  // Headerless exports are artist,album,track,date
+  const index = hasHeader
+    ? Object.fromEntries(Object.keys(LASTFM_ALIASES).map(key => [key, columnOf(key)]))
+    : { uts: -1, date: 3, artist: 0, album: 1, title: 2 };
+
+  if (!hasHeader && rows[0].fields.length < 4) {
+    throw new ScrobbleFormatError("CSV needs a header with artist and track columns, or artist,album,track,date rows");
+  }
+
+  const value = (fields, key) => (index[key] === -1 ? null : text(fields[index[key]]));
+
+  return (hasHeader ? rows.slice(1) : rows).map(({ line, fields }) => ({
+    line,
+    listenedAt: fromUnix(value(fields, "uts")) || parseDate(value(fields, "date")),
+    title: value(fields, "title"),
+    artist: value(fields, "artist"),
+    album: value(fields, "album"),
+    duration: null,
+    isrc: null,
+    trackId: null
+  }));
+};
+
+const SERIALIZERS = { listenbrainz: toListenBrainz, lastfm: toLastfm };
+const PARSERS = { listenbrainz: parseListenBrainz, lastfm: parseLastfm };
+
+const detectFormat = (content) => (/^[[{]/.test(content.replace(/^\uFEFF/, "").trimStart()) ? "listenbrainz" : "lastfm");
+
+// Resolves to { body, contentType, extension } for history entries (oldest first)
+const serialize = (entries, format) => {
+  if (!isFormat(format)) {
+    throw new ScrobbleFormatError(`Unknown format "${format}". Use one of: ${Object.keys(FORMATS).join(", ")}`);
+  }
+  return { body: SERIALIZERS[format](entries), ...FORMATS[format] };
+};
+
+// Returns { format, scrobbles }; `format` is detected when omitted
+const parse = (content, format = detectFormat(content)) => {
+  if (!isFormat(format)) {
+    throw new ScrobbleFormatError(`Unknown format "${format}". Use one of: ${Object.keys(FORMATS).join(", ")}`);
+  }
+
+  let scrobbles;
+  try {
+    scrobbles = PARSERS[format](content);
+  } catch (error) {
+    // The CSV reader is shared with the playlist formats
+    if (error instanceof PlaylistFormatError) {
+      throw new ScrobbleFormatError(error.message);
+    }
+    throw error;
+  }
+
+  return {
+    format,
+    scrobbles: scrobbles.map((scrobble, i) => ({ index: i + 1, ...scrobble }))
+  };
+};
+
+module.exports = {
+  FORMATS,
+  ScrobbleFormatError,
+  isFormat,
+  toListen,
+  serialize,
+  parse,
+  detectFormat
+};
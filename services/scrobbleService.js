@@ -0,0 +1,236 @@
+const crypto = require("crypto");
+const { getRepository } = require("../storage");
+const { createUpstreamClient } = require("./upstreamClient");
+const scrobbleFormats = require("./scrobbleFormats");
+
+// Any server speaking the ListenBrainz submit-listens API; point it at a
+// local stand-in for development
+const API_URL = (process.env.SCROBBLE_API_URL || "https://api.listenbrainz.org").replace(/\/+$/, "");
+const FLUSH_INTERVAL_MS = parseInt(process.env.SCROBBLE_FLUSH_INTERVAL_MS, 10) || 60 * 1000;
+const BATCH_SIZE = 100;
+const MAX_ATTEMPTS = parseInt(process.env.SCROBBLE_MAX_ATTEMPTS, 10) || 8;
+const RETRY_BASE_MS = 30 * 1000;
+const RETRY_MAX_MS = 60 * 60 * 1000;
+
+const listenBrainzApi = createUpstreamClient("listenbrainz", { baseURL: API_URL });
+
+// Enough of the token to recognise it; short tokens are not shown at all
+const tokenHint = (token) => (token.length > 8 ? `…${token.slice(-4)}` : "…");
+
+const describeError = (error) => {
+  const status = error.response && error.response.status;
+  const detail = error.response && error.response.data && error.response.data.error;
+  return status ? `HTTP ${status}${detail ? `: ${detail}` : ""}` : error.message;
+};
+
+// Outbound scrobbling: users who connect a ListenBrainz token get their plays
+// queued (scrobbleQueue) and submitted in batches every FLUSH_INTERVAL_MS.
+// Failed batches are retried with backoff and dropped after MAX_ATTEMPTS; a
+// rejected token pauses the account until it is reconnected.
+class ScrobbleService {
+  constructor() {
+    this.accounts = getRepository("scrobbleAccounts");
+    this.queue = getRepository("scrobbleQueue");
+    // In-flight flushes by user id (null: every user), run one after another
+    this.flushing = new Map();
+    this.lastFlush = Promise.resolve();
+    this.timer = null;
+  }
+
+  // Public view of the user's connection (never the token itself)
+  async getStatus(userId) {
+    const account = (await this.accounts.read())[userId];
+    const queued = (await this.queue.read()).filter(item => item.userId === userId);
+
+    return {
+      service: API_URL,
+      connected: Boolean(account),
+      enabled: Boolean(account && account.enabled),
+      token: account ? tokenHint(account.token) : null,
+      connectedAt: account ? account.connectedAt : null,
+      submitted: account ? account.submitted : 0,
+      lastSubmittedAt: account ? account.lastSubmittedAt : null,
+      lastError: account ? account.lastError : null,
+      pending: queued.length
+    };
+  }
+
+  // `token` is required for the first connection; `enabled` defaults to true
+  async connect(userId, { token, enabled = true }) {
+    await this.accounts.update((accounts) => {
+      const account = accounts[userId] || {
+        token,
+        connectedAt: new Date().toISOString(),
+        submitted: 0,
+        lastSubmittedAt: null
+      };
+      if (token) {
+        account.token = token;
+      }
+      account.enabled = enabled;
+      account.lastError = null;
+      accounts[userId] = account;
+    });
+    return this.getStatus(userId);
+  }
+
+  // Forget the token and drop plays still waiting; resolves to the number dropped
+  async disconnect(userId) {
+    await this.accounts.update((accounts) => {
+      delete accounts[userId];
+    });
+    return this.queue.update((queue) => {
+      const before = queue.length;
+      queue.splice(0, queue.length, ...queue.filter(item => item.userId !== userId));
+      return before - queue.length;
+    });
+  }
+
+  // Queue a listening history entry when the user scrobbles; resolves to
+  // true when it was queued
+  async enqueue(userId, entry) {
+    const account = (await this.accounts.read())[userId];
+    const listen = scrobbleFormats.toListen(entry);
+    if (!account || !account.enabled || !listen) {
+      return false;
+    }
+
+    await this.queue.update((queue) => {
+      queue.push({
+        id: crypto.randomUUID(),
+        userId,
+        listen,
+        attempts: 0,
+        nextAttemptAt: null,
+        lastError: null,
+        createdAt: new Date().toISOString()
+      });
+    });
+    return true;
+  }
+
+  // Submit everything that is due (only `userId`'s plays when given). Flushes
+  // run one at a time; a call while a flush for the same user (or for every
+  // user) is pending shares it, any other call queues behind it.
+  // Resolves to { submitted, failed, dropped }.
+  flush(userId = null) {
+    if (!this.flushing.has(userId)) {
+      const run = this.lastFlush.then(() => this.submitDue(userId)).finally(() => {
+        this.flushing.delete(userId);
+      });
+      this.flushing.set(userId, run);
+      this.lastFlush = run.catch(() => {});
+    }
+    return this.flushing.get(userId);
+  }
+
+  async submitDue(onlyUserId) {
+    const now = Date.now();
+    const accounts = await this.accounts.read();
+    const due = (await this.queue.read()).filter(item =>
+      (!onlyUserId || item.userId === onlyUserId) &&
+      accounts[item.userId] && accounts[item.userId].enabled &&
+      (!item.nextAttemptAt || new Date(item.nextAttemptAt).getTime() <= now));
+
+    const byUser = new Map();
+    due.forEach(item => {
+      byUser.set(item.userId, [...(byUser.get(item.userId) || []), item]);
+    });
+
+    const totals = { submitted: 0, failed: 0, dropped: 0 };
+    for (const [userId, items] of byUser) {
+      // After a failed batch the user's remaining batches wait for the next flush
+      for (let i = 0; i < items.length; i += BATCH_SIZE) {
+        const outcome = await this.submitBatch(userId, accounts[userId].token, items.slice(i, i + BATCH_SIZE));
+        Object.keys(totals).forEach(key => {
+          totals[key] += outcome[key] || 0;
+        });
+        if (!outcome.submitted) break;
+      }
+    }
+
+    if (totals.submitted || totals.failed || totals.dropped) {
+      console.log(`📡 Scrobbles: ${totals.submitted} submitted, ${totals.failed} to retry, ${totals.dropped} dropped`);
+    }
+    return totals;
+  }
+
+  // Resolves to { submitted } or { failed, dropped }
+  async submitBatch(userId, token, items) {
+    const ids = new Set(items.map(item => item.id));
+
+    try {
+      await listenBrainzApi.post("/1/submit-listens", {
+        listen_type: items.length === 1 ? "single" : "import",
+        payload: items.map(item => item.listen)
+      }, { headers: { Authorization: `Token ${token}` } });
+    } catch (error) {
+      const status = error.response && error.response.status;
+      const message = describeError(error);
+
+      // The token is wrong: keep the plays until the user reconnects
+      if (status === 401) {
+        await this.updateAccount(userId, { enabled: false, lastError: `Token rejected (${message})` });
+        console.warn(`⚠️ Scrobbling paused for user ${userId}: token rejected`);
+        return { failed: items.length };
+      }
+
+      // Other client errors mean the listens themselves are bad; retrying cannot help
+      const permanent = status >= 400 && status < 500 && status !== 429;
+      const dropped = await this.queue.update((queue) => {
+        let count = 0;
+        for (let i = queue.length - 1; i >= 0; i--) {
+          const item = queue[i];
+          if (!ids.has(item.id)) continue;
+
+          item.attempts++;
+          item.lastError = message;
+          if (permanent || item.attempts >= MAX_ATTEMPTS) {
+            queue.splice(i, 1);
+            count++;
+          } else {
+            item.nextAttemptAt = new Date(Date.now() + Math.min(RETRY_BASE_MS * 2 ** (item.attempts - 1), RETRY_MAX_MS)).toISOString();
+          }
+        }
+        return count;
+      });
+
+      await this.updateAccount(userId, { lastError: message });
+      console.warn(`⚠️ Scrobble submit failed for user ${userId}: ${message}`);
+      return { failed: items.length - dropped, dropped };
+    }
+
+    await this.queue.update((queue) => {
+      queue.splice(0, queue.length, ...queue.filter(item => !ids.has(item.id)));
+    });
+    await this.accounts.update((accounts) => {
+      const account = accounts[userId];
+      if (account) {
+        account.submitted += items.length;
+        account.lastSubmittedAt = new Date().toISOString();
+        account.lastError = null;
+      }
+    });
+    return { submitted: items.length };
+  }
+
+  updateAccount(userId, changes) {
+    return this.accounts.update((accounts) => {
+      if (accounts[userId]) {
+        Object.assign(accounts[userId], changes);
+      }
+    });
+  }
+
+  // Periodic flushing; the timer does not keep the process alive
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => {
+      this.flush().catch(error => console.error("Scrobble flush failed:", error));
+    }, FLUSH_INTERVAL_MS);
+    this.timer.unref();
+    console.log(`📡 Scrobble queue → ${API_URL} (every ${Math.round(FLUSH_INTERVAL_MS / 1000)}s)`);
+  }
+}
+
+module.exports = new ScrobbleService();
@@ -1,4 +1,6 @@
-const axios = require('axios');
+const trackModel = require('./trackModel');
+const { createUpstreamClient } = require('./upstreamClient');
+const { isReplaying } = require('./upstreamRecorder');
 
 class SpotifyService {
   constructor() {
@@ -7,6 +9,23 @@ class SpotifyService {
     this.baseURL = 'https://api.spotify.com/v1';
     this.accessToken = null;
     this.tokenExpiry = null;
+
+    this.accountsApi = createUpstreamClient('spotify-accounts', {
+      baseURL: 'https://accounts.spotify.com/api/',
+      timeout: 10000
+    });
+
+    // 401s clear the cached token and retry once with a fresh one
+    this.api = createUpstreamClient('spotify', {
+      baseURL: this.baseURL,
+      auth: {
+        getToken: () => this.getAccessToken(),
+        invalidate: () => {
+          this.accessToken = null;
+          this.tokenExpiry = null;
+        }
+      }
+    });
   }
 
   // Get Client Credentials access token
@@ -15,7 +34,8 @@ class SpotifyService {
     console.log('🆔 Client ID:', this.clientId ? `${this.clientId.substring(0, 8)}...` : '❌ MISSING');
     console.log('🔐 Client Secret:', this.clientSecret ? 'SET ✅' : '❌ MISSING');
     
-    if (!this.clientId || !this.clientSecret) {
+    // Replayed fixtures do not depend on credentials
+    if ((!this.clientId || !this.clientSecret) && !isReplaying()) {
       throw new Error('❌ Spotify credentials missing from environment');
     }
 
@@ -27,17 +47,16 @@ class SpotifyService {
     try {
       console.log('🌐 Requesting new token from Spotify...');
       
-      const authString = Buffer.from(`${this.clientId}:${this.clientSecret}`).toString('base64');
+      const authString = Buffer.from(`${this.clientId || 'replay'}:${this.clientSecret || 'replay'}`).toString('base64');
       
-      const response = await axios.post(
-        'https://accounts.spotify.com/api/token',
+      const response = await this.accountsApi.post(
+        'token',
         'grant_type=client_credentials',
         {
           headers: {
             'Content-Type': 'application/x-www-form-urlencoded',
             'Authorization': `Basic ${authString}`
-          },
-          timeout: 10000
+          }
         }
       );
 
@@ -56,31 +75,20 @@ class SpotifyService {
     }
   }
 
-  // Make authenticated request to Spotify API
+  // Make authenticated request to Spotify API (timeouts, 401 refresh, 429
+  // backoff and circuit breaking are handled by the upstream client)
   async makeRequest(endpoint, params = {}) {
-    const token = await this.getAccessToken();
-    
     try {
-      const response = await axios.get(`${this.baseURL}${endpoint}`, {
-        headers: {
-          'Authorization': `Bearer ${token}`
-        },
+      const response = await this.api.get(endpoint, {
         params: {
           market: 'US', // Use US market for better results
           ...params
         }
       });
-      
+
       return response.data;
     } catch (error) {
-      console.error(`❌ Spotify API error (${endpoint}):`, error.response?.status, error.response?.data);
-      
-      if (error.response?.status === 401) {
-        // Token expired, clear it
-        this.accessToken = null;
-        this.tokenExpiry = null;
-      }
-      
+      console.error(`❌ Spotify API error (${endpoint}):`, error.response?.status || error.code, error.response?.data || error.message);
       throw error;
     }
   }
@@ -110,7 +118,7 @@ class SpotifyService {
       };
     } catch (error) {
       console.error('Search error:', error.message);
-      return { tracks: [], total: 0, hasNext: false, hasPrevious: false };
+      throw error;
     }
   }
   // Get trending tracks - ULTRA SIMPLE VERSION THAT ALWAYS WORKS
@@ -122,6 +130,7 @@ async getTrendingTracks(limit = 50) {
     const basicSearches = ['a', 'the', 'love', 'song', 'music'];
     
     let allTracks = [];
+    let lastError = null;
     
     for (const searchTerm of basicSearches) {
       try {
@@ -151,9 +160,15 @@ async getTrendingTracks(limit = 50) {
         }
       } catch (error) {
         console.log(`❌ Search "${searchTerm}" failed:`, error.message);
+        lastError = error;
         continue;
       }
     }
+
+    // Nothing found because Spotify failed: let the registry try the next provider
+    if (allTracks.length === 0 && lastError) {
+      throw lastError;
+    }
     
     // Remove duplicates and limit
     const uniqueTracks = allTracks
@@ -171,7 +186,7 @@ async getTrendingTracks(limit = 50) {
     return uniqueTracks;
   } catch (error) {
     console.error('❌ Ultra-simple trending failed:', error.message);
-    return [];
+    throw error;
   }
 }
 
@@ -194,7 +209,7 @@ async getTrendingTracks(limit = 50) {
       return categories;
     } catch (error) {
       console.error('Categories error:', error.message);
-      return [];
+      throw error;
     }
   }
 
@@ -218,48 +233,36 @@ async getTrendingTracks(limit = 50) {
       return tracks;
     } catch (error) {
       console.error('Recommendations error:', error.message);
-      return [];
+      throw error;
     }
   }
 
-  // Get track details
+  // Get track details; null when Spotify does not know the id
   async getTrackDetails(trackId) {
     try {
-      console.log(`🎵 Fetching track details: ${trackId}`);
-      const track = await this.makeRequest(`/tracks/${trackId}`);
+      // Accept both "spotify:<id>" and the bare Spotify id
+      const { providerId } = trackModel.parseTrackId(trackId);
+      console.log(`🎵 Fetching track details: ${providerId}`);
+      const track = await this.makeRequest(`/tracks/${encodeURIComponent(providerId)}`);
 
       const formattedTrack = this.formatTrack(track);
+      if (!formattedTrack) {
+        return null;
+      }
       console.log(`✅ Track details: ${formattedTrack.title} by ${formattedTrack.artist}`);
       return formattedTrack;
     } catch (error) {
+      if ([400, 404].includes(error.response?.status)) {
+        return null;
+      }
       console.error('Track details error:', error.message);
-      return null;
+      throw error;
     }
   }
 
-  // Format track data for TuneStream
+  // Format track data for TuneStream (see trackModel for the shape)
   formatTrack(track) {
-    if (!track || !track.id) return null;
-
-    return {
-      id: track.id,
-      title: track.name,
-      artist: track.artists.map(a => a.name).join(', '),
-      album: track.album.name,
-      cover_url: track.album.images[0]?.url || 'https://via.placeholder.com/300x300/1db954/ffffff?text=♪',
-      audio_url: track.preview_url || null,
-      duration: Math.floor(track.duration_ms / 1000),
-      external_url: track.external_urls.spotify,
-      popularity: track.popularity || 0,
-      explicit: track.explicit || false,
-      genre: track.album.genres?.[0] || 'Unknown',
-      release_date: track.album.release_date,
-      artist_id: track.artists[0]?.id,
-      album_id: track.album.id,
-      isrc: track.external_ids?.isrc,
-      created_at: new Date().toISOString(),
-      updated_at: new Date().toISOString()
-    };
+    return trackModel.fromSpotify(track);
   }
 
   // Health check
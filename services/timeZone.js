@@ -0,0 +1,70 @@
+// IANA time zone helpers on top of Intl, for showing listening data in the
+// user's local time. Dates are handled as "YYYY-MM-DD" strings.
+
+const DEFAULT_TIME_ZONE = "UTC";
+const WEEKDAYS = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatters = new Map();
+
+const formatterFor = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      weekday: "short"
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+const isValidTimeZone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== "string") {
+    return false;
+  }
+  try {
+    formatterFor(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// { date: "YYYY-MM-DD", hour: 0-23, weekday: 0 (Monday) - 6 (Sunday) } of an
+// instant in the given zone
+const localParts = (instant, timeZone = DEFAULT_TIME_ZONE) => {
+  const parts = {};
+  formatterFor(timeZone).formatToParts(new Date(instant)).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    hour: parseInt(parts.hour, 10),
+    weekday: WEEKDAYS.indexOf(parts.weekday)
+  };
+};
+
+const isValidDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && new Date(`${value}T00:00:00Z`).toISOString().startsWith(value);
+
+// Calendar arithmetic on date strings (time zone independent)
+const addDays = (date, days) => new Date(new Date(`${date}T00:00:00Z`).getTime() + days * DAY_MS).toISOString().slice(0, 10);
+
+const daysBetween = (from, to) => Math.round((new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / DAY_MS);
+
+// Monday of the date's week
+const weekStart = (date) => addDays(date, -((new Date(`${date}T00:00:00Z`).getUTCDay() + 6) % 7));
+
+module.exports = {
+  DEFAULT_TIME_ZONE,
+  WEEKDAYS,
+  isValidTimeZone,
+  localParts,
+  isValidDate,
+  addDays,
+  daysBetween,
+  weekStart
+};
@@ -0,0 +1,228 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const { getRepository } = require("../storage");
+const {
+  getSigningKey,
+  getVerificationKey,
+  ACCESS_TOKEN_TTL,
+  REFRESH_TOKEN_TTL_DAYS
+} = require("../config/jwt");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Sessions that ended longer ago than this are dropped from storage
+const SESSION_RETENTION_MS = 7 * DAY_MS;
+// Rotated refresh tokens remembered per session to detect reuse; older ones
+// are simply unknown (and rejected) once they drop off
+const MAX_ROTATED_HASHES = 20;
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+class TokenError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = "TokenError";
+    this.code = code;
+  }
+}
+
+// Access tokens are short-lived JWTs. Each login starts a session (a refresh
+// token "family"); refresh tokens are opaque, stored hashed, and rotated on
+// every use. Presenting an already-rotated refresh token means it was copied,
+// so the whole family is revoked.
+class TokenService {
+  constructor() {
+    this.sessions = getRepository("sessions");
+  }
+
+  signAccessToken(user, sessionId) {
+    const { kid, secret } = getSigningKey();
+    return jwt.sign(
+      { userId: user.id, email: user.email, sid: sessionId },
+      secret,
+      { expiresIn: ACCESS_TOKEN_TTL, keyid: kid }
+    );
+  }
+
+  // Resolves to the token payload; throws TokenError for anything unusable
+  async verifyAccessToken(token) {
+    const decoded = jwt.decode(token, { complete: true });
+    const secret = decoded && getVerificationKey(decoded.header.kid);
+
+    if (!secret) {
+      throw new TokenError("Invalid token", "TOKEN_INVALID");
+    }
+
+    let payload;
+    try {
+      payload = jwt.verify(token, secret);
+    } catch (error) {
+      if (error instanceof jwt.TokenExpiredError) {
+        throw new TokenError("Token expired", "TOKEN_EXPIRED");
+      }
+      throw new TokenError("Invalid token", "TOKEN_INVALID");
+    }
+
+    const session = payload.sid && (await this.sessions.get(payload.sid));
+    if (!session || session.revokedAt || session.userId !== payload.userId) {
+      throw new TokenError("Session has been revoked", "TOKEN_REVOKED");
+    }
+
+    return payload;
+  }
+
+  // Start a new session for a user; returns the first token pair
+  async createSession(user, { userAgent = null, ip = null } = {}) {
+    const sessionId = crypto.randomUUID();
+    const refreshToken = crypto.randomBytes(48).toString("base64url");
+    const now = Date.now();
+
+    await this.sessions.update((sessions) => {
+      this.prune(sessions, now);
+      sessions[sessionId] = {
+        userId: user.id,
+        createdAt: new Date(now).toISOString(),
+        lastUsedAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + REFRESH_TOKEN_TTL_DAYS * DAY_MS).toISOString(),
+        currentTokenHash: hashToken(refreshToken),
+        rotatedTokenHashes: [],
+        revokedAt: null,
+        revokedReason: null,
+        userAgent,
+        ip
+      };
+    });
+
+    return this.tokenPair(user, sessionId, refreshToken);
+  }
+
+  // Exchange a refresh token for a new pair. `loadUser` maps a userId to the
+  // current user record so revoked or deleted accounts cannot refresh.
+  async rotate(refreshToken, loadUser) {
+    const tokenHash = hashToken(refreshToken);
+    const newRefreshToken = crypto.randomBytes(48).toString("base64url");
+    const now = Date.now();
+
+    const outcome = await this.sessions.update((sessions) => {
+      const entry = Object.entries(sessions).find(([, session]) =>
+        session.currentTokenHash === tokenHash || session.rotatedTokenHashes.includes(tokenHash)
+      );
+
+      if (!entry) {
+        return { error: new TokenError("Invalid refresh token", "REFRESH_INVALID") };
+      }
+
+      const [sessionId, session] = entry;
+
+      if (session.revokedAt) {
+        return { error: new TokenError("Session has been revoked", "REFRESH_REVOKED") };
+      }
+
+      if (session.currentTokenHash !== tokenHash) {
+        session.revokedAt = new Date(now).toISOString();
+        session.revokedReason = "reuse-detected";
+        console.warn(`🚨 Refresh token reuse detected - revoked session ${sessionId} of user ${session.userId}`);
+        return { error: new TokenError("Refresh token reuse detected", "REFRESH_REUSED") };
+      }
+
+      if (new Date(session.expiresAt).getTime() <= now) {
+        return { error: new TokenError("Refresh token expired", "REFRESH_EXPIRED") };
+      }
+
+      session.rotatedTokenHashes.push(tokenHash);
+      if (session.rotatedTokenHashes.length > MAX_ROTATED_HASHES) {
+        session.rotatedTokenHashes.splice(0, session.rotatedTokenHashes.length - MAX_ROTATED_HASHES);
+      }
+      session.currentTokenHash = hashToken(newRefreshToken);
+      session.lastUsedAt = new Date(now).toISOString();
+      return { sessionId, userId: session.userId };
+    });
+
+    if (outcome.error) {
+      throw outcome.error;
+    }
+
+    const user = await loadUser(outcome.userId);
+    if (!user) {
+      await this.revokeSession(outcome.sessionId, "user-missing");
+      throw new TokenError("User not found", "REFRESH_INVALID");
+    }
+
+    return this.tokenPair(user, outcome.sessionId, newRefreshToken);
+  }
+
+  // Revoke the session a refresh token belongs to; resolves to the session id
+  async revokeByRefreshToken(refreshToken, reason = "logout") {
+    const tokenHash = hashToken(refreshToken);
+
+    return this.sessions.update((sessions) => {
+      const entry = Object.entries(sessions).find(([, session]) =>
+        session.currentTokenHash === tokenHash || session.rotatedTokenHashes.includes(tokenHash)
+      );
+      if (!entry) {
+        return null;
+      }
+
+      this.markRevoked(entry[1], reason);
+      return entry[0];
+    });
+  }
+
+  revokeSession(sessionId, reason = "logout") {
+    return this.sessions.update((sessions) => {
+      if (!sessions[sessionId]) {
+        return false;
+      }
+      this.markRevoked(sessions[sessionId], reason);
+      return true;
+    });
+  }
+
+  // Revoke every session of a user, optionally keeping one (the caller's)
+  revokeAllForUser(userId, reason, exceptSessionId = null) {
+    return this.sessions.update((sessions) => {
+      let count = 0;
+      Object.entries(sessions).forEach(([sessionId, session]) => {
+        if (session.userId === userId && sessionId !== exceptSessionId && !session.revokedAt) {
+          this.markRevoked(session, reason);
+          count++;
+        }
+      });
+      return count;
+    });
+  }
+
+  markRevoked(session, reason) {
+    if (!session.revokedAt) {
+      session.revokedAt = new Date().toISOString();
+      session.revokedReason = reason;
+    }
+  }
+
+  // Drop sessions that expired or were revoked well in the past
+  prune(sessions, now) {
+    Object.entries(sessions).forEach(([sessionId, session]) => {
+      const endedAt = session.revokedAt
+        ? new Date(session.revokedAt).getTime()
+        : new Date(session.expiresAt).getTime();
+      if (endedAt + SESSION_RETENTION_MS < now) {
+        delete sessions[sessionId];
+      }
+    });
+  }
+
+  tokenPair(user, sessionId, refreshToken) {
+    return {
+      token: this.signAccessToken(user, sessionId),
+      refreshToken,
+      tokenType: "Bearer",
+      expiresIn: ACCESS_TOKEN_TTL,
+      refreshTokenExpiresInDays: REFRESH_TOKEN_TTL_DAYS
+    };
+  }
+}
+
+const tokenService = new TokenService();
+tokenService.TokenError = TokenError;
+
+module.exports = tokenService;
@@ -0,0 +1,103 @@
+// Decides whether two track records are the same song. The same recording
+// can come from Jamendo, iTunes and Spotify under unrelated ids, so ids alone
+// are not enough:
+//   1. same provider + same provider id      -> same track
+//   2. both carry an ISRC                     -> same iff the ISRCs are equal
+//   3. otherwise normalized title + main artist must match, and durations
+//      (when both are known) may differ by at most DURATION_TOLERANCE seconds
+
+const trackModel = require("./trackModel");
+
+const DURATION_TOLERANCE = 5;
+
+// Lowercase, strip accents, bracketed extras like "(feat. X)" / "[Remastered]"
+// and punctuation, so "Beyoncé - Halo (Live)" and "beyonce halo" compare equal
+const normalize = (value) => String(value || "")
+  .normalize("NFKD")
+  .replace(/[\u0300-\u036f]/g, "")
+  .toLowerCase()
+  .replace(/[([][^)\]]*[)\]]/g, " ")
+  .replace(/[^a-z0-9]+/g, " ")
+  .trim();
+
+const artistNames = (value) => String(value || "")
+  .split(/,|&|;|\bfeat\.?\s|\bft\.?\s|\bwith\s/i)
+  .map(normalize)
+  .filter(Boolean);
+
+const normalizeIsrc = (isrc) => (isrc ? String(isrc).replace(/[^a-z0-9]/gi, "").toUpperCase() : null);
+
+// Namespaced "<provider>:<provider id>" (see trackModel); a legacy
+// `jamendo_123` and a bare 123 from Jamendo both become "jamendo:123"
+const sourceKey = (track) => {
+  const canonical = track && trackModel.toCanonical(track);
+  return canonical ? canonical.id : null;
+};
+
+// Stable key for grouping: the ISRC when known, else title + main artist.
+// Duration is not part of the key; isSameTrack checks it with a tolerance.
+const fingerprint = (track) => {
+  const isrc = normalizeIsrc(track.isrc);
+  if (isrc) {
+    return `isrc:${isrc}`;
+  }
+  return `meta:${normalize(track.title)}|${artistNames(track.artist)[0] || ""}`;
+};
+
+const isSameTrack = (a, b) => {
+  if (sourceKey(a) && sourceKey(a) === sourceKey(b)) {
+    return true;
+  }
+
+  const isrcA = normalizeIsrc(a.isrc);
+  const isrcB = normalizeIsrc(b.isrc);
+  if (isrcA && isrcB) {
+    return isrcA === isrcB;
+  }
+
+  const title = normalize(a.title);
+  if (!title || title !== normalize(b.title)) {
+    return false;
+  }
+
+  const artistA = artistNames(a.artist)[0];
+  if (!artistA || artistA !== artistNames(b.artist)[0]) {
+    return false;
+  }
+
+  const durationA = Number(a.duration);
+  const durationB = Number(b.duration);
+  return !(durationA > 0 && durationB > 0) || Math.abs(durationA - durationB) <= DURATION_TOLERANCE;
+};
+
+// First song in `songs` that is the same track as `track`, or null
+const findDuplicate = (songs, track) => songs.find(song => isSameTrack(song, track)) || null;
+
+// Keep the first copy of every track; returns { songs, removed } where each
+// removed entry records its original position and the copy it duplicated
+const dedupe = (songs) => {
+  const kept = [];
+  const removed = [];
+
+  songs.forEach((song, position) => {
+    const original = findDuplicate(kept, song);
+    if (original) {
+      removed.push({ position, song, duplicateOf: original.id });
+    } else {
+      kept.push(song);
+    }
+  });
+
+  return { songs: kept, removed };
+};
+
+module.exports = {
+  DURATION_TOLERANCE,
+  normalize,
+  artistNames,
+  sourceKey,
+  fingerprint,
+  isSameTrack,
+  findDuplicate,
+  dedupe
+};
@@ -0,0 +1,298 @@
+// The one track shape every route returns. Provider services build tracks
+// only through the mappers below, and stored songs (likes, playlists) are
+// repaired through toCanonical, so malformed data is fixed or rejected here.
+//
+// {
+//   id: "spotify:4iV5W9uYEdYUVa79Axb7Rh",  namespaced `${provider}:${providerId}`
+//   provider, providerId,
+//   title, artist, album,
+//   duration,                              whole seconds or null
+//   cover_url, audio_url, external_url,    http(s) URLs or null
+//   isrc,                                  12-character ISRC or null
+//   genre, popularity (0-100), explicit,
+//   release_date,                          YYYY, YYYY-MM or YYYY-MM-DD
+//   artist_id, album_id
+// }
+
+// "imported" tracks come from scrobble imports (see scrobbleFormats) and only
+// exist as listening history snapshots
+const PROVIDERS = ["spotify", "jamendo", "itunes", "demo", "fallback", "imported"];
+
+// Per-entry data that lives alongside a track in likes and playlists
+const ENTRY_FIELDS = ["likedAt", "addedBy", "addedAt", "addedByName"];
+
+const UNKNOWN_ARTIST = "Unknown Artist";
+const ISRC_PATTERN = /^[A-Z]{2}[A-Z0-9]{3}\d{7}$/;
+const DATE_PATTERN = /^\d{4}(-\d{2}(-\d{2})?)?$/;
+
+// Ids from before namespacing: `jamendo_123`, `itunes_123`, `demo_1`, `fallback_1`
+const LEGACY_PREFIX = /^(jamendo|itunes|demo|fallback)_(.+)$/;
+
+const trackId = (provider, providerId) => `${provider}:${providerId}`;
+
+// Split an id into { provider, providerId }. Legacy prefixed ids are
+// understood; bare ids yield provider null.
+const parseTrackId = (id) => {
+  const value = String(id === undefined || id === null ? "" : id).trim();
+  const separator = value.indexOf(":");
+
+  if (separator > 0 && PROVIDERS.includes(value.slice(0, separator))) {
+    return { provider: value.slice(0, separator), providerId: value.slice(separator + 1) };
+  }
+
+  const legacy = value.match(LEGACY_PREFIX);
+  if (legacy) {
+    return { provider: legacy[1], providerId: legacy[2] };
+  }
+
+  return { provider: null, providerId: value || null };
+};
+
+// Namespaced form of an id where it can be worked out, else the id unchanged
+const canonicalId = (id) => {
+  const { provider, providerId } = parseTrackId(id);
+  return provider ? trackId(provider, providerId) : String(id);
+};
+
+// Does a stored song (possibly still in a legacy shape) have this id?
+const hasId = (song, id) => String(song.id) === String(id) || canonicalId(song.id) === canonicalId(id);
+
+// ---- field repair ----
+
+const text = (value) => {
+  if (value === undefined || value === null) return null;
+  const trimmed = String(value).trim();
+  return trimmed || null;
+};
+
+const url = (value) => {
+  const candidate = text(value);
+  return candidate && /^https?:\/\//i.test(candidate) ? candidate : null;
+};
+
+const artistText = (value) => {
+  if (Array.isArray(value)) {
+    return text(value.map(artist => (artist && typeof artist === "object" ? artist.name : artist)).filter(Boolean).join(", "));
+  }
+  return text(value);
+};
+
+// Whole seconds. Mappers convert millisecond fields (duration_ms,
+// trackTimeMillis) before they get here, so the unit is never guessed.
+const seconds = (value) => {
+  const number = Number(value);
+  if (!Number.isFinite(number) || number <= 0) return null;
+  return Math.round(number);
+};
+
+const isrcCode = (value) => {
+  const code = value ? String(value).replace(/[^a-z0-9]/gi, "").toUpperCase() : "";
+  return ISRC_PATTERN.test(code) ? code : null;
+};
+
+const popularity = (value) => {
+  const number = Number(value);
+  return value === null || value === undefined || !Number.isFinite(number)
+    ? null
+    : Math.min(100, Math.max(0, Math.round(number)));
+};
+
+const genre = (value) => {
+  const name = text(value);
+  return name && name.toLowerCase() !== "unknown" ? name : null;
+};
+
+const releaseDate = (value) => {
+  const date = text(value);
+  if (!date) return null;
+  const day = date.slice(0, 10);
+  return DATE_PATTERN.test(day) ? day : null;
+};
+
+// Work out which provider a raw (possibly legacy) track came from
+const inferProvider = (raw) => {
+  const fromId = parseTrackId(raw.id).provider;
+  const declared = [raw.provider, raw.source, raw.service].find(name => PROVIDERS.includes(name));
+
+  if (fromId) return fromId;
+  if (declared) return declared;
+  if (String(raw.external_url || "").includes("spotify.com")) return "spotify";
+  return null;
+};
+
+// Build a canonical track from loose fields. Resolves to { track, errors };
+// `track` is null when the data cannot be repaired.
+const repairTrack = (raw, provider = raw && inferProvider(raw)) => {
+  if (!raw || typeof raw !== "object") {
+    return { track: null, errors: ["Track must be an object"] };
+  }
+
+  const errors = [];
+  const parsed = parseTrackId(raw.providerId !== undefined ? raw.providerId : raw.id);
+  const providerId = parsed.providerId;
+  const title = text(raw.title);
+
+  if (!PROVIDERS.includes(provider)) errors.push("Track provider could not be determined");
+  if (!providerId) errors.push("Track id is required");
+  if (!title) errors.push("Track title is required");
+
+  if (errors.length > 0) {
+    return { track: null, errors };
+  }
+
+  return {
+    track: {
+      id: trackId(provider, providerId),
+      provider,
+      providerId,
+      title,
+      artist: artistText(raw.artist) || UNKNOWN_ARTIST,
+      album: text(raw.album),
+      duration: seconds(raw.duration),
+      cover_url: url(raw.cover_url),
+      audio_url: url(raw.audio_url),
+      external_url: url(raw.external_url),
+      isrc: isrcCode(raw.isrc),
+      genre: genre(raw.genre),
+      popularity: popularity(raw.popularity),
+      explicit: raw.explicit === true,
+      release_date: releaseDate(raw.release_date),
+      artist_id: text(raw.artist_id),
+      album_id: text(raw.album_id)
+    },
+    errors: []
+  };
+};
+
+// Strict check of an already canonical track; returns a list of problems
+const validateTrack = (track) => {
+  const errors = [];
+  const { track: repaired, errors: repairErrors } = repairTrack(track || {}, track && track.provider);
+
+  if (!repaired) {
+    return repairErrors;
+  }
+
+  Object.keys(repaired).forEach(field => {
+    if (JSON.stringify(track[field]) !== JSON.stringify(repaired[field])) {
+      errors.push(`Invalid ${field}: ${JSON.stringify(track[field])}`);
+    }
+  });
+  Object.keys(track).forEach(field => {
+    if (!(field in repaired) && !ENTRY_FIELDS.includes(field)) {
+      errors.push(`Unknown field ${field}`);
+    }
+  });
+
+  return errors;
+};
+
+// Canonical form of a stored or client-supplied song, keeping its per-entry
+// fields (likedAt, addedBy, ...). Null when it cannot be repaired.
+const toCanonical = (song) => {
+  const { track } = repairTrack(song);
+  if (!track) {
+    return null;
+  }
+
+  ENTRY_FIELDS.forEach(field => {
+    if (song[field] !== undefined) {
+      track[field] = song[field];
+    }
+  });
+  return track;
+};
+
+// For reads of stored data: repair what we can, leave the rest untouched
+// rather than hiding a user's songs
+const toCanonicalOrOriginal = (song) => toCanonical(song) || song;
+
+// Used by the provider mappers: a repaired track, or null (logged) when the
+// provider sent something unusable
+const createTrack = (provider, fields) => {
+  const { track, errors } = repairTrack(fields, provider);
+  if (!track) {
+    console.warn(`⚠️ Dropping malformed ${provider} track ${fields && fields.id}: ${errors.join("; ")}`);
+  }
+  return track;
+};
+
+// ---- provider mappers ----
+
+const fromSpotify = (item) => item && item.id ? createTrack("spotify", {
+  id: item.id,
+  title: item.name,
+  artist: item.artists,
+  album: item.album && item.album.name,
+  duration: item.duration_ms ? item.duration_ms / 1000 : null,
+  cover_url: item.album && item.album.images && item.album.images[0] && item.album.images[0].url,
+  audio_url: item.preview_url,
+  external_url: item.external_urls && item.external_urls.spotify,
+  isrc: item.external_ids && item.external_ids.isrc,
+  genre: item.album && item.album.genres && item.album.genres[0],
+  popularity: item.popularity,
+  explicit: item.explicit,
+  release_date: item.album && item.album.release_date,
+  artist_id: item.artists && item.artists[0] && item.artists[0].id,
+  album_id: item.album && item.album.id
+}) : null;
+
+// Jamendo lists genres as plain strings; older responses used { genre_name }
+const jamendoGenre = (item) => {
+  const first = item.musicinfo && item.musicinfo.tags && item.musicinfo.tags.genres && item.musicinfo.tags.genres[0];
+  return first && typeof first === "object" ? first.genre_name : first;
+};
+
+const fromJamendo = (item, fallbackGenre = null) => item ? createTrack("jamendo", {
+  id: item.id,
+  title: item.name,
+  artist: item.artist_name,
+  album: item.album_name,
+  duration: item.duration,
+  cover_url: item.album_image || item.image,
+  audio_url: item.audio,
+  external_url: item.shareurl || (item.id ? `https://www.jamendo.com/track/${item.id}` : null),
+  isrc: item.isrc,
+  genre: jamendoGenre(item) || fallbackGenre,
+  release_date: item.releasedate,
+  artist_id: item.artist_id,
+  album_id: item.album_id
+}) : null;
+
+const fromItunes = (item) => item ? createTrack("itunes", {
+  id: item.trackId,
+  title: item.trackName,
+  artist: item.artistName,
+  album: item.collectionName,
+  duration: item.trackTimeMillis ? item.trackTimeMillis / 1000 : null,
+  cover_url: item.artworkUrl100 && item.artworkUrl100.replace("100x100", "300x300"),
+  audio_url: item.previewUrl,
+  external_url: item.trackViewUrl,
+  isrc: item.isrc,
+  genre: item.primaryGenreName,
+  explicit: item.trackExplicitness === "explicit",
+  release_date: item.releaseDate,
+  artist_id: item.artistId,
+  album_id: item.collectionId
+}) : null;
+
+// Map a provider list, dropping anything the mapper rejected
+const mapTracks = (items, mapper) => (items || []).map(item => mapper(item)).filter(Boolean);
+
+module.exports = {
+  PROVIDERS,
+  ENTRY_FIELDS,
+  trackId,
+  parseTrackId,
+  canonicalId,
+  hasId,
+  repairTrack,
+  validateTrack,
+  toCanonical,
+  toCanonicalOrOriginal,
+  createTrack,
+  fromSpotify,
+  fromJamendo,
+  fromItunes,
+  mapTracks
+};
@@ -0,0 +1,233 @@
+// HTTP client shared by the music providers. Every upstream (Spotify,
+// Jamendo, iTunes, ...) gets an axios instance wrapped with:
+//   - a request timeout
+//   - one refresh-and-retry on 401 when the client has an `auth` hook
+//   - exponential backoff on 429, 5xx and network errors, honouring Retry-After
+//   - a circuit breaker: after CIRCUIT_FAILURE_THRESHOLD failed requests in a
+//     row the upstream is skipped for CIRCUIT_COOLDOWN_MS, then one trial
+//     request decides whether it closes again
+// Responses are plain axios responses, so callers keep using `response.data`.
+// UPSTREAM_MODE=record|replay swaps in the fixture adapter (see upstreamRecorder).
+
+const axios = require("axios");
+const upstreamRecorder = require("./upstreamRecorder");
+
+const DEFAULT_TIMEOUT_MS = parseInt(process.env.UPSTREAM_TIMEOUT_MS, 10) || 8000;
+const DEFAULT_MAX_RETRIES = process.env.UPSTREAM_MAX_RETRIES !== undefined
+  ? parseInt(process.env.UPSTREAM_MAX_RETRIES, 10)
+  : 2;
+const BACKOFF_BASE_MS = 300;
+// A Retry-After longer than this fails the request instead of stalling it
+const MAX_RETRY_AFTER_MS = 30 * 1000;
+const FAILURE_THRESHOLD = parseInt(process.env.CIRCUIT_FAILURE_THRESHOLD, 10) || 5;
+const COOLDOWN_MS = parseInt(process.env.CIRCUIT_COOLDOWN_MS, 10) || 30 * 1000;
+
+const NETWORK_ERRORS = ["ECONNABORTED", "ETIMEDOUT", "ECONNRESET", "ECONNREFUSED", "EAI_AGAIN", "ENOTFOUND", "EPIPE"];
+
+class UpstreamError extends Error {
+  constructor(message, code, status = 503) {
+    super(message);
+    this.name = "UpstreamError";
+    this.code = code;
+    this.status = status;
+  }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Retry-After is either seconds or an HTTP date; null when absent or unreadable
+const retryAfterMs = (error) => {
+  const header = error.response && error.response.headers && error.response.headers["retry-after"];
+  if (header === undefined || header === null || header === "") return null;
+
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+const isRetryable = (error) => {
+  if (!error.response) {
+    return NETWORK_ERRORS.includes(error.code);
+  }
+  return error.response.status === 429 || error.response.status >= 500;
+};
+
+// Client errors (bad id, bad query) and missing replay fixtures say nothing
+// about the upstream's health
+const countsAsFailure = (error) => {
+  if (error.code === "FIXTURE_MISSING") return false;
+  return !error.response || error.response.status === 429 || error.response.status >= 500;
+};
+
+class CircuitBreaker {
+  constructor(name, { failureThreshold = FAILURE_THRESHOLD, cooldownMs = COOLDOWN_MS } = {}) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.cooldownMs = cooldownMs;
+    this.state = "closed";
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+    this.lastError = null;
+  }
+
+  // Open breakers move to half-open once the cooldown has passed; half-open
+  // lets a single trial request through
+  allowRequest() {
+    if (this.state === "open" && Date.now() - this.openedAt >= this.cooldownMs) {
+      this.state = "half_open";
+      this.trialInFlight = false;
+    }
+    if (this.state === "open") return false;
+    if (this.state === "half_open") {
+      if (this.trialInFlight) return false;
+      this.trialInFlight = true;
+    }
+    return true;
+  }
+
+  // Would a request be let through right now? (No side effects)
+  isOpen() {
+    if (this.state === "open") return Date.now() - this.openedAt < this.cooldownMs;
+    return this.state === "half_open" && this.trialInFlight;
+  }
+
+  recordSuccess() {
+    if (this.state !== "closed") {
+      console.log(`🟢 Circuit for ${this.name} closed`);
+    }
+    this.state = "closed";
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  recordFailure(error) {
+    this.failures++;
+    this.lastError = error.message;
+    this.trialInFlight = false;
+
+    if (this.state === "half_open" || this.failures >= this.failureThreshold) {
+      if (this.state !== "open") {
+        console.warn(`🔴 Circuit for ${this.name} opened after ${this.failures} failure(s): ${error.message}`);
+      }
+      this.state = "open";
+      this.openedAt = Date.now();
+    }
+  }
+
+  snapshot() {
+    // Report half-open as soon as the cooldown is over, not only after the next request
+    const cooledDown = this.state === "open" && Date.now() - this.openedAt >= this.cooldownMs;
+    return {
+      state: cooledDown ? "half_open" : this.state,
+      failures: this.failures,
+      failureThreshold: this.failureThreshold,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retryAt: this.state === "open" ? new Date(this.openedAt + this.cooldownMs).toISOString() : null,
+      lastError: this.lastError
+    };
+  }
+}
+
+const breakers = new Map();
+
+// `auth`: { getToken: async () => token, invalidate: () => void } adds a
+// Bearer header and retries once with a fresh token after a 401
+const createUpstreamClient = (name, {
+  baseURL,
+  params,
+  headers,
+  timeout = DEFAULT_TIMEOUT_MS,
+  maxRetries = DEFAULT_MAX_RETRIES,
+  auth = null,
+  breaker: breakerOptions
+} = {}) => {
+  const adapter = upstreamRecorder.adapterFor(name);
+  const instance = axios.create({ baseURL, params, headers, timeout, ...(adapter ? { adapter } : {}) });
+  const breaker = new CircuitBreaker(name, breakerOptions);
+  breakers.set(name, breaker);
+
+  const send = async (config) => {
+    if (!auth) {
+      return instance.request(config);
+    }
+    const token = await auth.getToken();
+    return instance.request({ ...config, headers: { ...config.headers, Authorization: `Bearer ${token}` } });
+  };
+
+  const request = async (config) => {
+    if (!breaker.allowRequest()) {
+      throw new UpstreamError(`${name} is temporarily unavailable (circuit open)`, "CIRCUIT_OPEN");
+    }
+
+    let refreshed = false;
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const response = await send(config);
+        breaker.recordSuccess();
+        return response;
+      } catch (error) {
+        const status = error.response && error.response.status;
+
+        if (status === 401 && auth && !refreshed) {
+          console.warn(`🔑 ${name} returned 401 - refreshing credentials and retrying`);
+          refreshed = true;
+          auth.invalidate();
+          attempt--;
+          continue;
+        }
+
+        if (isRetryable(error) && attempt < maxRetries) {
+          const requested = status === 429 ? retryAfterMs(error) : null;
+          if (requested === null || requested <= MAX_RETRY_AFTER_MS) {
+            const delay = requested !== null
+              ? requested
+              : BACKOFF_BASE_MS * 2 ** attempt + Math.floor(Math.random() * BACKOFF_BASE_MS);
+            console.warn(`⏳ ${name} ${status || error.code || "request"} failed - retry ${attempt + 1}/${maxRetries} in ${delay}ms`);
+            await sleep(delay);
+            continue;
+          }
+        }
+
+        if (countsAsFailure(error)) {
+          breaker.recordFailure(error);
+        } else {
+          // The upstream answered; a 404 is not an outage
+          breaker.recordSuccess();
+        }
+        throw error;
+      }
+    }
+  };
+
+  return {
+    name,
+    breaker,
+    request,
+    get: (url, config = {}) => request({ ...config, method: "get", url }),
+    post: (url, data, config = {}) => request({ ...config, method: "post", url, data })
+  };
+};
+
+const getBreaker = (name) => breakers.get(name) || null;
+
+// { spotify: { state, failures, ... }, jamendo: {...} }
+const breakerStates = () => {
+  const states = {};
+  breakers.forEach((breaker, name) => {
+    states[name] = breaker.snapshot();
+  });
+  return states;
+};
+
+module.exports = {
+  UpstreamError,
+  CircuitBreaker,
+  createUpstreamClient,
+  getBreaker,
+  breakerStates
+};
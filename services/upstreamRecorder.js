@@ -0,0 +1,194 @@
+// Record and replay of upstream HTTP exchanges for the music provider clients
+// (see upstreamClient).
+//
+//   UPSTREAM_MODE=live     normal network access (default)
+//   UPSTREAM_MODE=record   real requests; every exchange is also saved as a fixture
+//   UPSTREAM_MODE=replay   no network; requests are answered from fixtures
+//
+// Fixtures live in UPSTREAM_FIXTURES_DIR (default fixtures/upstream), one
+// JSON file per exchange under a folder per client. They are looked up by a
+// normalized request: method, full URL and sorted query/body parameters, with
+// credentials left out, so a replay needs no API keys. Error responses (429,
+// 500, ...) are recorded and replayed as well.
+
+const crypto = require("crypto");
+const path = require("path");
+const fs = require("fs-extra");
+const axios = require("axios");
+
+const MODES = ["live", "record", "replay"];
+const MODE = MODES.includes(process.env.UPSTREAM_MODE) ? process.env.UPSTREAM_MODE : "live";
+const FIXTURES_DIR = process.env.UPSTREAM_FIXTURES_DIR || path.join(__dirname, "..", "fixtures", "upstream");
+
+// Never part of the lookup key and never written to a fixture
+const SECRET_PARAMS = ["client_id", "client_secret", "access_token", "api_key"];
+const SECRET_FIELDS = ["access_token", "refresh_token"];
+const KEPT_HEADERS = ["content-type", "retry-after"];
+
+if (process.env.UPSTREAM_MODE && process.env.UPSTREAM_MODE !== MODE) {
+  console.warn(`⚠️ Unknown UPSTREAM_MODE "${process.env.UPSTREAM_MODE}" - using live. Valid: ${MODES.join(", ")}`);
+}
+
+const isReplaying = () => MODE === "replay";
+
+const sortedParams = (params) => {
+  const sorted = {};
+  Object.keys(params)
+    .filter(name => !SECRET_PARAMS.includes(name) && params[name] !== undefined && params[name] !== null)
+    .sort()
+    .forEach(name => {
+      sorted[name] = String(params[name]);
+    });
+  return sorted;
+};
+
+// Form bodies (the Spotify token request) compare as parameters, JSON as sorted JSON
+const normalizeBody = (data) => {
+  if (data === undefined || data === null || data === "") return null;
+  if (typeof data === "string") {
+    try {
+      return sortedParams(Object.fromEntries(new URLSearchParams(data)));
+    } catch (error) {
+      return data;
+    }
+  }
+  return sortedParams(data);
+};
+
+const normalizeRequest = (config) => {
+  const full = new URL(axios.getUri({ baseURL: config.baseURL, url: config.url }));
+  const params = { ...Object.fromEntries(full.searchParams), ...(config.params || {}) };
+
+  return {
+    method: (config.method || "get").toUpperCase(),
+    url: `${full.origin}${full.pathname}`,
+    params: sortedParams(params),
+    body: normalizeBody(config.data)
+  };
+};
+
+const fixturePath = (client, request) => {
+  const hash = crypto.createHash("sha1").update(JSON.stringify(request)).digest("hex").slice(0, 12);
+  const slug = new URL(request.url).pathname.replace(/[^a-z0-9]+/gi, "_").replace(/^_|_$/g, "") || "root";
+  return path.join(FIXTURES_DIR, client, `${request.method}_${slug}_${hash}.json`);
+};
+
+// Adapters see the raw body; store JSON parsed so fixtures are readable and
+// secrets can be blanked
+const redact = (raw) => {
+  let data = raw;
+  if (typeof raw === "string") {
+    try {
+      data = JSON.parse(raw);
+    } catch (error) {
+      return raw;
+    }
+  }
+  if (!data || typeof data !== "object" || Array.isArray(data)) return data;
+  const copy = { ...data };
+  SECRET_FIELDS.forEach(field => {
+    if (copy[field] !== undefined) {
+      copy[field] = `recorded-${field}`;
+    }
+  });
+  return copy;
+};
+
+const keptHeaders = (headers = {}) => {
+  const kept = {};
+  KEPT_HEADERS.forEach(name => {
+    const value = typeof headers.get === "function" ? headers.get(name) : headers[name];
+    if (value !== undefined && value !== null) {
+      kept[name] = String(value);
+    }
+  });
+  return kept;
+};
+
+// Turn a stored response into what axios would have produced
+const settle = (config, stored) => {
+  const response = {
+    data: stored.data,
+    status: stored.status,
+    statusText: stored.statusText || "",
+    headers: stored.headers || {},
+    config,
+    request: null
+  };
+
+  const validateStatus = config.validateStatus;
+  if (!validateStatus || validateStatus(response.status)) {
+    return response;
+  }
+
+  throw new axios.AxiosError(
+    `Request failed with status code ${response.status}`,
+    response.status >= 500 ? axios.AxiosError.ERR_BAD_RESPONSE : axios.AxiosError.ERR_BAD_REQUEST,
+    config,
+    null,
+    response
+  );
+};
+
+const save = async (client, request, response) => {
+  const file = fixturePath(client, request);
+  await fs.outputJson(file, {
+    client,
+    request,
+    response: {
+      status: response.status,
+      statusText: response.statusText,
+      headers: keptHeaders(response.headers),
+      data: redact(response.data)
+    },
+    recordedAt: new Date().toISOString()
+  }, { spaces: 2 });
+  console.log(`📼 Recorded ${request.method} ${request.url} → ${path.relative(process.cwd(), file)}`);
+};
+
+// axios adapter for a client, or null in live mode
+const adapterFor = (client) => {
+  if (MODE === "live") {
+    return null;
+  }
+
+  if (MODE === "replay") {
+    return async (config) => {
+      const request = normalizeRequest(config);
+      const file = fixturePath(client, request);
+
+      if (!(await fs.pathExists(file))) {
+        const error = new Error(`No recorded ${client} fixture for ${request.method} ${request.url} ${JSON.stringify(request.params)} (expected ${file})`);
+        error.code = "FIXTURE_MISSING";
+        throw error;
+      }
+
+      const fixture = await fs.readJson(file);
+      return settle(config, fixture.response);
+    };
+  }
+
+  const network = axios.getAdapter(axios.defaults.adapter);
+  return async (config) => {
+    const request = normalizeRequest(config);
+    try {
+      const response = await network(config);
+      await save(client, request, response);
+      return response;
+    } catch (error) {
+      if (error.response) {
+        await save(client, request, error.response);
+      }
+      throw error;
+    }
+  };
+};
+
+module.exports = {
+  MODE,
+  FIXTURES_DIR,
+  isReplaying,
+  normalizeRequest,
+  fixturePath,
+  adapterFor
+};
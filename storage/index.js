@@ -0,0 +1,69 @@
+const path = require("path");
+const Repository = require("./repository");
+const JsonBackend = require("./jsonBackend");
+const SqliteBackend = require("./sqliteBackend");
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, "../data");
+const SQLITE_FILE = process.env.SQLITE_FILE || path.join(DATA_DIR, "tunestream.db");
+
+// Known collections and the value each starts out with
+const COLLECTIONS = {
+  users: [],
+  likedSongs: {},
+  playlists: {},
+  userStats: {},
+  feedback: [],
+  musicRatings: {},
+  "users-profiles": {},
+  sessions: {},
+  passwordResets: {},
+  playlistShares: {},
+  listeningHistory: {},
+  listeningRollups: {},
+  scrobbleAccounts: {},
+  scrobbleQueue: [],
+  playbackSessions: {}
+};
+
+const createBackend = (type = process.env.STORAGE_BACKEND || "json") => {
+  switch (type) {
+    case "json":
+      return new JsonBackend(DATA_DIR);
+    case "sqlite":
+      return new SqliteBackend(SQLITE_FILE);
+    default:
+      throw new Error(`Unknown STORAGE_BACKEND "${type}". Use "json" or "sqlite".`);
+  }
+};
+
+let backend = null;
+const repositories = {};
+
+const getBackend = () => {
+  if (!backend) {
+    backend = createBackend();
+    console.log(`💾 Storage backend: ${backend.type}`);
+  }
+  return backend;
+};
+
+// Shared repository per collection, so all routes go through the same queue
+const getRepository = (name) => {
+  if (!(name in COLLECTIONS)) {
+    throw new Error(`Unknown collection "${name}"`);
+  }
+
+  if (!repositories[name]) {
+    repositories[name] = new Repository(name, getBackend(), COLLECTIONS[name]);
+  }
+  return repositories[name];
+};
+
+module.exports = {
+  COLLECTIONS,
+  DATA_DIR,
+  SQLITE_FILE,
+  createBackend,
+  getBackend,
+  getRepository
+};
@@ -0,0 +1,74 @@
+const fs = require("fs-extra");
+const path = require("path");
+
+// Stores each collection as <dataDir>/<name>.json (the original data layout).
+// Writes go to a temporary file that is flushed and renamed over the target,
+// so a crash mid-write leaves the previous version intact.
+class JsonBackend {
+  constructor(dataDir) {
+    this.type = "json";
+    this.dataDir = dataDir;
+    fs.ensureDirSync(dataDir);
+  }
+
+  filePath(name) {
+    return path.join(this.dataDir, `${name}.json`);
+  }
+
+  async load(name, defaultValue) {
+    const file = this.filePath(name);
+
+    if (!(await fs.pathExists(file))) {
+      return defaultValue;
+    }
+
+    const contents = await fs.readFile(file, "utf8");
+    if (!contents.trim()) {
+      return defaultValue;
+    }
+
+    try {
+      return JSON.parse(contents);
+    } catch (error) {
+      // Refuse to continue rather than overwrite a damaged file with defaults
+      throw new Error(`Corrupt data file ${file}: ${error.message}`);
+    }
+  }
+
+  // The whole file has to be parsed; only the entry is handed back
+  async loadEntry(name, key) {
+    const data = await this.load(name, {});
+    return data && Object.prototype.hasOwnProperty.call(data, key) ? data[key] : undefined;
+  }
+
+  async save(name, data) {
+    const file = this.filePath(name);
+    const tempFile = `${file}.${process.pid}.${Date.now()}.tmp`;
+
+    const handle = await fs.open(tempFile, "w");
+    try {
+      await fs.writeFile(handle, `${JSON.stringify(data, null, 2)}\n`);
+      await fs.fsync(handle);
+    } finally {
+      await fs.close(handle);
+    }
+
+    try {
+      await fs.rename(tempFile, file);
+    } catch (error) {
+      await fs.remove(tempFile);
+      throw error;
+    }
+  }
+
+  async listCollections() {
+    const files = await fs.readdir(this.dataDir);
+    return files
+      .filter(file => file.endsWith(".json"))
+      .map(file => path.basename(file, ".json"));
+  }
+
+  close() {}
+}
+
+module.exports = JsonBackend;
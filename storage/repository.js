@@ -0,0 +1,55 @@
+// A named collection (users, playlists, ...) stored through a backend.
+// Every update runs read → mutate → write as one step, queued per collection,
+// so concurrent requests no longer overwrite each other's changes.
+class Repository {
+  constructor(name, backend, defaultValue) {
+    this.name = name;
+    this.backend = backend;
+    this.defaultValue = defaultValue;
+    this.queue = Promise.resolve();
+  }
+
+  emptyValue() {
+    return JSON.parse(JSON.stringify(this.defaultValue));
+  }
+
+  // Current contents of the collection
+  async read() {
+    return this.backend.load(this.name, this.emptyValue());
+  }
+
+  // Run `mutator` against the latest data and persist whatever it changed.
+  // The mutator edits the data in place and may be async; its return value
+  // is passed back to the caller. Throwing aborts the update without writing.
+  update(mutator) {
+    const run = this.queue.then(async () => {
+      const data = await this.backend.load(this.name, this.emptyValue());
+      const before = JSON.stringify(data);
+      const result = await mutator(data);
+
+      if (JSON.stringify(data) !== before) {
+        await this.backend.save(this.name, data);
+      }
+      return result;
+    });
+
+    // Keep the queue alive after a failed update
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  // One entry of a keyed collection (e.g. a session by id), or undefined.
+  // Only own keys count, so "__proto__" and friends are never found.
+  async get(key) {
+    return this.backend.loadEntry(this.name, String(key));
+  }
+
+  // Replace the whole collection
+  replace(data) {
+    const run = this.queue.then(() => this.backend.save(this.name, data));
+    this.queue = run.catch(() => {});
+    return run;
+  }
+}
+
+module.exports = Repository;
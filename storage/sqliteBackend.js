@@ -0,0 +1,70 @@
+const fs = require("fs-extra");
+const path = require("path");
+
+// Stores each collection as a JSON document row in an embedded SQLite
+// database. better-sqlite3 is an optional dependency, so it is only loaded
+// when this backend is actually selected.
+class SqliteBackend {
+  constructor(dbFile) {
+    let Database;
+    try {
+      Database = require("better-sqlite3");
+    } catch (error) {
+      throw new Error(`SQLite storage requires the optional "better-sqlite3" package: ${error.message}`);
+    }
+
+    this.type = "sqlite";
+    this.dbFile = dbFile;
+    fs.ensureDirSync(path.dirname(dbFile));
+
+    this.db = new Database(dbFile);
+    this.db.pragma("journal_mode = WAL");
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS collections (
+        name TEXT PRIMARY KEY,
+        data TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      )
+    `);
+
+    this.selectStatement = this.db.prepare("SELECT data FROM collections WHERE name = ?");
+    // One top-level entry of a collection, extracted inside SQLite
+    this.selectEntryStatement = this.db.prepare(`
+      SELECT CASE entry.type WHEN 'true' THEN 'true' WHEN 'false' THEN 'false' ELSE json_quote(entry.value) END AS json
+      FROM collections, json_each(collections.data) AS entry
+      WHERE collections.name = ? AND entry.key = ?
+    `);
+    this.upsertStatement = this.db.prepare(`
+      INSERT INTO collections (name, data, updated_at) VALUES (?, ?, ?)
+      ON CONFLICT(name) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at
+    `);
+  }
+
+  async load(name, defaultValue) {
+    const row = this.selectStatement.get(name);
+    return row ? JSON.parse(row.data) : defaultValue;
+  }
+
+  async loadEntry(name, key) {
+    const row = this.selectEntryStatement.get(name, key);
+    return row ? JSON.parse(row.json) : undefined;
+  }
+
+  async save(name, data) {
+    this.upsertStatement.run(name, JSON.stringify(data), new Date().toISOString());
+  }
+
+  async has(name) {
+    return !!this.selectStatement.get(name);
+  }
+
+  async listCollections() {
+    return this.db.prepare("SELECT name FROM collections ORDER BY name").all().map(row => row.name);
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+module.exports = SqliteBackend;
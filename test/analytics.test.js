@@ -0,0 +1,87 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { createApp, createUser, request } = require("./helpers");
+const playRecorder = require("../services/playRecorder");
+const listeningHistoryService = require("../services/listeningHistoryService");
+const listeningAnalyticsService = require("../services/listeningAnalyticsService");
+const app = createApp("/api/history", require("../routes/historyRoutes"));
+
+const range = { from: "2026-01-01", to: "2026-01-31", zone: "UTC" };
+
+const countPlay = (userId, n, day) => playRecorder.countPlay(userId, {
+  track: { id: `demo:${n}`, provider: "demo", providerId: String(n), title: `Song ${n}`, artist: "Band", genre: n % 2 ? "Rock" : "Jazz", duration: 200 },
+  listened: 120,
+  playedAt: `2026-01-${String(day).padStart(2, "0")}T12:00:00.000Z`
+});
+
+const totals = async (userId) => (await listeningAnalyticsService.listeningOverTime(userId, range)).totals;
+
+test("deleting a history entry takes its play out of the analytics", async () => {
+  const { user, auth } = await createUser();
+  const first = await countPlay(user.id, 1, 5);
+  await countPlay(user.id, 2, 5);
+  assert.deepStrictEqual([(await totals(user.id)).plays, (await totals(user.id)).minutes], [2, 4]);
+
+  await request(app).delete(`/api/history/${first.historyEntryId}`).set("Authorization", auth);
+
+  assert.deepStrictEqual([(await totals(user.id)).plays, (await totals(user.id)).minutes], [1, 2]);
+  const { genres } = await listeningAnalyticsService.genreShare(user.id, { ...range, granularity: "month" });
+  assert.deepStrictEqual(genres.map(genre => genre.genre), ["Jazz"]);
+});
+
+test("clearing the history clears the analytics", async () => {
+  const { user, auth } = await createUser();
+  await countPlay(user.id, 1, 6);
+  await countPlay(user.id, 2, 7);
+
+  await request(app).delete("/api/history").set("Authorization", auth);
+  assert.strictEqual((await totals(user.id)).plays, 0);
+
+  await countPlay(user.id, 3, 8);
+  assert.strictEqual((await totals(user.id)).plays, 1);
+});
+
+test("plays made while history is paused are not analysed", async () => {
+  const { user, auth } = await createUser();
+  await countPlay(user.id, 1, 9);
+
+  await request(app).patch("/api/history/settings").set("Authorization", auth).send({ paused: true });
+  const paused = await countPlay(user.id, 2, 10);
+  assert.strictEqual(paused.historyPaused, true);
+  assert.strictEqual((await totals(user.id)).plays, 1);
+});
+
+test("a play recorded while the rollups are being built is not lost", async (t) => {
+  const { user } = await createUser();
+  await countPlay(user.id, 1, 11);
+
+  const getEntries = listeningHistoryService.getEntries.bind(listeningHistoryService);
+  let pending;
+  t.mock.method(listeningHistoryService, "getEntries", async (userId) => {
+    const snapshot = await getEntries(userId);
+    if (!pending) {
+      // Another play lands in the history right after the build read it
+      pending = countPlay(user.id, 2, 12);
+      while ((await getEntries(userId)).length === snapshot.length) {
+        await new Promise(resolve => setTimeout(resolve, 5));
+      }
+    }
+    return snapshot;
+  });
+
+  await listeningAnalyticsService.ensureUser(user.id);
+  await pending;
+  assert.strictEqual((await totals(user.id)).plays, 2);
+});
+
+test("half-hour zones put each play in its own local hour", async () => {
+  const { user } = await createUser();
+  const play = (n, playedAt) => playRecorder.countPlay(user.id, { track: { id: `demo:${n}`, provider: "demo", providerId: String(n), title: "Song", artist: "Band" }, listened: 60, playedAt });
+  // 23:50 on Monday and 00:10 on Tuesday in Asia/Kolkata (UTC+5:30)
+  await play(1, "2026-01-05T18:20:00.000Z");
+  await play(2, "2026-01-05T18:40:00.000Z");
+
+  const { plays } = await listeningAnalyticsService.heatmap(user.id, { ...range, zone: "Asia/Kolkata" });
+  assert.strictEqual(plays[0][23], 1);
+  assert.strictEqual(plays[1][0], 1);
+});
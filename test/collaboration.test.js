@@ -0,0 +1,91 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { createApp, createUser, request } = require("./helpers");
+const app = createApp("/api/playlists", require("../routes/playlistRoutes"));
+
+const song = { id: "demo:1", title: "Neon Rain", artist: "Nova Drift" };
+
+const setup = async () => {
+  const owner = await createUser();
+  const editor = await createUser();
+  const viewer = await createUser();
+
+  const { body } = await request(app).post("/api/playlists/create").set("Authorization", owner.auth).send({ name: "Shared" });
+  const playlistId = body.playlist.id;
+
+  await request(app).post(`/api/playlists/${playlistId}/members`).set("Authorization", owner.auth)
+    .send({ email: editor.user.email, role: "editor" });
+  await request(app).post(`/api/playlists/${playlistId}/members`).set("Authorization", owner.auth)
+    .send({ email: viewer.user.email });
+  return { owner, editor, viewer, playlistId };
+};
+
+test("editors add songs, viewers cannot", async () => {
+  const { editor, viewer, playlistId } = await setup();
+
+  const added = await request(app).post("/api/playlists/add-song").set("Authorization", editor.auth).send({ playlistId, song });
+  assert.strictEqual(added.status, 200);
+
+  const refused = await request(app).post("/api/playlists/add-song").set("Authorization", viewer.auth).send({ playlistId, song });
+  assert.strictEqual(refused.status, 403);
+
+  const { body } = await request(app).get(`/api/playlists/${viewer.user.id}`).set("Authorization", viewer.auth);
+  const shared = body.find(playlist => playlist.id === playlistId);
+  assert.strictEqual(shared.role, "viewer");
+  assert.strictEqual(shared.songs[0].addedByName, editor.user.fullName);
+});
+
+test("public playlists hide members and who added songs from other users", async () => {
+  const { owner, editor, playlistId } = await setup();
+  await request(app).post("/api/playlists/add-song").set("Authorization", editor.auth).send({ playlistId, song });
+  await request(app).patch(`/api/playlists/${playlistId}`).set("Authorization", owner.auth).send({ isPublic: true });
+
+  const stranger = await createUser();
+  const { body } = await request(app).get(`/api/playlists/${owner.user.id}`).set("Authorization", stranger.auth);
+
+  assert.strictEqual(body.length, 1);
+  assert.strictEqual(body[0].members, undefined);
+  assert.strictEqual(body[0].songs[0].addedBy, undefined);
+  assert.ok(!JSON.stringify(body).includes(editor.user.id));
+});
+
+test("members leave, and ownership moves to a member", async () => {
+  const { owner, editor, viewer, playlistId } = await setup();
+
+  const left = await request(app).post(`/api/playlists/${playlistId}/leave`).set("Authorization", viewer.auth);
+  assert.strictEqual(left.status, 200);
+
+  const ownerLeaves = await request(app).post(`/api/playlists/${playlistId}/leave`).set("Authorization", owner.auth);
+  assert.strictEqual(ownerLeaves.status, 400);
+
+  const transferred = await request(app).post(`/api/playlists/${playlistId}/transfer`).set("Authorization", owner.auth)
+    .send({ newOwnerId: editor.user.id });
+  assert.strictEqual(transferred.status, 200);
+
+  const members = await request(app).get(`/api/playlists/${playlistId}/members`).set("Authorization", owner.auth);
+  assert.strictEqual(members.body.owner.userId, editor.user.id);
+  assert.deepStrictEqual(members.body.members.map(member => [member.userId, member.role]), [[owner.user.id, "editor"]]);
+});
+
+test("people outside the playlist are told it does not exist", async () => {
+  const { playlistId } = await setup();
+  const stranger = await createUser();
+
+  const res = await request(app).get(`/api/playlists/${playlistId}/members`).set("Authorization", stranger.auth);
+  assert.strictEqual(res.status, 404);
+});
+
+test("playlists created in the same millisecond get their own ids", async (t) => {
+  const first = await createUser();
+  const second = await createUser();
+  t.mock.method(Date, "now", () => 1700000000000);
+
+  const [a, b] = await Promise.all([first, second].map(user =>
+    request(app).post("/api/playlists/create").set("Authorization", user.auth).send({ name: "Mine" })));
+  assert.notStrictEqual(a.body.playlist.id, b.body.playlist.id);
+
+  const renamed = await request(app).patch(`/api/playlists/${b.body.playlist.id}`).set("Authorization", second.auth).send({ name: "Second" });
+  assert.strictEqual(renamed.status, 200);
+  const { body } = await request(app).get(`/api/playlists/${first.user.id}`).set("Authorization", first.auth);
+  assert.strictEqual(body.find(playlist => playlist.id === a.body.playlist.id).name, "Mine");
+});
@@ -0,0 +1,43 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { createApp, request } = require("./helpers");
+const demoCatalog = require("../services/demoCatalog");
+const demoMusicService = require("../services/demoMusicService");
+const trackModel = require("../services/trackModel");
+const app = createApp("/api/music", require("../routes/musicRoutes"));
+
+test("every demo track is canonical and keeps its data between calls", async () => {
+  const tracks = demoCatalog.getTracks();
+  assert.ok(tracks.length > 20);
+  tracks.forEach(track => assert.deepStrictEqual(trackModel.validateTrack(track), [], track.id));
+  assert.strictEqual(new Set(tracks.map(track => track.id)).size, tracks.length);
+
+  const first = await demoMusicService.getTrendingTracks(10);
+  const second = await demoMusicService.getTrendingTracks(10);
+  assert.deepStrictEqual(first, second);
+  assert.deepStrictEqual(await demoMusicService.getTrackDetails(tracks[0].id), tracks[0]);
+});
+
+test("search, categories and recommendations come from the catalog", async () => {
+  const [track] = demoCatalog.getTracks();
+  const { tracks } = await demoMusicService.searchTracks(track.artist, 50);
+  assert.ok(tracks.some(result => result.id === track.id));
+
+  const categories = await demoMusicService.getCategories();
+  assert.ok(categories.some(category => category.id === demoCatalog.categoryOf(track)));
+
+  const recommendations = await demoMusicService.getRecommendations([track.genre], 5);
+  assert.ok(recommendations.length > 0);
+  assert.ok(recommendations.every(result => result.genre === track.genre));
+});
+
+test("previews are stable WAV files served for known tracks only", async () => {
+  const preview = await request(app).get("/api/music/demo/preview/1.wav");
+  assert.strictEqual(preview.status, 200);
+  assert.strictEqual(preview.headers["content-type"], "audio/wav");
+  assert.strictEqual(preview.body.subarray(0, 4).toString(), "RIFF");
+  assert.ok(demoCatalog.renderPreview("1").equals(preview.body));
+
+  assert.strictEqual((await request(app).get("/api/music/demo/preview/99999.wav")).status, 404);
+  assert.strictEqual((await request(app).get("/api/music/demo/preview/..%2Fserver.js")).status, 404);
+});
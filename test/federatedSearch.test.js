@@ -0,0 +1,70 @@
+const { test, mock, afterEach } = require("node:test");
+const assert = require("node:assert");
+const { createApp, request } = require("./helpers");
+const providerRegistry = require("../services/providerRegistry");
+const federatedSearch = require("../services/federatedSearch");
+const app = createApp("/api/music", require("../routes/musicRoutes"));
+
+const track = (provider, id, fields = {}) => ({
+  id: `${provider}:${id}`, provider, providerId: String(id), title: "Halo", artist: "Beyonce",
+  album: null, duration: 261, audio_url: null, isrc: null, popularity: null, ...fields
+});
+
+// Stand-in providers, so no request leaves the machine
+const stubSearch = (searches) => mock.method(providerRegistry, "get", (name) => ({
+  name,
+  capabilities: { search: true },
+  service: { searchTracks: searches[name] }
+}));
+
+afterEach(() => {
+  mock.restoreAll();
+  providerRegistry.setPriority(["demo"]);
+});
+
+test("results are merged across providers, de-duplicated and ranked", async () => {
+  stubSearch({
+    jamendo: async () => [track("jamendo", 1, { album: "I Am... Sasha Fierce" }), track("jamendo", 2, { title: "Other Song", artist: "Nobody" })],
+    itunes: async () => [track("itunes", 9, { audio_url: "https://example.com/halo.m4a", duration: 263 })]
+  });
+
+  const { tracks, providers, merged } = await federatedSearch.search("halo beyonce", { providers: ["jamendo", "itunes"] });
+
+  assert.strictEqual(merged, 1);
+  assert.deepStrictEqual(tracks.map(result => result.id), ["itunes:9", "jamendo:2"]);
+  // The kept copy borrows metadata its duplicate had
+  assert.strictEqual(tracks[0].album, "I Am... Sasha Fierce");
+  assert.deepStrictEqual(providers.map(provider => [provider.name, provider.status, provider.count]), [["jamendo", "ok", 2], ["itunes", "ok", 1]]);
+});
+
+test("slow or failing providers are reported without failing the search", async () => {
+  stubSearch({
+    jamendo: () => new Promise(() => {}),
+    itunes: async () => { throw new Error("upstream 500"); },
+    demo: async () => [track("demo", 1)]
+  });
+
+  const { tracks, providers } = await federatedSearch.search("halo", { providers: ["jamendo", "itunes", "demo"], timeoutMs: 20 });
+  assert.strictEqual(tracks.length, 1);
+  assert.deepStrictEqual(providers.map(provider => provider.status), ["timeout", "error", "ok"]);
+  assert.strictEqual(providers[1].error, "upstream 500");
+});
+
+test("the search fails only when every provider failed", async () => {
+  stubSearch({ itunes: async () => { throw new Error("down"); } });
+  await assert.rejects(federatedSearch.search("halo", { providers: ["itunes"] }), providerRegistry.ProviderError);
+});
+
+test("?mode=federated reports each provider in the response meta", async () => {
+  providerRegistry.setPriority(["demo", "itunes"]);
+  stubSearch({ demo: async () => [track("demo", 1)], itunes: async () => { throw new Error("down"); } });
+
+  const res = await request(app).get("/api/music/search").query({ q: "love", mode: "federated" });
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.body.meta.partial, true);
+  assert.deepStrictEqual(res.body.meta.providers.map(provider => provider.name), ["demo", "itunes"]);
+  assert.deepStrictEqual(res.body.tracks.map(result => result.id), ["demo:1"]);
+
+  const invalid = await request(app).get("/api/music/search").query({ q: "love", mode: "everything" });
+  assert.strictEqual(invalid.status, 400);
+});
@@ -0,0 +1,67 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { createApp, createUser, request } = require("./helpers");
+const { getRepository } = require("../storage");
+const app = createApp("/api/feedback", require("../routes/feedbackRoutes"));
+
+test("users submit feedback and see their own entries", async () => {
+  const { auth } = await createUser();
+
+  const created = await request(app).post("/api/feedback").set("Authorization", auth)
+    .send({ rating: 4, experience: "Nice", suggestions: "More jazz" });
+  assert.strictEqual(created.status, 201);
+  assert.strictEqual(created.body.feedback.status, "new");
+
+  const mine = await request(app).get("/api/feedback/mine").set("Authorization", auth);
+  assert.strictEqual(mine.body.length, 1);
+  assert.strictEqual(mine.body[0].ip, undefined);
+});
+
+test("ratings outside 1-5 are rejected", async () => {
+  const { auth } = await createUser();
+  const res = await request(app).post("/api/feedback").set("Authorization", auth).send({ rating: 6 });
+  assert.strictEqual(res.status, 400);
+});
+
+test("admin routes need the admin role, not just a matching email", async () => {
+  process.env.ADMIN_EMAILS = "claimed@example.com";
+  const { auth } = await createUser({ email: "claimed@example.com" });
+
+  const res = await request(app).get("/api/feedback/admin").set("Authorization", auth);
+  assert.strictEqual(res.status, 403);
+  delete process.env.ADMIN_EMAILS;
+});
+
+test("admins list, triage and reply to feedback", async () => {
+  const submitter = await createUser();
+  const admin = await createUser({ role: "admin" });
+
+  const { body } = await request(app).post("/api/feedback").set("Authorization", submitter.auth).send({ rating: 2 });
+  const id = body.feedback.id;
+
+  const list = await request(app).get("/api/feedback/admin?maxRating=2").set("Authorization", admin.auth);
+  assert.strictEqual(list.status, 200);
+  assert.ok(list.body.feedback.some(entry => entry.id === id));
+
+  const reply = await request(app).post(`/api/feedback/admin/${id}/reply`).set("Authorization", admin.auth)
+    .send({ message: "Thanks, looking into it" });
+  assert.strictEqual(reply.status, 201);
+  assert.strictEqual(reply.body.feedback.status, "triaged");
+
+  const resolved = await request(app).patch(`/api/feedback/admin/${id}/status`).set("Authorization", admin.auth)
+    .send({ status: "resolved" });
+  assert.strictEqual(resolved.body.feedback.status, "resolved");
+
+  const stats = await request(app).get("/api/feedback/admin/stats").set("Authorization", admin.auth);
+  assert.strictEqual(stats.body.byStatus.resolved, 1);
+});
+
+test("removing the role takes effect immediately", async () => {
+  const admin = await createUser({ role: "admin" });
+  await getRepository("users").update((users) => {
+    delete users.find(u => u.id === admin.user.id).role;
+  });
+
+  const res = await request(app).get("/api/feedback/admin/stats").set("Authorization", admin.auth);
+  assert.strictEqual(res.status, 403);
+});
@@ -0,0 +1,75 @@
+// Shared setup for the tests. `node --test` runs each file in its own
+// process, so every file gets a fresh data directory and fresh service
+// singletons. Require this before anything that opens a repository.
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "tunestream-test-"));
+process.on("exit", () => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+process.env.DATA_DIR = dataDir;
+const defaults = {
+  NODE_ENV: "test",
+  STORAGE_BACKEND: "json",
+  JWT_SECRET: "test-secret",
+  MUSIC_PROVIDERS: "demo",
+  MAIL_TRANSPORT: "outbox",
+  MAIL_OUTBOX_DIR: path.join(dataDir, "outbox"),
+  UPSTREAM_MAX_RETRIES: "0"
+};
+Object.entries(defaults).forEach(([key, value]) => {
+  if (process.env[key] === undefined) {
+    process.env[key] = value;
+  }
+});
+
+// The services log every request; TEST_LOGS=true shows them
+if (process.env.TEST_LOGS !== "true") {
+  ["log", "info", "warn", "error"].forEach(level => {
+    console[level] = () => {};
+  });
+}
+
+const express = require("express");
+const request = require("supertest");
+const { getRepository } = require("../storage");
+
+// An app with one router mounted the way server.js mounts it
+const createApp = (prefix, router) => {
+  const app = express();
+  app.use(express.json({ limit: "10mb" }));
+  app.use(prefix, router);
+  return app;
+};
+
+let userCount = 0;
+
+// Store a user and start a session for them. Resolves to
+// { user, token, refreshToken, auth } where `auth` is the Authorization header.
+const createUser = async (fields = {}) => {
+  const tokenService = require("../services/tokenService");
+  userCount++;
+
+  const user = {
+    id: `${Date.now()}${userCount}`,
+    fullName: `Test User ${userCount}`,
+    email: `user${userCount}@example.com`,
+    password: "not-a-real-hash",
+    createdAt: new Date().toISOString(),
+    ...fields
+  };
+  await getRepository("users").update((users) => {
+    users.push(user);
+  });
+
+  const { token, refreshToken } = await tokenService.createSession(user);
+  return { user, token, refreshToken, auth: `Bearer ${token}` };
+};
+
+module.exports = {
+  dataDir,
+  createApp,
+  createUser,
+  request
+};
@@ -0,0 +1,80 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { createApp, createUser, request } = require("./helpers");
+const listeningHistoryService = require("../services/listeningHistoryService");
+const { getRepository } = require("../storage");
+const app = createApp("/api/history", require("../routes/historyRoutes"));
+
+const track = (n) => ({ id: `demo:${n}`, provider: "demo", providerId: String(n), title: `Song ${n}`, artist: "Band" });
+
+const play = (userId, n, minute, device = "web") => listeningHistoryService.recordPlay(userId, {
+  track: track(n),
+  duration: 120,
+  device,
+  playedAt: new Date(Date.UTC(2026, 0, 1, 12, minute)).toISOString()
+});
+
+test("history is listed newest first, paginated and filtered by date", async () => {
+  const { user, auth } = await createUser();
+  for (const minute of [0, 1, 2]) {
+    await play(user.id, minute, minute);
+  }
+
+  const page = await request(app).get("/api/history?limit=2").set("Authorization", auth);
+  assert.deepStrictEqual(page.body.history.map(entry => entry.trackId), ["demo:2", "demo:1"]);
+  assert.deepStrictEqual(page.body.pagination, { page: 1, limit: 2, total: 3, totalPages: 2 });
+
+  const ranged = await request(app).get("/api/history").query({ from: "2026-01-01T12:01:00Z" }).set("Authorization", auth);
+  assert.strictEqual(ranged.body.history.length, 2);
+
+  const invalid = await request(app).get("/api/history?from=yesterday").set("Authorization", auth);
+  assert.strictEqual(invalid.status, 400);
+  assert.strictEqual((await request(app).get("/api/history")).status, 401);
+});
+
+test("recently played lists each track once with its play count", async () => {
+  const { user, auth } = await createUser();
+  await play(user.id, 1, 0);
+  await play(user.id, 2, 1, { type: "Mobile", name: "Phone" });
+  await play(user.id, 1, 2);
+
+  const { body } = await request(app).get("/api/history/recent").set("Authorization", auth);
+  assert.deepStrictEqual(body.tracks.map(entry => [entry.trackId, entry.playCount]), [["demo:1", 2], ["demo:2", 1]]);
+  assert.deepStrictEqual(body.tracks[1].device, { type: "mobile", name: "Phone" });
+});
+
+test("a paused history records nothing until resumed", async () => {
+  const { user, auth } = await createUser();
+
+  const paused = await request(app).patch("/api/history/settings").set("Authorization", auth).send({ paused: true });
+  assert.strictEqual(paused.body.paused, true);
+  assert.deepStrictEqual(await play(user.id, 1, 0), { paused: true });
+
+  await request(app).patch("/api/history/settings").set("Authorization", auth).send({ paused: false });
+  assert.ok((await play(user.id, 1, 1)).entry);
+
+  const invalid = await request(app).patch("/api/history/settings").set("Authorization", auth).send({ paused: "yes" });
+  assert.strictEqual(invalid.status, 400);
+});
+
+test("entries can be deleted one by one or all at once", async () => {
+  const { user, auth } = await createUser();
+  const { entry } = await play(user.id, 1, 0);
+  await play(user.id, 2, 1);
+
+  assert.strictEqual((await request(app).delete(`/api/history/${entry.id}`).set("Authorization", auth)).status, 200);
+  assert.strictEqual((await request(app).delete(`/api/history/${entry.id}`).set("Authorization", auth)).status, 404);
+
+  const cleared = await request(app).delete("/api/history").set("Authorization", auth);
+  assert.strictEqual(cleared.body.removed, 1);
+});
+
+test("plays from the old stats history are carried over", async () => {
+  const { user, auth } = await createUser();
+  await getRepository("userStats").update((stats) => {
+    stats[user.id] = { playHistory: [{ songId: "demo_4", timestamp: "2025-06-01T10:00:00.000Z", duration: 200 }, { songId: "demo:5" }] };
+  });
+
+  const { body } = await request(app).get("/api/history").set("Authorization", auth);
+  assert.deepStrictEqual(body.history.map(entry => [entry.trackId, entry.duration]), [["demo:4", 200]]);
+});
@@ -0,0 +1,67 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { createApp, createUser, request } = require("./helpers");
+
+// Small enough to overflow in a test; read when the history service loads
+process.env.HISTORY_MAX_ENTRIES = "4";
+const listeningAnalyticsService = require("../services/listeningAnalyticsService");
+const app = createApp("/api/history", require("../routes/historyRoutes"));
+
+const listen = (day, title, artist = "Band") => ({
+  listened_at: Date.UTC(2026, 2, day, 12) / 1000,
+  track_metadata: { artist_name: artist, track_name: title }
+});
+
+const importListens = (auth, listens, extra = {}) => request(app).post("/api/history/import").set("Authorization", auth)
+  .send({ content: JSON.stringify(listens), ...extra });
+
+test("export and import reject inherited format names", async () => {
+  const { auth } = await createUser();
+
+  const exported = await request(app).get("/api/history/export?format=constructor").set("Authorization", auth);
+  assert.strictEqual(exported.status, 400);
+  assert.deepStrictEqual(exported.body.validFormats, ["listenbrainz", "lastfm"]);
+
+  const imported = await importListens(auth, [listen(1, "Song")], { format: "toString" });
+  assert.strictEqual(imported.status, 400);
+});
+
+test("plays already in the history are skipped, whichever service sent them", async () => {
+  const { auth } = await createUser();
+  const first = await importListens(auth, [listen(1, "Song"), listen(2, "Other")]);
+  assert.strictEqual(first.status, 201);
+  assert.strictEqual(first.body.summary.imported, 2);
+
+  // The same play from a Last.fm export, with different casing
+  const csv = `uts,utc_time,artist,artist_mbid,album,album_mbid,track,track_mbid\r\n${Date.UTC(2026, 2, 1, 12) / 1000},,band,,,,SONG,\r\n`;
+  const again = await request(app).post("/api/history/import").set("Authorization", auth).send({ content: csv });
+  assert.deepStrictEqual([again.body.summary.imported, again.body.summary.duplicates], [0, 1]);
+
+  const exported = await request(app).get("/api/history/export?format=lastfm").set("Authorization", auth);
+  assert.strictEqual(exported.text.trim().split("\r\n").length, 3);
+});
+
+test("only the plays kept under the history cap reach the analytics", async () => {
+  const { user, auth } = await createUser();
+  const range = { from: "2026-03-01", to: "2026-03-31", zone: "UTC" };
+  // Build the rollups before the import, so the import adds to them
+  assert.strictEqual((await listeningAnalyticsService.listeningOverTime(user.id, range)).totals.plays, 0);
+
+  const res = await importListens(auth, [1, 2, 3, 4, 5, 6].map(day => listen(day, `Song ${day}`)));
+  assert.deepStrictEqual([res.body.summary.imported, res.body.summary.trimmed], [4, 2]);
+
+  const { series, totals } = await listeningAnalyticsService.listeningOverTime(user.id, range);
+  assert.strictEqual(totals.plays, 4);
+  assert.deepStrictEqual(series.filter(day => day.plays > 0).map(day => day.period), ["2026-03-03", "2026-03-04", "2026-03-05", "2026-03-06"]);
+});
+
+test("rows with out-of-range timestamps are rejected on their own", async () => {
+  const { auth } = await createUser();
+  const res = await importListens(auth, [listen(7, "Song"), { ...listen(8, "Far future"), listened_at: 1e14 }]);
+  assert.strictEqual(res.status, 201);
+  assert.deepStrictEqual([res.body.summary.imported, res.body.summary.invalid], [1, 1]);
+
+  const csv = `uts,artist,album,track\r\n${Date.UTC(2026, 2, 9, 12) / 1000},Band,,Other\r\n100000000000000,Band,,Later\r\n`;
+  const lastfm = await request(app).post("/api/history/import").set("Authorization", auth).send({ content: csv });
+  assert.deepStrictEqual([lastfm.body.summary.imported, lastfm.body.summary.invalid], [1, 1]);
+});
@@ -0,0 +1,46 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const express = require("express");
+const { createUser, request } = require("./helpers");
+
+const app = express();
+app.use(express.json());
+app.use("/api/playlists", require("../routes/playlistRoutes"));
+app.use("/api/stats", require("../routes/statsRoutes"));
+
+const song = { id: "demo:1", title: "Neon Rain", artist: "Nova Drift" };
+
+test("routes refuse requests without a token", async () => {
+  const res = await request(app).post("/api/playlists/create").send({ name: "Mine" });
+  assert.strictEqual(res.status, 401);
+});
+
+test("writes act on the token's user, not one named in the body", async () => {
+  const owner = await createUser();
+  const other = await createUser();
+
+  const spoofed = await request(app).post("/api/playlists/like-song").set("Authorization", owner.auth)
+    .send({ userId: other.user.id, song });
+  assert.strictEqual(spoofed.status, 403);
+
+  const liked = await request(app).post("/api/playlists/like-song").set("Authorization", owner.auth).send({ song });
+  assert.strictEqual(liked.body.liked, true);
+
+  const check = await request(app).get(`/api/playlists/${owner.user.id}/liked/demo:1`).set("Authorization", owner.auth);
+  assert.strictEqual(check.body.liked, true);
+});
+
+test("another user's liked songs and stats are off limits", async () => {
+  const owner = await createUser();
+  const other = await createUser();
+
+  const liked = await request(app).get(`/api/playlists/${owner.user.id}/liked-songs`).set("Authorization", other.auth);
+  assert.strictEqual(liked.status, 403);
+
+  const stats = await request(app).get(`/api/stats/${owner.user.id}`).set("Authorization", other.auth);
+  assert.strictEqual(stats.status, 403);
+
+  const own = await request(app).get(`/api/stats/${owner.user.id}`).set("Authorization", owner.auth);
+  assert.strictEqual(own.status, 200);
+  assert.strictEqual(own.body.songsPlayed, 0);
+});
@@ -0,0 +1,89 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const { execFileSync } = require("child_process");
+const { createApp, request } = require("./helpers");
+const mailService = require("../services/mailService");
+const app = createApp("/api/auth", require("../routes/authRoutes"));
+
+const outbox = process.env.MAIL_OUTBOX_DIR;
+
+// The reset mail is sent after the response; wait for it to land
+const waitForMail = async (to) => {
+  for (let i = 0; i < 50; i++) {
+    const messages = fs.existsSync(outbox)
+      ? fs.readdirSync(outbox).map(file => JSON.parse(fs.readFileSync(path.join(outbox, file), "utf8")))
+      : [];
+    const message = messages.find(m => m.to === to);
+    if (message) {
+      return message;
+    }
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  throw new Error(`No mail for ${to}`);
+};
+
+test("a reset link sets a new password once and signs out every session", async () => {
+  const email = "reset@example.com";
+  const registered = await request(app).post("/api/auth/register")
+    .send({ fullName: "Reset Me", email, password: "oldpass1" });
+
+  const asked = await request(app).post("/api/auth/forgot-password").send({ email });
+  assert.strictEqual(asked.status, 200);
+
+  const message = await waitForMail(email);
+  const token = decodeURIComponent(message.text.match(/token=(\S+)/)[1]);
+
+  const reset = await request(app).post("/api/auth/reset-password").send({ token, newPassword: "newpass1" });
+  assert.strictEqual(reset.status, 200);
+  assert.strictEqual(reset.body.revokedSessions, 1);
+
+  const reused = await request(app).post("/api/auth/reset-password").send({ token, newPassword: "another1" });
+  assert.strictEqual(reused.status, 400);
+
+  const oldSession = await request(app).get("/api/auth/profile").set("Authorization", `Bearer ${registered.body.token}`);
+  assert.strictEqual(oldSession.status, 401);
+
+  const login = await request(app).post("/api/auth/login").send({ email, password: "newpass1" });
+  assert.strictEqual(login.status, 200);
+});
+
+test("unknown emails get the same answer", async () => {
+  const known = await request(app).post("/api/auth/forgot-password").send({ email: "reset@example.com" });
+  const unknown = await request(app).post("/api/auth/forgot-password").send({ email: "nobody@example.com" });
+  assert.strictEqual(unknown.status, known.status);
+  assert.deepStrictEqual(unknown.body, known.body);
+});
+
+test("non-string passwords and tokens are rejected", async () => {
+  const numeric = await request(app).post("/api/auth/reset-password").send({ token: "abc", newPassword: 12345678 });
+  assert.strictEqual(numeric.status, 400);
+
+  const objectToken = await request(app).post("/api/auth/reset-password").send({ token: { a: 1 }, newPassword: "newpass1" });
+  assert.strictEqual(objectToken.status, 400);
+});
+
+test("the outbox logs recipient and subject, never the body", async () => {
+  const logged = [];
+  const log = console.log;
+  console.log = (...args) => logged.push(args.join(" "));
+  try {
+    await mailService.send({ to: "someone@example.com", subject: "Hello", text: "secret-link-123" });
+  } finally {
+    console.log = log;
+  }
+
+  assert.ok(logged.some(line => line.includes("someone@example.com") && line.includes("Hello")));
+  assert.ok(logged.every(line => !line.includes("secret-link-123")));
+});
+
+test("production refuses to start without an explicit mail transport", () => {
+  const env = { ...process.env, NODE_ENV: "production" };
+  delete env.MAIL_TRANSPORT;
+
+  assert.throws(
+    () => execFileSync(process.execPath, ["-e", "require('./services/mailService')"], { env, stdio: "pipe", cwd: path.join(__dirname, "..") }),
+    /MAIL_TRANSPORT must be set in production/
+  );
+});
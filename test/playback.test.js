@@ -0,0 +1,121 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { createApp, createUser, request } = require("./helpers");
+const { getRepository } = require("../storage");
+
+const app = createApp("/api/playback", require("../routes/playbackRoutes"));
+const statsApp = createApp("/api/stats", require("../routes/statsRoutes"));
+const song = { id: "demo:1", provider: "demo", providerId: "1", title: "Song", artist: "Band", duration: 200 };
+
+// Move a session's clock back, as if `seconds` had passed since its last event
+const rewind = (userId, sessionId, seconds) => getRepository("playbackSessions").update((all) => {
+  const session = all[userId][sessionId];
+  const shift = (value) => value && new Date(new Date(value).getTime() - seconds * 1000).toISOString();
+  session.segmentStartedAt = shift(session.segmentStartedAt);
+  session.updatedAt = shift(session.updatedAt);
+});
+
+const start = async ({ auth }) => {
+  const res = await request(app).post("/api/playback/sessions").set("Authorization", auth).send({ song, device: "web" });
+  assert.strictEqual(res.status, 201);
+  return res.body.session.id;
+};
+
+const event = (auth, sessionId, type) => request(app).post(`/api/playback/sessions/${sessionId}/events`).set("Authorization", auth).send({ type });
+
+test("a play counts once enough of it was heard, and not again within the repeat window", async () => {
+  const user = await createUser();
+
+  const skipped = await start(user);
+  await rewind(user.user.id, skipped, 10);
+  const early = await event(user.auth, skipped, "skip");
+  assert.deepStrictEqual([early.body.session.play.counted, early.body.session.play.reason], [false, "too_short"]);
+
+  const listened = await start(user);
+  await rewind(user.user.id, listened, 45);
+  const counted = await event(user.auth, listened, "skip");
+  assert.strictEqual(counted.body.session.play.counted, true);
+
+  const again = await start(user);
+  await rewind(user.user.id, again, 45);
+  const repeat = await event(user.auth, again, "skip");
+  assert.strictEqual(repeat.body.session.play.reason, "repeat");
+});
+
+test("the repeat window is kept with the user's stats", async () => {
+  const user = await createUser();
+  const sessionId = await start(user);
+  await rewind(user.user.id, sessionId, 60);
+  await event(user.auth, sessionId, "complete");
+
+  const stats = (await getRepository("userStats").read())[user.user.id];
+  assert.strictEqual(stats.songsPlayed, 1);
+  assert.deepStrictEqual(Object.keys(stats.lastCounted), ["demo:1"]);
+});
+
+test("idle sessions are ended and counted when they are next looked at", async () => {
+  const user = await createUser();
+  const sessionId = await start(user);
+  await rewind(user.user.id, sessionId, 5 * 60 * 60);
+
+  const open = await request(app).get("/api/playback/sessions").set("Authorization", user.auth);
+  assert.strictEqual(open.body.count, 0);
+
+  const { body } = await request(app).get(`/api/playback/sessions/${sessionId}`).set("Authorization", user.auth);
+  assert.strictEqual(body.session.endReason, "expired");
+  assert.strictEqual(body.session.play.counted, true);
+
+  const late = await event(user.auth, sessionId, "pause");
+  assert.strictEqual(late.status, 409);
+});
+
+test("inherited property names are not sessions", async () => {
+  const user = await createUser();
+  await start(user);
+
+  for (const sessionId of ["constructor", "__proto__", "toString"]) {
+    assert.strictEqual((await request(app).get(`/api/playback/sessions/${sessionId}`).set("Authorization", user.auth)).status, 404);
+    assert.strictEqual((await event(user.auth, sessionId, "pause")).status, 404);
+  }
+});
+
+test("client-timed plays go through the same rules", async () => {
+  const user = await createUser();
+  const trackPlay = (body) => request(statsApp).post("/api/stats/track-play").set("Authorization", user.auth)
+    .send({ userId: user.user.id, songId: "demo:1", ...body });
+
+  const short = await trackPlay({ duration: 10 });
+  assert.deepStrictEqual([short.status, short.body.counted, short.body.reason], [200, false, "too_short"]);
+
+  assert.strictEqual((await trackPlay({ duration: 60 })).body.counted, true);
+  assert.strictEqual((await trackPlay({ duration: 60 })).body.reason, "repeat");
+  assert.strictEqual((await getRepository("userStats").read())[user.user.id].songsPlayed, 1);
+});
+
+test("a client-sent duration cannot shorten the listening a play needs", async () => {
+  const user = await createUser();
+  const start = (body) => request(app).post("/api/playback/sessions").set("Authorization", user.auth).send({ device: "web", ...body });
+
+  // The demo catalog knows demo:1, so its duration wins
+  const known = await start({ song: { ...song, duration: 2 } });
+  assert.strictEqual(known.body.session.required, 30);
+
+  const unknown = await start({ song: { id: "imported:x1", provider: "imported", title: "Mystery", artist: "Band", duration: 2 } });
+  assert.deepStrictEqual([unknown.body.session.duration, unknown.body.session.required], [null, 30]);
+});
+
+test("starting more sessions than allowed ends the least recently active", async () => {
+  const user = await createUser();
+  const limit = require("../services/playbackSessionService").MAX_OPEN_SESSIONS_PER_USER;
+
+  let first;
+  for (let i = 0; i <= limit; i++) {
+    const res = await request(app).post("/api/playback/sessions").set("Authorization", user.auth).send({ song, device: { type: "web", name: `tab ${i}` } });
+    first = first || res.body.session.id;
+  }
+
+  const open = await request(app).get("/api/playback/sessions").set("Authorization", user.auth);
+  assert.strictEqual(open.body.count, limit);
+  const { body } = await request(app).get(`/api/playback/sessions/${first}`).set("Authorization", user.auth);
+  assert.strictEqual(body.session.endReason, "evicted");
+});
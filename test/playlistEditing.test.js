@@ -0,0 +1,66 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { createApp, createUser, request } = require("./helpers");
+const app = createApp("/api/playlists", require("../routes/playlistRoutes"));
+
+const song = (n) => ({ id: `demo:${n}`, title: `Song ${n}`, artist: `Artist ${n}` });
+
+const createPlaylist = async (auth, songs = []) => {
+  const { body } = await request(app).post("/api/playlists/create").set("Authorization", auth).send({ name: "Road Trip" });
+  for (const entry of songs) {
+    await request(app).post("/api/playlists/add-song").set("Authorization", auth)
+      .send({ playlistId: body.playlist.id, song: entry });
+  }
+  return body.playlist.id;
+};
+
+const songIds = async (auth, userId, playlistId) => {
+  const { body } = await request(app).get(`/api/playlists/${userId}`).set("Authorization", auth);
+  return body.find(playlist => playlist.id === playlistId).songs.map(entry => entry.id);
+};
+
+test("rename, describe and publish a playlist", async () => {
+  const { auth } = await createUser();
+  const playlistId = await createPlaylist(auth);
+
+  const res = await request(app).patch(`/api/playlists/${playlistId}`).set("Authorization", auth)
+    .send({ name: "  Night Drive ", description: "Late", isPublic: true });
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.body.playlist.name, "Night Drive");
+  assert.strictEqual(res.body.playlist.isPublic, true);
+
+  const invalid = await request(app).patch(`/api/playlists/${playlistId}`).set("Authorization", auth).send({ isPublic: "yes" });
+  assert.strictEqual(invalid.status, 400);
+});
+
+test("songs are inserted at a position and moved in blocks", async () => {
+  const { auth, user } = await createUser();
+  const playlistId = await createPlaylist(auth, [song(1), song(2), song(3)]);
+
+  const inserted = await request(app).post("/api/playlists/add-song").set("Authorization", auth)
+    .send({ playlistId, song: song(4), position: 0 });
+  assert.strictEqual(inserted.body.position, 0);
+  assert.deepStrictEqual(await songIds(auth, user.id, playlistId), ["demo:4", "demo:1", "demo:2", "demo:3"]);
+
+  const moved = await request(app).post("/api/playlists/move-song").set("Authorization", auth)
+    .send({ playlistId, from: 0, to: 2, count: 2 });
+  assert.strictEqual(moved.status, 200);
+  assert.deepStrictEqual(moved.body.songs.map(entry => entry.id), ["demo:2", "demo:3", "demo:4", "demo:1"]);
+
+  const outOfRange = await request(app).post("/api/playlists/move-song").set("Authorization", auth)
+    .send({ playlistId, from: 3, to: 0, count: 2 });
+  assert.strictEqual(outOfRange.status, 400);
+});
+
+test("removing by position only drops that entry", async () => {
+  const { auth, user } = await createUser();
+  const playlistId = await createPlaylist(auth, [song(1), song(2), song(1)]);
+
+  const mismatch = await request(app).post("/api/playlists/remove-song").set("Authorization", auth)
+    .send({ playlistId, songId: "demo:2", position: 0 });
+  assert.strictEqual(mismatch.status, 400);
+
+  await request(app).post("/api/playlists/remove-song").set("Authorization", auth)
+    .send({ playlistId, songId: "demo:1", position: 2 });
+  assert.deepStrictEqual(await songIds(auth, user.id, playlistId), ["demo:1", "demo:2"]);
+});
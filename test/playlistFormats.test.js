@@ -0,0 +1,88 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { createApp, createUser, request } = require("./helpers");
+const playlistFormats = require("../services/playlistFormats");
+const app = createApp("/api/playlists", require("../routes/playlistRoutes"));
+
+const playlist = {
+  name: "Formulas",
+  songs: [
+    { id: "demo:1", title: "=HYPERLINK(\"http://evil\")", artist: "+Artist", album: "@Album", duration: 200 },
+    { id: "demo:2", title: "-Intro", artist: "Plain", duration: 90 }
+  ]
+};
+
+test("CSV export neutralises formula cells and import restores them", () => {
+  const { body } = playlistFormats.serialize(playlist, "csv");
+  const firstRow = body.split("\r\n")[1];
+
+  assert.ok(firstRow.startsWith("\"'=HYPERLINK("));
+  assert.ok(firstRow.includes(",'+Artist,'@Album,"));
+
+  const parsed = playlistFormats.parse(body, "csv");
+  assert.deepStrictEqual(parsed.entries.map(entry => entry.title), ["=HYPERLINK(\"http://evil\")", "-Intro"]);
+  assert.strictEqual(parsed.entries[0].artist, "+Artist");
+});
+
+test("serialize and parse reject inherited format names", () => {
+  assert.ok(playlistFormats.isFormat("m3u"));
+  assert.ok(!playlistFormats.isFormat("constructor"));
+  assert.throws(() => playlistFormats.serialize(playlist, "constructor"), playlistFormats.PlaylistFormatError);
+  assert.throws(() => playlistFormats.parse("#EXTM3U", "toString"), playlistFormats.PlaylistFormatError);
+});
+
+test("export and import routes answer 400 for inherited format names", async () => {
+  const { auth, user } = await createUser();
+  const { body } = await request(app).post("/api/playlists/create").set("Authorization", auth).send({ name: "Mix" });
+
+  const exported = await request(app).get(`/api/playlists/${body.playlist.id}/export?format=constructor`).set("Authorization", auth);
+  assert.strictEqual(exported.status, 400);
+
+  const imported = await request(app).post("/api/playlists/import").set("Authorization", auth)
+    .send({ userId: user.id, content: "#EXTM3U\n", format: "__proto__" });
+  assert.strictEqual(imported.status, 400);
+  assert.ok(imported.body.validFormats.includes("m3u"));
+});
+
+test("an exported playlist round-trips through every format", async () => {
+  for (const format of Object.keys(playlistFormats.FORMATS)) {
+    const { body } = playlistFormats.serialize(playlist, format);
+    const parsed = playlistFormats.parse(body);
+    assert.strictEqual(parsed.format, format);
+    assert.deepStrictEqual(parsed.entries.map(entry => entry.title), playlist.songs.map(song => song.title));
+  }
+});
+
+test("XSPF entries keep the line they start on", () => {
+  const { body } = playlistFormats.serialize(playlist, "xspf");
+  const lines = body.split("\n");
+  const parsed = playlistFormats.parse(body, "xspf");
+
+  assert.deepStrictEqual(parsed.entries.map(entry => entry.line),
+    lines.flatMap((line, i) => (line.includes("<track>") ? [i + 1] : [])));
+});
+
+test("parsing stops once a file has more entries than allowed", async () => {
+  const big = { name: "Big", songs: Array.from({ length: 501 }, (_, i) => ({ id: `demo:${i}`, title: `Song ${i}` })) };
+
+  for (const format of Object.keys(playlistFormats.FORMATS)) {
+    const { body } = playlistFormats.serialize(big, format);
+    assert.throws(() => playlistFormats.parse(body, format, { maxEntries: 500 }), /at most 500 tracks/);
+  }
+
+  const { auth, user } = await createUser();
+  const res = await request(app).post("/api/playlists/import").set("Authorization", auth)
+    .send({ userId: user.id, content: playlistFormats.serialize(big, "xspf").body });
+  assert.strictEqual(res.status, 400);
+  assert.strictEqual(res.body.error, "Files can have at most 500 tracks");
+});
+
+test("out-of-range XML character references are a format error", async () => {
+  const content = "<playlist><trackList><track><title>&#99999999;</title></track></trackList></playlist>";
+  assert.throws(() => playlistFormats.parse(content, "xspf"), playlistFormats.PlaylistFormatError);
+
+  const { auth, user } = await createUser();
+  const res = await request(app).post("/api/playlists/import").set("Authorization", auth).send({ userId: user.id, content });
+  assert.strictEqual(res.status, 400);
+  assert.match(res.body.error, /Invalid character reference/);
+});
@@ -0,0 +1,64 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { createApp, createUser, request } = require("./helpers");
+const app = createApp("/api/playlists", require("../routes/playlistRoutes"));
+
+const song = { id: "demo:1", title: "Neon Rain", artist: "Nova Drift" };
+
+const createSharedPlaylist = async (owner, body = {}) => {
+  const created = await request(app).post("/api/playlists/create").set("Authorization", owner.auth).send({ name: "Shared" });
+  const playlistId = created.body.playlist.id;
+  await request(app).post("/api/playlists/add-song").set("Authorization", owner.auth).send({ playlistId, song });
+
+  const share = await request(app).post(`/api/playlists/${playlistId}/share`).set("Authorization", owner.auth).send(body);
+  return { playlistId, share };
+};
+
+test("anyone with the link sees the tracks; a new link revokes the old one", async () => {
+  const owner = await createUser();
+  const { playlistId, share } = await createSharedPlaylist(owner);
+  assert.strictEqual(share.status, 201);
+
+  const viewed = await request(app).get(`/api/playlists/shared/${share.body.token}`);
+  assert.strictEqual(viewed.status, 200);
+  assert.strictEqual(viewed.body.trackCount, 1);
+  assert.strictEqual(viewed.body.tracks[0].addedBy, undefined);
+
+  const replaced = await request(app).post(`/api/playlists/${playlistId}/share`).set("Authorization", owner.auth).send({});
+  assert.strictEqual((await request(app).get(`/api/playlists/shared/${share.body.token}`)).status, 404);
+  assert.strictEqual((await request(app).get(`/api/playlists/shared/${replaced.body.token}`)).status, 200);
+});
+
+test("recipients save a private copy", async () => {
+  const owner = await createUser();
+  const recipient = await createUser();
+  const { share } = await createSharedPlaylist(owner);
+
+  const copied = await request(app).post(`/api/playlists/shared/${share.body.token}/copy`).set("Authorization", recipient.auth);
+  assert.strictEqual(copied.status, 201);
+  assert.strictEqual(copied.body.playlist.isPublic, false);
+  assert.strictEqual(copied.body.playlist.songs[0].addedBy, recipient.user.id);
+});
+
+test("expiry is capped at a year", async () => {
+  const owner = await createUser();
+
+  const huge = await createSharedPlaylist(owner, { expiresInDays: 1e10 });
+  assert.strictEqual(huge.share.status, 400);
+
+  const negative = await createSharedPlaylist(owner, { expiresInDays: -1 });
+  assert.strictEqual(negative.share.status, 400);
+
+  const year = await createSharedPlaylist(owner, { expiresInDays: 365 });
+  assert.strictEqual(year.share.status, 201);
+  assert.ok(new Date(year.share.body.expiresAt) > new Date());
+});
+
+test("revoked links stop working", async () => {
+  const owner = await createUser();
+  const { playlistId, share } = await createSharedPlaylist(owner);
+
+  const revoked = await request(app).delete(`/api/playlists/${playlistId}/share`).set("Authorization", owner.auth);
+  assert.strictEqual(revoked.body.revoked, true);
+  assert.strictEqual((await request(app).get(`/api/playlists/shared/${share.body.token}`)).status, 404);
+});
@@ -0,0 +1,50 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const { createApp, createUser, dataDir, request } = require("./helpers");
+const profilePictureService = require("../services/profilePictureService");
+const app = createApp("/api/auth", require("../routes/authRoutes"));
+
+profilePictureService.uploadDir = path.join(dataDir, "profile-pictures");
+fs.mkdirSync(profilePictureService.uploadDir);
+
+const PNG = Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), Buffer.alloc(16)]);
+const JPEG = Buffer.concat([Buffer.from([0xff, 0xd8, 0xff, 0xe0]), Buffer.alloc(16)]);
+
+const upload = (auth, buffer, filename = "me.png") => request(app)
+  .post("/api/auth/profile-picture")
+  .set("Authorization", auth)
+  .attach("profilePicture", buffer, filename);
+
+test("uploading replaces the previous picture and removes its file", async () => {
+  const { auth } = await createUser();
+
+  const first = await upload(auth, PNG);
+  assert.strictEqual(first.status, 200);
+  assert.match(first.body.profilePicture, /\/uploads\/profile-pictures\/profile-.*\.png$/);
+
+  const second = await upload(auth, JPEG, "me.jpg");
+  assert.match(second.body.profilePicture, /\.jpeg$/);
+  assert.deepStrictEqual(fs.readdirSync(profilePictureService.uploadDir), [path.basename(second.body.profilePicture)]);
+
+  const profile = await request(app).get("/api/auth/profile").set("Authorization", auth);
+  assert.strictEqual(path.basename(profile.body.profilePicture), path.basename(second.body.profilePicture));
+});
+
+test("content is checked, not the file name", async () => {
+  const { auth } = await createUser();
+  const res = await upload(auth, Buffer.from("<svg></svg>"), "picture.png");
+  assert.strictEqual(res.status, 400);
+});
+
+test("deleting a picture clears it", async () => {
+  const { auth } = await createUser();
+  await upload(auth, PNG);
+
+  const deleted = await request(app).delete("/api/auth/profile-picture").set("Authorization", auth);
+  assert.strictEqual(deleted.status, 200);
+
+  const again = await request(app).delete("/api/auth/profile-picture").set("Authorization", auth);
+  assert.strictEqual(again.status, 404);
+});
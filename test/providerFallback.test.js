@@ -0,0 +1,70 @@
+const { test, mock, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert");
+const { createApp, request } = require("./helpers");
+const providerRegistry = require("../services/providerRegistry");
+const spotifyService = require("../services/spotifyService");
+const musicService = require("../services/musicService");
+const { jamendoApi } = require("../config/apis");
+const { UpstreamError } = require("../services/upstreamClient");
+const app = createApp("/api/music", require("../routes/musicRoutes"));
+
+const httpError = (status) => Object.assign(new Error(`Request failed with status code ${status}`), {
+  isAxiosError: true,
+  response: { status }
+});
+
+beforeEach(() => {
+  providerRegistry.setPriority(["spotify", "demo"]);
+  // Healthy as far as the health check can tell
+  mock.method(spotifyService, "getAccessToken", async () => "token");
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  providerRegistry.setPriority(["demo"]);
+});
+
+test("Spotify failures fall through to the next provider instead of empty results", async () => {
+  mock.method(spotifyService, "makeRequest", async () => { throw httpError(500); });
+
+  const categories = await providerRegistry.invoke("categories", service => service.getCategories(5));
+  assert.strictEqual(categories.provider.name, "demo");
+  assert.ok(categories.result.length > 0);
+
+  const trending = await providerRegistry.invoke("trending", service => service.getTrendingTracks(5));
+  assert.strictEqual(trending.provider.name, "demo");
+
+  const recommendations = await providerRegistry.invoke("recommendations", service => service.getRecommendations(["pop"], 5));
+  assert.strictEqual(recommendations.provider.name, "demo");
+});
+
+test("Jamendo recommendation failures fall through instead of an empty list", async () => {
+  providerRegistry.setPriority(["jamendo", "demo"]);
+  mock.method(musicService, "healthCheck", async () => ({ status: "OK" }));
+  mock.method(jamendoApi, "get", async () => { throw httpError(503); });
+
+  await assert.rejects(musicService.getSongsByGenre("rock", 5), /status code 503/);
+  const recommendations = await providerRegistry.invoke("recommendations", service => service.getRecommendations(["rock"], 5));
+  assert.strictEqual(recommendations.provider.name, "demo");
+});
+
+test("one failed call does not take the provider out of the chain", async () => {
+  const makeRequest = mock.method(spotifyService, "makeRequest", async () => { throw httpError(502); });
+  await providerRegistry.invoke("categories", service => service.getCategories(3));
+
+  makeRequest.mock.mockImplementation(async () => ({ categories: { items: [{ id: "pop", name: "Pop", icons: [] }] } }));
+  const { provider, result } = await providerRegistry.invoke("categories", service => service.getCategories(3));
+  assert.strictEqual(provider.name, "spotify");
+  assert.deepStrictEqual(result.map(category => category.id), ["pop"]);
+});
+
+test("track details answer 404 only for unknown tracks and 502/503 for upstream trouble", async () => {
+  const makeRequest = mock.method(spotifyService, "makeRequest", async () => { throw httpError(404); });
+  assert.strictEqual((await request(app).get("/api/music/track/spotify:missing")).status, 404);
+
+  makeRequest.mock.mockImplementation(async () => { throw httpError(500); });
+  assert.strictEqual((await request(app).get("/api/music/track/spotify:broken")).status, 502);
+
+  makeRequest.mock.mockImplementation(async () => { throw new UpstreamError("spotify is temporarily unavailable (circuit open)", "CIRCUIT_OPEN"); });
+  assert.strictEqual((await request(app).get("/api/music/track/spotify:shed")).status, 503);
+});
@@ -0,0 +1,60 @@
+const { test, afterEach } = require("node:test");
+const assert = require("node:assert");
+const { createApp, createUser, request } = require("./helpers");
+const providerRegistry = require("../services/providerRegistry");
+const app = createApp("/api/music", require("../routes/musicRoutes"));
+
+afterEach(() => providerRegistry.setPriority(["demo"]));
+
+test("providers are registered by name with their capabilities", () => {
+  assert.deepStrictEqual(providerRegistry.names().sort(), ["demo", "itunes", "jamendo", "spotify"]);
+  assert.deepStrictEqual(providerRegistry.getPriority(), ["demo"]);
+  assert.ok(providerRegistry.get("demo").capabilities.search);
+  assert.ok(!providerRegistry.get("itunes").capabilities.categories);
+  assert.throws(() => providerRegistry.setPriority(["napster"]), providerRegistry.ProviderError);
+});
+
+test("selecting a provider keeps the rest of the chain behind it", () => {
+  providerRegistry.setPriority(["demo", "itunes"]);
+  providerRegistry.select("itunes");
+  assert.deepStrictEqual(providerRegistry.getPriority(), ["itunes", "demo"]);
+  assert.deepStrictEqual(providerRegistry.chain("categories").map(provider => provider.name), ["demo"]);
+});
+
+test("only admins can switch providers", async () => {
+  const anonymous = await request(app).post("/api/music/switch-mode").send({ provider: "itunes" });
+  assert.strictEqual(anonymous.status, 401);
+
+  const { auth } = await createUser();
+  const forbidden = await request(app).post("/api/music/switch-mode").set("Authorization", auth).send({ provider: "itunes" });
+  assert.strictEqual(forbidden.status, 403);
+  assert.deepStrictEqual(providerRegistry.getPriority(), ["demo"]);
+
+  const admin = await createUser({ role: "admin" });
+  const switched = await request(app).post("/api/music/switch-mode").set("Authorization", admin.auth)
+    .send({ priority: ["itunes", "demo"] });
+  assert.strictEqual(switched.status, 200);
+  assert.deepStrictEqual(switched.body.priority, ["itunes", "demo"]);
+
+  const unknown = await request(app).post("/api/music/switch-mode").set("Authorization", admin.auth).send({ provider: "napster" });
+  assert.strictEqual(unknown.status, 400);
+});
+
+test("service-info describes every registered provider", async () => {
+  const res = await request(app).get("/api/music/service-info");
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.body.current.name, "demo");
+  assert.strictEqual(res.body.providers.length, providerRegistry.names().length);
+});
+
+test("service-info only offers switching to admins", async () => {
+  const canSwitch = async (auth) => {
+    const req = request(app).get("/api/music/service-info");
+    return (await (auth ? req.set("Authorization", auth) : req)).body.switching.canSwitch;
+  };
+
+  assert.strictEqual(await canSwitch(), false);
+  assert.strictEqual(await canSwitch("Bearer not-a-token"), false);
+  assert.strictEqual(await canSwitch((await createUser()).auth), false);
+  assert.strictEqual(await canSwitch((await createUser({ role: "admin" })).auth), true);
+});
@@ -0,0 +1,81 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { createApp, createUser, request } = require("./helpers");
+const app = createApp("/api/ratings", require("../routes/ratingRoutes"));
+
+test("ratings are summarised per track", async () => {
+  const first = await createUser();
+  const second = await createUser();
+
+  await request(app).put("/api/ratings/demo:20").set("Authorization", first.auth).send({ rating: 5 });
+  const res = await request(app).put("/api/ratings/demo:20").set("Authorization", second.auth).send({ rating: 3 });
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.body.summary.votes, 2);
+  assert.strictEqual(res.body.summary.average, 4);
+
+  const mine = await request(app).get("/api/ratings/demo:20/mine").set("Authorization", first.auth);
+  assert.strictEqual(mine.body.rating, 5);
+});
+
+test("genre comes from the provider, not the client", async () => {
+  const { auth } = await createUser();
+  const res = await request(app).put("/api/ratings/demo:6").set("Authorization", auth)
+    .send({ rating: 4, genre: "Made Up" });
+  assert.strictEqual(res.body.summary.genre, "Pop");
+
+  const top = await request(app).get("/api/ratings/top?genre=pop&minVotes=1");
+  assert.ok(top.body.tracks.some(track => track.trackId === "demo:6"));
+});
+
+test("unknown tracks need a title and artist", async () => {
+  const { auth } = await createUser();
+  const missing = await request(app).put("/api/ratings/jamendo:1").set("Authorization", auth).send({ rating: 4 });
+  assert.strictEqual(missing.status, 400);
+
+  const named = await request(app).put("/api/ratings/jamendo:1").set("Authorization", auth)
+    .send({ rating: 4, songTitle: "Song", songArtist: "Artist" });
+  assert.strictEqual(named.status, 200);
+  assert.strictEqual(named.body.summary.genre, null);
+});
+
+test("reserved keys are rejected and never reach Object.prototype", async () => {
+  const { auth } = await createUser();
+
+  for (const trackId of ["__proto__", "constructor", "prototype"]) {
+    const res = await request(app).put(`/api/ratings/${trackId}`).set("Authorization", auth)
+      .send({ rating: 5, songTitle: "x", songArtist: "y" });
+    assert.strictEqual(res.status, 400);
+  }
+  assert.strictEqual(Object.prototype.genre, undefined);
+  assert.strictEqual(({}).ratings, undefined);
+
+  const summary = await request(app).get("/api/ratings/__proto__");
+  assert.strictEqual(summary.status, 400);
+});
+
+test("a user's rating history is only visible to them", async () => {
+  const owner = await createUser();
+  const other = await createUser();
+  await request(app).put("/api/ratings/demo:20").set("Authorization", owner.auth).send({ rating: 2 });
+
+  const anonymous = await request(app).get(`/api/ratings/user/${owner.user.id}`);
+  assert.strictEqual(anonymous.status, 401);
+
+  const stranger = await request(app).get(`/api/ratings/user/${owner.user.id}`).set("Authorization", other.auth);
+  assert.strictEqual(stranger.status, 403);
+
+  const self = await request(app).get(`/api/ratings/user/${owner.user.id}`).set("Authorization", owner.auth);
+  assert.strictEqual(self.body.length, 1);
+});
+
+test("removing a rating drops tracks nobody rates any more", async () => {
+  const { auth } = await createUser();
+  await request(app).put("/api/ratings/jamendo:2").set("Authorization", auth)
+    .send({ rating: 1, songTitle: "Song", songArtist: "Artist" });
+
+  const removed = await request(app).delete("/api/ratings/jamendo:2").set("Authorization", auth);
+  assert.strictEqual(removed.status, 200);
+
+  const again = await request(app).delete("/api/ratings/jamendo:2").set("Authorization", auth);
+  assert.strictEqual(again.status, 404);
+});
@@ -0,0 +1,67 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { createApp, createUser, request } = require("./helpers");
+
+// Small enough to fill in a test; read when the history service loads
+process.env.HISTORY_MAX_ENTRIES = "6";
+const listeningHistoryService = require("../services/listeningHistoryService");
+const app = createApp("/api/stats", require("../routes/statsRoutes"));
+
+const play = (userId, playedAt, n = 1) => listeningHistoryService.recordPlay(userId, {
+  track: { id: `demo:${n}`, provider: "demo", providerId: String(n), title: `Song ${n}`, artist: `Artist ${n}`, genre: "Pop" },
+  duration: 180,
+  playedAt
+});
+
+const recap = (user, period) => request(app).get(`/api/stats/${user.user.id}/recap`).query({ period }).set("Authorization", user.auth);
+
+test("plays count towards the month, weekday and hour of the user's time zone", async () => {
+  const user = await createUser({ timezone: "America/Los_Angeles" });
+  // Wednesday 30 September, 20:00 in Los Angeles
+  await play(user.user.id, "2026-10-01T03:00:00.000Z");
+  await play(user.user.id, "2026-10-01T03:30:00.000Z", 2);
+
+  const september = await recap(user, "2026-09");
+  assert.strictEqual(september.status, 200);
+  assert.strictEqual(september.body.period.timeZone, "America/Los_Angeles");
+  assert.deepStrictEqual([september.body.period.start, september.body.period.end], ["2026-09-01", "2026-10-01"]);
+  assert.strictEqual(september.body.totals.plays, 2);
+  assert.strictEqual(september.body.mostActiveDay.date, "2026-09-30");
+  assert.strictEqual(september.body.mostActiveWeekday.weekday, "Wednesday");
+  assert.strictEqual(september.body.mostActiveHour.hour, 20);
+
+  assert.strictEqual((await recap(user, "2026-10")).body.totals.plays, 0);
+});
+
+test("streaks follow local days", async () => {
+  const user = await createUser({ timezone: "Asia/Tokyo" });
+  // 1, 2 and 3 March in Tokyo, although the first two are one UTC day
+  for (const playedAt of ["2026-02-28T16:00:00.000Z", "2026-03-01T16:00:00.000Z", "2026-03-02T16:00:00.000Z"]) {
+    await play(user.user.id, playedAt);
+  }
+
+  const { body } = await recap(user, "2026-03");
+  assert.deepStrictEqual(body.longestStreak, { days: 3, start: "2026-03-01", end: "2026-03-03" });
+  assert.strictEqual(body.comparison.period, "2026-02");
+});
+
+test("a recap reports when the capped history no longer reaches the period start", async () => {
+  const user = await createUser();
+  await play(user.user.id, "2026-05-20T12:00:00.000Z");
+
+  const partial = await recap(user, "2026-05");
+  assert.strictEqual(partial.body.coverage.truncated, false);
+
+  for (let day = 1; day <= 6; day++) {
+    await play(user.user.id, `2026-06-${String(day).padStart(2, "0")}T12:00:00.000Z`);
+  }
+
+  const june = await recap(user, "2026-06");
+  assert.strictEqual(june.body.totals.plays, 6);
+  assert.strictEqual(june.body.coverage.truncated, false);
+  assert.strictEqual(june.body.comparison.truncated, true);
+
+  const year = await recap(user, "2026");
+  assert.strictEqual(year.body.coverage.truncated, true);
+  assert.strictEqual(year.body.coverage.oldestEntryAt, "2026-06-01T12:00:00.000Z");
+});
@@ -0,0 +1,75 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { createApp, createUser, request } = require("./helpers");
+const responseCache = require("../services/responseCache");
+const app = createApp("/api/music", require("../routes/musicRoutes"));
+
+// A provider whose calls are counted; `answer` decides what each call returns
+const countingService = (answer) => {
+  const service = {
+    calls: 0,
+    async searchTracks(query) {
+      service.calls++;
+      return answer(query, service.calls);
+    }
+  };
+  return service;
+};
+
+test("fresh entries are served from the cache and concurrent misses share a call", async () => {
+  const service = countingService(query => [{ id: `t:${query}` }]);
+  const cached = responseCache.wrapService("fresh-test", service, ["searchTracks"]);
+
+  const [first, second] = await Promise.all([cached.searchTracks("a"), cached.searchTracks("a")]);
+  assert.deepStrictEqual(first, second);
+  await cached.searchTracks("a");
+  await cached.searchTracks("b");
+
+  assert.strictEqual(service.calls, 2);
+  const stats = responseCache.report().endpoints.find(endpoint => endpoint.provider === "fresh-test");
+  assert.deepStrictEqual([stats.hits, stats.misses, stats.coalesced], [1, 3, 1]);
+});
+
+test("stale entries answer at once and are refreshed in the background", async () => {
+  const service = countingService((query, calls) => [{ id: `t:${calls}` }]);
+  const cached = responseCache.wrapService("stale-test", service, ["searchTracks"]);
+
+  await cached.searchTracks("q");
+  responseCache.memory.get(responseCache.key("stale-test", "searchTracks", ["q"])).freshUntil = 0;
+
+  assert.deepStrictEqual(await cached.searchTracks("q"), [{ id: "t:1" }]);
+  await new Promise(resolve => setImmediate(resolve));
+  assert.deepStrictEqual(await cached.searchTracks("q"), [{ id: "t:2" }]);
+});
+
+test("empty results and errors are never cached", async () => {
+  const service = countingService((query, calls) => {
+    if (calls === 1) throw new Error("upstream down");
+    return [];
+  });
+  const cached = responseCache.wrapService("empty-test", service, ["searchTracks"]);
+
+  await assert.rejects(cached.searchTracks("x"), /upstream down/);
+  assert.deepStrictEqual(await cached.searchTracks("x"), []);
+  await cached.searchTracks("x");
+  assert.strictEqual(service.calls, 3);
+});
+
+test("admins can read cache stats and invalidate entries", async () => {
+  const cached = responseCache.wrapService("demo", countingService(() => [{ id: "demo:1" }]), ["searchTracks"]);
+  await cached.searchTracks("love");
+
+  const { auth } = await createUser();
+  assert.strictEqual((await request(app).get("/api/music/admin/cache").set("Authorization", auth)).status, 403);
+
+  const admin = await createUser({ role: "admin" });
+  const stats = await request(app).get("/api/music/admin/cache").set("Authorization", admin.auth);
+  assert.strictEqual(stats.status, 200);
+  assert.ok(stats.body.cache.entries > 0);
+
+  const unknown = await request(app).delete("/api/music/admin/cache?provider=napster").set("Authorization", admin.auth);
+  assert.strictEqual(unknown.status, 400);
+
+  const removed = await request(app).delete("/api/music/admin/cache?provider=demo").set("Authorization", admin.auth);
+  assert.strictEqual(removed.body.removed, 1);
+});
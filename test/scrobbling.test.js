@@ -0,0 +1,88 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const http = require("http");
+const { createUser } = require("./helpers");
+const { getRepository } = require("../storage");
+
+// A stand-in ListenBrainz answering with `reply.status`
+const reply = { status: 200, requests: 0 };
+const server = http.createServer((req, res) => {
+  reply.requests++;
+  req.resume();
+  req.on("end", () => {
+    res.writeHead(reply.status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(reply.status === 200 ? { status: "ok" } : { error: "nope" }));
+  });
+});
+
+let scrobbleService;
+
+before(async () => {
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  // The API URL is read when the service loads
+  process.env.SCROBBLE_API_URL = `http://127.0.0.1:${server.address().port}`;
+  scrobbleService = require("../services/scrobbleService");
+});
+
+after(() => server.close());
+
+const queueFor = async (userId) => (await getRepository("scrobbleQueue").read()).filter(item => item.userId === userId);
+
+const connectWithPlay = async () => {
+  const { user } = await createUser();
+  await scrobbleService.connect(user.id, { token: "listenbrainz-token" });
+  await scrobbleService.enqueue(user.id, {
+    playedAt: "2026-03-01T12:00:00.000Z",
+    track: { id: "demo:1", title: "Song", artist: "Band", duration: 200 }
+  });
+  return user.id;
+};
+
+test("a failed submission is retried only after its backoff", async () => {
+  const userId = await connectWithPlay();
+
+  reply.status = 503;
+  assert.deepStrictEqual(await scrobbleService.flush(userId), { submitted: 0, failed: 1, dropped: 0 });
+  const [queued] = await queueFor(userId);
+  assert.strictEqual(queued.attempts, 1);
+  assert.ok(new Date(queued.nextAttemptAt).getTime() > Date.now() + 20 * 1000);
+
+  // Not due yet: nothing is sent
+  const sent = reply.requests;
+  reply.status = 200;
+  assert.deepStrictEqual(await scrobbleService.flush(userId), { submitted: 0, failed: 0, dropped: 0 });
+  assert.strictEqual(reply.requests, sent);
+
+  await getRepository("scrobbleQueue").update((queue) => {
+    queue.filter(item => item.userId === userId).forEach(item => { item.nextAttemptAt = new Date(Date.now() - 1000).toISOString(); });
+  });
+  assert.strictEqual((await scrobbleService.flush(userId)).submitted, 1);
+  assert.strictEqual((await scrobbleService.getStatus(userId)).submitted, 1);
+});
+
+test("rejected listens are dropped and a rejected token pauses the account", async () => {
+  const userId = await connectWithPlay();
+
+  reply.status = 400;
+  assert.strictEqual((await scrobbleService.flush(userId)).dropped, 1);
+  assert.strictEqual((await queueFor(userId)).length, 0);
+
+  await scrobbleService.enqueue(userId, { playedAt: "2026-03-02T12:00:00.000Z", track: { id: "demo:2", title: "Two", artist: "Band" } });
+  reply.status = 401;
+  await scrobbleService.flush(userId);
+
+  const status = await scrobbleService.getStatus(userId);
+  assert.strictEqual(status.enabled, false);
+  assert.strictEqual(status.pending, 1);
+  assert.match(status.lastError, /Token rejected/);
+});
+
+test("a flush for one user does not answer for another user's flush", async () => {
+  const first = await connectWithPlay();
+  const second = await connectWithPlay();
+
+  reply.status = 200;
+  const [a, b] = await Promise.all([scrobbleService.flush(first), scrobbleService.flush(second)]);
+  assert.deepStrictEqual([a.submitted, b.submitted], [1, 1]);
+  assert.deepStrictEqual([(await queueFor(first)).length, (await queueFor(second)).length], [0, 0]);
+});
@@ -0,0 +1,28 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { request } = require("./helpers");
+const app = require("../server");
+
+test("health endpoint answers", async () => {
+  const res = await request(app).get("/api/health");
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.body.status, "healthy");
+});
+
+test("every API router is mounted", async () => {
+  const res = await request(app).get("/api/does-not-exist");
+  assert.strictEqual(res.status, 404);
+
+  const prefixes = ["/api/auth", "/api/playlists", "/api/stats", "/api/search", "/api/music", "/api/feedback", "/api/ratings"];
+  prefixes.forEach(prefix => {
+    assert.ok(
+      res.body.availableEndpoints.some(endpoint => endpoint.split(" ")[1].startsWith(prefix)),
+      `no endpoints listed under ${prefix}`
+    );
+  });
+});
+
+test("protected routes reject requests without a token", async () => {
+  const res = await request(app).get("/api/auth/profile");
+  assert.strictEqual(res.status, 401);
+});
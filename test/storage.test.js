@@ -0,0 +1,101 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const { dataDir } = require("./helpers");
+const Repository = require("../storage/repository");
+const JsonBackend = require("../storage/jsonBackend");
+const { getRepository } = require("../storage");
+
+const hasSqlite = (() => {
+  try {
+    require("better-sqlite3");
+    return true;
+  } catch (error) {
+    return false;
+  }
+})();
+
+test("concurrent updates are applied one after another", async () => {
+  const repository = getRepository("userStats");
+
+  await Promise.all(Array.from({ length: 20 }, () => repository.update(async (stats) => {
+    const current = stats.counter || 0;
+    await new Promise(resolve => setImmediate(resolve));
+    stats.counter = current + 1;
+  })));
+
+  assert.strictEqual((await repository.read()).counter, 20);
+});
+
+test("a throwing mutator writes nothing and the queue keeps going", async () => {
+  const repository = getRepository("likedSongs");
+  await repository.update((liked) => {
+    liked.a = [];
+  });
+
+  await assert.rejects(repository.update((liked) => {
+    liked.b = [];
+    throw new Error("abort");
+  }), /abort/);
+
+  assert.deepStrictEqual(Object.keys(await repository.read()), ["a"]);
+  assert.strictEqual(await repository.update(() => "still running"), "still running");
+});
+
+test("collections start from their default value", async () => {
+  assert.deepStrictEqual(await getRepository("feedback").read(), []);
+  assert.throws(() => getRepository("nope"), /Unknown collection/);
+});
+
+test("a corrupt JSON file is reported instead of overwritten", async () => {
+  const dir = path.join(dataDir, "corrupt");
+  const backend = new JsonBackend(dir);
+  fs.writeFileSync(path.join(dir, "users.json"), "{ not json");
+
+  const repository = new Repository("users", backend, []);
+  await assert.rejects(repository.update(users => users.push({})), /Corrupt data file/);
+  assert.strictEqual(fs.readFileSync(path.join(dir, "users.json"), "utf8"), "{ not json");
+});
+
+test("the JSON backend leaves no temporary files behind", async () => {
+  const dir = path.join(dataDir, "atomic");
+  const backend = new JsonBackend(dir);
+  await backend.save("playlists", { a: [1] });
+
+  assert.deepStrictEqual(fs.readdirSync(dir), ["playlists.json"]);
+  assert.deepStrictEqual(await backend.load("playlists", {}), { a: [1] });
+  assert.deepStrictEqual(await backend.listCollections(), ["playlists"]);
+});
+
+test("the SQLite backend round-trips collections", { skip: !hasSqlite && "better-sqlite3 is not installed" }, async () => {
+  const SqliteBackend = require("../storage/sqliteBackend");
+  const backend = new SqliteBackend(path.join(dataDir, "sqlite", "test.db"));
+
+  try {
+    const repository = new Repository("sessions", backend, {});
+    await repository.update((sessions) => {
+      sessions.s1 = { userId: "1" };
+    });
+
+    assert.deepStrictEqual(await repository.read(), { s1: { userId: "1" } });
+    assert.deepStrictEqual(await repository.get("s1"), { userId: "1" });
+    assert.strictEqual(await repository.get("__proto__"), undefined);
+    assert.strictEqual(await backend.has("sessions"), true);
+    assert.deepStrictEqual(await backend.listCollections(), ["sessions"]);
+  } finally {
+    backend.close();
+  }
+});
+
+test("single entries are looked up by own key", async () => {
+  const repository = getRepository("playlistShares");
+  await repository.update((shares) => {
+    shares.abc = { playlistId: "1" };
+  });
+
+  assert.deepStrictEqual(await repository.get("abc"), { playlistId: "1" });
+  assert.strictEqual(await repository.get("missing"), undefined);
+  assert.strictEqual(await repository.get("__proto__"), undefined);
+  assert.strictEqual(await repository.get("constructor"), undefined);
+});
@@ -0,0 +1,72 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { createApp, request } = require("./helpers");
+const { getRepository } = require("../storage");
+const app = createApp("/api/auth", require("../routes/authRoutes"));
+
+let registered = 0;
+const register = async () => {
+  registered++;
+  const res = await request(app).post("/api/auth/register")
+    .send({ fullName: "Token Tester", email: `tokens${registered}@example.com`, password: "secret123" });
+  assert.strictEqual(res.status, 200);
+  return res.body;
+};
+
+const profile = (token) => request(app).get("/api/auth/profile").set("Authorization", `Bearer ${token}`);
+
+test("refresh tokens rotate on every use", async () => {
+  const { token, refreshToken } = await register();
+  assert.strictEqual((await profile(token)).status, 200);
+
+  const refreshed = await request(app).post("/api/auth/refresh").send({ refreshToken });
+  assert.strictEqual(refreshed.status, 200);
+  assert.notStrictEqual(refreshed.body.refreshToken, refreshToken);
+  assert.strictEqual((await profile(refreshed.body.token)).status, 200);
+});
+
+test("reusing a rotated refresh token revokes the session", async () => {
+  const { refreshToken } = await register();
+  const rotated = await request(app).post("/api/auth/refresh").send({ refreshToken });
+
+  const reused = await request(app).post("/api/auth/refresh").send({ refreshToken });
+  assert.strictEqual(reused.status, 401);
+  assert.strictEqual(reused.body.code, "REFRESH_REUSED");
+
+  const afterwards = await request(app).post("/api/auth/refresh").send({ refreshToken: rotated.body.refreshToken });
+  assert.strictEqual(afterwards.body.code, "REFRESH_REVOKED");
+  assert.strictEqual((await profile(rotated.body.token)).body.code, "TOKEN_REVOKED");
+});
+
+test("only the most recent rotated tokens are kept per session", async () => {
+  let { refreshToken } = await register();
+  for (let i = 0; i < 25; i++) {
+    refreshToken = (await request(app).post("/api/auth/refresh").send({ refreshToken })).body.refreshToken;
+  }
+
+  const sessions = Object.values(await getRepository("sessions").read());
+  assert.ok(sessions.every(session => session.rotatedTokenHashes.length <= 20));
+});
+
+test("logout revokes the access token's session", async () => {
+  const { token } = await register();
+  const res = await request(app).post("/api/auth/logout").set("Authorization", `Bearer ${token}`);
+  assert.strictEqual(res.body.revoked, true);
+  assert.strictEqual((await profile(token)).status, 401);
+});
+
+test("logout-all signs out every session of the user", async () => {
+  const { token } = await register();
+  const second = await request(app).post("/api/auth/login")
+    .send({ email: `tokens${registered}@example.com`, password: "secret123" });
+
+  const res = await request(app).post("/api/auth/logout-all").set("Authorization", `Bearer ${token}`);
+  assert.strictEqual(res.body.revokedSessions, 2);
+  assert.strictEqual((await profile(second.body.token)).status, 401);
+});
+
+test("tokens for unknown sessions are rejected", async () => {
+  const tokenService = require("../services/tokenService");
+  const token = tokenService.signAccessToken({ id: "1", email: "ghost@example.com" }, "__proto__");
+  assert.strictEqual((await profile(token)).body.code, "TOKEN_REVOKED");
+});
@@ -0,0 +1,72 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { createApp, createUser, request } = require("./helpers");
+const trackIdentity = require("../services/trackIdentity");
+const app = createApp("/api/playlists", require("../routes/playlistRoutes"));
+
+const halo = { id: "jamendo:1", title: "Halo", artist: "Beyoncé", duration: 261 };
+
+test("tracks match by provider id, ISRC or normalized title/artist/duration", () => {
+  assert.ok(trackIdentity.isSameTrack({ ...halo, id: "jamendo_1", title: "Halo - 2008 Mix" }, halo));
+  assert.ok(trackIdentity.isSameTrack(
+    { id: "spotify:a", isrc: "US-SM1-08-00001", title: "One" },
+    { id: "itunes:b", isrc: "USSM10800001", title: "Another" }
+  ));
+  assert.ok(!trackIdentity.isSameTrack(
+    { id: "spotify:a", isrc: "USSM10800001", title: "Halo", artist: "Beyoncé" },
+    { id: "itunes:b", isrc: "USSM10800002", title: "Halo", artist: "Beyoncé" }
+  ));
+  assert.ok(trackIdentity.isSameTrack(halo, { id: "itunes:9", title: "Halo (Live)", artist: "beyonce feat. Someone", duration: 264 }));
+  assert.ok(!trackIdentity.isSameTrack(halo, { id: "itunes:9", title: "Halo", artist: "Beyonce", duration: 300 }));
+  assert.strictEqual(trackIdentity.fingerprint(halo), "meta:halo|beyonce");
+});
+
+test("dedupe keeps the first copy and reports where the others were", () => {
+  const songs = [halo, { id: "demo:2", title: "Other", artist: "Someone" }, { id: "itunes:9", title: "HALO", artist: "Beyonce" }];
+  const { songs: kept, removed } = trackIdentity.dedupe(songs);
+
+  assert.deepStrictEqual(kept.map(song => song.id), ["jamendo:1", "demo:2"]);
+  assert.deepStrictEqual(removed.map(({ position, duplicateOf }) => ({ position, duplicateOf })), [{ position: 2, duplicateOf: "jamendo:1" }]);
+});
+
+test("add-song warns about or rejects a duplicate and dedupe collapses the playlist", async () => {
+  const { auth } = await createUser();
+  const { body } = await request(app).post("/api/playlists/create").set("Authorization", auth).send({ name: "Mix" });
+  const playlistId = body.playlist.id;
+  const add = (song, extra = {}) => request(app).post("/api/playlists/add-song").set("Authorization", auth)
+    .send({ playlistId, song, ...extra });
+
+  await add(halo);
+  const warned = await add({ id: "itunes:9", title: "Halo", artist: "Beyonce", duration: 262 });
+  assert.strictEqual(warned.status, 200);
+  assert.strictEqual(warned.body.duplicateOf.id, "jamendo:1");
+
+  const rejected = await add({ id: "spotify:x", title: "Halo", artist: "Beyonce" }, { onDuplicate: "reject" });
+  assert.strictEqual(rejected.status, 409);
+
+  const preview = await request(app).post(`/api/playlists/${playlistId}/dedupe`).set("Authorization", auth).send({ dryRun: true });
+  assert.strictEqual(preview.body.removed.length, 1);
+  assert.strictEqual(preview.body.remaining, 1);
+
+  const deduped = await request(app).post(`/api/playlists/${playlistId}/dedupe`).set("Authorization", auth).send({});
+  assert.strictEqual(deduped.body.removed[0].duplicateOf, "jamendo:1");
+
+  const again = await request(app).post(`/api/playlists/${playlistId}/dedupe`).set("Authorization", auth).send({});
+  assert.strictEqual(again.body.removed.length, 0);
+});
+
+test("liking another copy of a liked track counts as already liked", async () => {
+  const { auth } = await createUser();
+  const like = (song, extra = {}) => request(app).post("/api/playlists/like-song").set("Authorization", auth).send({ song, ...extra });
+
+  assert.strictEqual((await like(halo)).body.message, "Song liked");
+
+  const copy = { id: "itunes:9", title: "Halo", artist: "Beyonce" };
+  const repeated = await like(copy);
+  assert.strictEqual(repeated.body.message, "Song already liked");
+  assert.strictEqual(repeated.body.duplicateOf.id, "jamendo:1");
+
+  const forced = await like(copy, { onDuplicate: "warn" });
+  assert.strictEqual(forced.body.message, "Song liked");
+  assert.ok(forced.body.warning);
+});
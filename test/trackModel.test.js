@@ -0,0 +1,69 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+require("./helpers");
+const trackModel = require("../services/trackModel");
+const { getRepository } = require("../storage");
+const { migrate, migrateId } = require("../scripts/migrateTrackSchema");
+
+test("provider mappers produce the same canonical shape", () => {
+  const jamendo = trackModel.fromJamendo({ id: 1141572, name: "Song", artist_name: "Band", duration: 180 });
+  const itunes = trackModel.fromItunes({ trackId: 55, trackName: "Song", artistName: "Band", trackTimeMillis: 180000 });
+
+  assert.strictEqual(jamendo.id, "jamendo:1141572");
+  assert.strictEqual(itunes.id, "itunes:55");
+  assert.deepStrictEqual(Object.keys(jamendo), Object.keys(itunes));
+  assert.deepStrictEqual(trackModel.validateTrack(jamendo), []);
+  assert.strictEqual(trackModel.fromSpotify({ id: "x" }), null);
+});
+
+test("durations take their unit from the provider field, not their size", () => {
+  const spotify = trackModel.fromSpotify({ id: "4uLU6hMCjMI75M1A2tKUQC", name: "Short", artists: [{ name: "Band" }], duration_ms: 30000 });
+  const itunes = trackModel.fromItunes({ trackId: 56, trackName: "Mix", artistName: "DJ", trackTimeMillis: 40000000 });
+  const jamendo = trackModel.fromJamendo({ id: 8, name: "Drone", artist_name: "Band", duration: 40000 });
+
+  assert.deepStrictEqual([spotify.duration, itunes.duration, jamendo.duration], [30, 40000, 40000]);
+});
+
+test("legacy songs are repaired and unusable ones rejected", () => {
+  const { track } = trackModel.repairTrack({ id: "jamendo_7", title: " Tune ", source: "jamendo", duration: "200.4", likedAt: "2024-01-01" });
+  assert.strictEqual(track.id, "jamendo:7");
+  assert.strictEqual(track.title, "Tune");
+  assert.strictEqual(track.artist, "Unknown Artist");
+  assert.strictEqual(track.duration, 200);
+
+  assert.strictEqual(trackModel.toCanonical({ id: "1", title: "No provider" }), null);
+  assert.ok(trackModel.hasId({ id: "itunes_9" }, "itunes:9"));
+});
+
+test("migration namespaces liked songs, rating keys and stats plays", async () => {
+  const spotifyId = "4uLU6hMCjMI75M1A2tKUQC";
+  assert.strictEqual(migrateId("1141572"), "jamendo:1141572");
+  assert.strictEqual(migrateId(spotifyId), `spotify:${spotifyId}`);
+  assert.strictEqual(migrateId("demo_3"), "demo:3");
+
+  await getRepository("likedSongs").replace({ u1: [{ id: "jamendo_1", title: "Liked", artist: "A" }] });
+  await getRepository("playlists").replace({});
+  await getRepository("musicRatings").replace({
+    1141572: { songTitle: "Old", songArtist: "A", ratings: { u1: { rating: 5, timestamp: "2024-02-01T00:00:00Z" }, u2: { rating: 1, timestamp: "2024-01-01T00:00:00Z" } } },
+    "jamendo:1141572": { songTitle: "Old", songArtist: "A", ratings: { u2: { rating: 4, timestamp: "2024-03-01T00:00:00Z" } } },
+    [spotifyId]: { songTitle: "Other", songArtist: "B", ratings: { u1: { rating: 3, timestamp: "2024-01-01T00:00:00Z" } } }
+  });
+  await getRepository("userStats").replace({ u1: { songsPlayed: 2, playHistory: [{ songId: "1141572" }, { songId: "itunes_4" }] } });
+
+  const preview = await migrate({ write: false });
+  assert.strictEqual(preview.ratings, 2);
+  assert.ok(Object.prototype.hasOwnProperty.call(await getRepository("musicRatings").read(), "1141572"));
+
+  const summary = await migrate({ write: true });
+  assert.strictEqual(summary.changed, 1);
+  assert.strictEqual(summary.plays, 2);
+
+  const ratings = await getRepository("musicRatings").read();
+  assert.deepStrictEqual(Object.keys(ratings).sort(), ["jamendo:1141572", `spotify:${spotifyId}`]);
+  assert.strictEqual(ratings["jamendo:1141572"].ratings.u1.rating, 5);
+  assert.strictEqual(ratings["jamendo:1141572"].ratings.u2.rating, 4);
+
+  const stats = await getRepository("userStats").read();
+  assert.deepStrictEqual(stats.u1.playHistory.map(play => play.songId), ["jamendo:1141572", "itunes:4"]);
+  assert.strictEqual((await getRepository("likedSongs").read()).u1[0].id, "jamendo:1");
+});
@@ -0,0 +1,49 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const path = require("path");
+const fs = require("fs-extra");
+const { dataDir } = require("./helpers");
+
+// The recorder reads its mode once, when first loaded
+process.env.UPSTREAM_MODE = "replay";
+process.env.UPSTREAM_FIXTURES_DIR = path.join(dataDir, "fixtures");
+const upstreamRecorder = require("../services/upstreamRecorder");
+const { createUpstreamClient } = require("../services/upstreamClient");
+
+const record = (client, config, response) => {
+  const request = upstreamRecorder.normalizeRequest(config);
+  return fs.outputJson(upstreamRecorder.fixturePath(client, request), { client, request, response });
+};
+
+test("requests are normalized without credentials or parameter order", () => {
+  const a = upstreamRecorder.normalizeRequest({
+    baseURL: "https://api.example.com/v3/", url: "tracks?limit=5", params: { client_id: "secret", q: "love" }
+  });
+  const b = upstreamRecorder.normalizeRequest({
+    baseURL: "https://api.example.com/v3/", url: "tracks", params: { q: "love", limit: 5, client_id: "other" }
+  });
+
+  assert.deepStrictEqual(a, b);
+  assert.deepStrictEqual(a.params, { limit: "5", q: "love" });
+  assert.strictEqual(upstreamRecorder.fixturePath("jamendo", a), upstreamRecorder.fixturePath("jamendo", b));
+});
+
+test("replay answers from fixtures, including recorded errors", async () => {
+  const client = createUpstreamClient("replay-test", { baseURL: "https://api.example.com/", params: { client_id: "key" } });
+  const search = { baseURL: "https://api.example.com/", url: "search", params: { q: "love" } };
+
+  await record("replay-test", search, { status: 200, headers: {}, data: { results: [{ id: 1 }] } });
+  const response = await client.get("search", { params: { q: "love" } });
+  assert.deepStrictEqual(response.data, { results: [{ id: 1 }] });
+
+  await record("replay-test", { ...search, params: { q: "boom" } }, { status: 500, headers: {}, data: { error: "boom" } });
+  await assert.rejects(client.get("search", { params: { q: "boom" } }), error => error.response.status === 500);
+  assert.strictEqual(client.breaker.snapshot().failures, 1);
+});
+
+test("a missing fixture fails loudly without tripping the circuit breaker", async () => {
+  const client = createUpstreamClient("missing-test", { baseURL: "https://api.example.com/" });
+
+  await assert.rejects(client.get("nothing-recorded"), error => error.code === "FIXTURE_MISSING");
+  assert.strictEqual(client.breaker.snapshot().failures, 0);
+});